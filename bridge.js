@@ -9,530 +9,625 @@
  * - Deposit: Sepolia → Amoy (25 minutes)
  * - Withdraw: Amoy → Sepolia (90-180 minutes + exit processing)
  * - Custom amounts for both operations
- * - Automatic checkpoint detection and exit processing
+ * - Automatic checkpoint detection and exit processing (RootChain polling or
+ *   NewHeaderBlock events over WebSocket, with a deadline)
  * - Manual step-by-step control options
+ * - Persistent transfer journal with `resume` after restarts
+ * - On-chain transfer history for the wallet
+ * - Any ERC-20 mapped on the plasma bridge via --token (POL by default)
+ * - ERC-721 collections via deposit-nft / withdraw-nft
+ * - Batch deposits to many recipients from a CSV/JSON manifest
+ * - Network profiles: Sepolia ↔ Amoy (default), Ethereum ↔ Polygon PoS
+ *   mainnet, or a custom profile via --network
+ * - Exit proofs from the proof API or built locally (--proof-source local)
+ * - Exit queue with challenge period times; finalize --wait sleeps until ripe
+ * - Keystore, mnemonic and remote signers, or a key-less watch mode
+ * - Unsigned transaction export (raw or Safe batch) and `broadcast` of signed ones
+ * - Fee caps per chain, confirmations, nonce tracking, automatic speed-up of
+ *   stuck transactions and `cancel <nonce>`
+ * - Usable as a library: the PolBridge class (lib/polbridge.js) with progress
+ *   events; this file is its command line
+ * - `serve`: background worker with a local REST API and webhook
+ *   notifications for every stage transition
+ * - --json output (one object per step) and exit codes per failure category
+ * - Decoded revert reasons with explanations of known plasma errors, and
+ *   `doctor` to check the RPCs, contract addresses and their wiring
  * 
  * @format 
  */
 
-// Load environment variables from .env file
-require('dotenv').config();
+// Load environment variables from .env file (quietly with --json, which owns stdout)
+require('dotenv').config({ quiet: process.argv.includes('--json') });
 
 // Import required libraries
-const ethers = require('ethers');                        // Ethereum interaction library
-const rootChainManagerAbi = require('./depositManagerAbi.json'); // ABI for deposit contract
+const { parseArgs } = require('util');                   // Command line option parsing
+const { PolBridge, EVENTS, positiveNumber } = require('./lib/polbridge'); // Deposit, withdraw, checkpoint and exit flows
+const { EXIT_CODES, categorize, categorized } = require('./lib/errors'); // Exit codes per failure category
+const { STAGES } = require('./lib/journal');             // Transfer stages (history phases)
+const { detectSignerSource, SIGNER_SOURCES } = require('./lib/signers'); // Keys, keystores, remote signers
+const txExport = require('./lib/export');                // --export files and broadcast
+const { BridgeDaemon, createApiServer } = require('./lib/daemon'); // serve: worker and REST API
+const { WebhookNotifier } = require('./lib/webhooks');   // serve: stage transition webhooks
+
+// ─── COMMAND LINE ARGUMENTS ────────────────────────────────────────────────────
+// node bridge.js <command> [amount | tx_hash] [options]
+const ARG_OPTIONS = {
+  json: { type: 'boolean' },            // Print one JSON object per step instead of progress text
+  days: { type: 'string' },             // Days of events to scan: history (default 7), finalize (default 14)
+  deadline: { type: 'string' },         // Minutes to wait for a deposit to arrive / a burn to be checkpointed
+  approval: { type: 'string' },         // Deposit approval size: exact (default) or unlimited
+  'dry-run': { type: 'boolean' },       // Simulate state-changing commands instead of broadcasting
+  token: { type: 'string' },            // Token symbol (from tokens.json) or address (default POL)
+  'safe-transfer': { type: 'boolean' }, // deposit-nft: safeTransferFrom to the DepositManager, no approval
+  sequential: { type: 'boolean' },      // deposit-batch: one depositERC20ForUser per row instead of depositBulk
+  'chunk-size': { type: 'string' },     // deposit-batch: rows per depositBulk call
+  report: { type: 'string' },           // deposit-batch: where to write the per-row result report
+  to: { type: 'string' },               // deposit/deposit-nft: recipient on Amoy (address or ENS name)
+  network: { type: 'string' },          // Network profile: amoy (default), mainnet or custom
+  'proof-source': { type: 'string' },   // Exit proofs from the proof API (default) or built locally
+  wait: { type: 'boolean' },            // finalize: sleep until the earliest pending exit matures
+  signer: { type: 'string' },           // Signer source: key, keystore, mnemonic, remote or watch
+  watch: { type: 'string' },            // Watch an address (or ENS name) read-only, no key needed
+  export: { type: 'string' },           // Write unsigned transactions to this file instead of sending them
+  'export-format': { type: 'string' },  // --export format: raw (default) or safe (Safe Transaction Builder)
+  chain: { type: 'string' },            // cancel: which chain the nonce is on (root or child)
+  port: { type: 'string' },             // serve: API port (default SERVE_PORT or 8080)
+};
+
+/**
+ * Parses the command line, stopping with a usage error (exit code 2) on an
+ * unknown option or a string option without a value
+ *
+ * Strict parsing keeps a misspelled flag such as `--dryrun` from being
+ * ignored and the command running for real.
+ *
+ * @returns {Object} { values, positionals } from util.parseArgs
+ */
+function parseCommandLine() {
+  try {
+    return parseArgs({ args: process.argv.slice(2), options: ARG_OPTIONS, strict: true, allowPositionals: true });
+  } catch (error) {
+    if (!error.code?.startsWith('ERR_PARSE_ARGS_')) {
+      throw error;
+    }
+    // options isn't parsed yet, so look for --json directly
+    if (process.argv.includes('--json')) {
+      printJson({ step: 'error', ok: false, exitCode: EXIT_CODES.usage, category: 'usage', message: error.message });
+    } else {
+      console.error(`⚠️  ${error.message}`);
+      console.error('   Run `node bridge.js` without arguments to list the commands and their options');
+    }
+    process.exit(EXIT_CODES.usage);
+  }
+}
+const { values: options, positionals: args } = parseCommandLine();
+const DRY_RUN = Boolean(options['dry-run']);
+const EXPORT_FILE = options.export;                        // Unsigned transactions go here instead of the chain
+const EXPORT_FORMAT = options['export-format'] || 'raw';
+
 
 // ─── CONFIGURATION SECTION ─────────────────────────────────────────────────────
 
-// Extract configuration from environment variables
-const {
-  PRIVATE_KEY,       // Wallet private key for signing transactions
-  SEPOLIA_RPC,       // Ethereum Sepolia RPC endpoint  
-  AMOY_RPC,          // Polygon Amoy RPC endpoint
-  DEPOSIT_MANAGER,   // Deposit manager contract on Sepolia
-  POL_SEPOLIA,       // POL token contract on Sepolia
-  POL_AMOY,          // POL token contract on Amoy (native: 0x...1010)
-  CHILD_MANAGER,     // Child chain manager (optional)
-  ERC20_PREDICATE,   // ERC20 predicate for exit processing on Sepolia
-  WITHDRAW_MANAGER,  // Withdraw manager for finalizing exits on Sepolia
-} = process.env;
-
-// Validate required environment variables
-if (!PRIVATE_KEY) {
-  console.error('⚠️  Set PRIVATE_KEY in .env');
-  process.exit(1);
+// Where the signing key comes from (lib/signers.js): --signer or SIGNER, otherwise
+// whichever of PRIVATE_KEY, KEYSTORE_FILE, MNEMONIC, REMOTE_SIGNER_URL or
+// WATCH_ADDRESS is set. --watch <address> always selects read-only watch mode.
+const SIGNER_SETTINGS = {
+  source: options.watch ? 'watch' : (options.signer || process.env.SIGNER || undefined),
+  privateKey: process.env.PRIVATE_KEY,
+  keystoreFile: process.env.KEYSTORE_FILE,
+  keystorePassword: process.env.KEYSTORE_PASSWORD,
+  mnemonic: process.env.MNEMONIC,
+  mnemonicPassword: process.env.MNEMONIC_PASSWORD,
+  derivationPath: process.env.DERIVATION_PATH,
+  remoteUrl: process.env.REMOTE_SIGNER_URL,
+  remoteAddress: process.env.REMOTE_SIGNER_ADDRESS,
+  watchAddress: options.watch || process.env.WATCH_ADDRESS,
+};
+if (SIGNER_SETTINGS.source && !SIGNER_SOURCES.includes(SIGNER_SETTINGS.source)) {
+  exitOnBadSetting(`Unknown signer "${SIGNER_SETTINGS.source}" (use ${SIGNER_SOURCES.join(', ')})`);
 }
-if (!POL_AMOY) {
-  console.error('⚠️  Set POL_AMOY (the child‐chain POL token address) in .env');
-  process.exit(1);
+
+// Commands that never sign, so they also run in watch mode (as does any --dry-run or --export)
+const READ_ONLY_COMMANDS = ['check', 'track-deposit', 'history', 'status', 'broadcast'];
+
+// Commands that can write their transactions to --export instead of sending them
+const EXPORT_COMMANDS = ['deposit', 'withdraw', 'exit', 'finalize'];
+if (!txExport.EXPORT_FORMATS.includes(EXPORT_FORMAT)) {
+  exitOnBadSetting(`Unknown export format "${EXPORT_FORMAT}" (use ${txExport.EXPORT_FORMATS.join(' or ')})`);
 }
+const EXPORT_TO = EXPORT_FILE && { file: EXPORT_FILE, format: EXPORT_FORMAT };
 
-// Initialize providers for both networks
-// Provider = connection to blockchain network for reading data
-const providerSepolia = new ethers.JsonRpcProvider(SEPOLIA_RPC);  // Ethereum Sepolia connection
-const providerAmoy = new ethers.JsonRpcProvider(AMOY_RPC);        // Polygon Amoy connection
-
-// Initialize wallets for both networks  
-// Wallet = provider + private key for signing transactions
-const walletSepolia = new ethers.Wallet(PRIVATE_KEY, providerSepolia); // For Sepolia transactions
-const walletAmoy = new ethers.Wallet(PRIVATE_KEY, providerAmoy);       // For Amoy transactions
-
-// ─── CONTRACT ABIs (Application Binary Interfaces) ─────────────────────────────
-// ABIs define the interface for calling smart contract functions
-
-// Standard ERC-20 token functions
-const erc20Abi = [
-  'function approve(address spender, uint256 amount) external returns (bool)',  // Allow contract to spend tokens
-];
-
-// Child token withdrawal functions (used on Amoy)
-const childWithdrawAbi = [
-  'function withdraw(uint256 amount) external',                               // Primary withdrawal method
-  'function transfer(address to, uint256 amount) external returns (bool)',    // Alternative transfer method  
-  'function burn(uint256 amount) external'                                    // Token burning method
-];
-
-// ─── CONTRACT INSTANCES ────────────────────────────────────────────────────────
-// Create contract instances for interacting with deployed smart contracts
-
-// Deposit Manager contract on Sepolia (handles L1 → L2 deposits)
-const depositManager = new ethers.Contract(
-  DEPOSIT_MANAGER,           // Contract address on Sepolia
-  rootChainManagerAbi,       // ABI from JSON file
-  walletSepolia              // Wallet for signing transactions
-);
-
-// POL token contract on Sepolia (ERC-20 token)
-const polSepolia = new ethers.Contract(
-  POL_SEPOLIA,               // POL token address on Sepolia
-  erc20Abi,                  // Standard ERC-20 ABI
-  walletSepolia              // Wallet for signing transactions
-);
-
-// Child chain manager on Amoy (optional, for approvals if needed)
-const childManager = new ethers.Contract(
-  CHILD_MANAGER,             // Manager contract address on Amoy
-  erc20Abi,                  // Standard ERC-20 ABI
-  walletAmoy                 // Wallet for signing transactions
-);
-
-// POL token contract on Amoy (native POL contract at 0x...1010)
-const polAmoy = new ethers.Contract(
-  POL_AMOY,                  // Native POL contract address on Amoy
-  childWithdrawAbi,          // Withdrawal/burn ABI functions
-  walletAmoy                 // Wallet for signing transactions
-);
-
-// ─── DEPOSIT FUNCTION: Sepolia → Amoy ──────────────────────────────────────────
-/**
- * Deposits POL tokens from Ethereum Sepolia to Polygon Amoy
- * 
- * Process:
- * 1. Parse amount from command line arguments
- * 2. Approve DepositManager to spend POL tokens
- * 3. Call depositERC20ForUser to initiate cross-chain transfer
- * 4. Tokens appear on Amoy in ~25 minutes
- * 
- * Usage: node bridge.js deposit [amount]
- */
-async function bridgePOL() {
-  // Parse amount from command line arguments (3rd argument after "node bridge.js deposit")
-  const amountArg = process.argv[3];     // Get command line argument
-  const amount = amountArg || '1';       // Default to 1 POL if no amount specified
-  const amountWei = ethers.parseEther(amount); // Convert to wei (smallest unit)
-  
-  console.log(`Depositing ${amount} POL (${ethers.formatEther(amountWei)} POL)`);
-
-  // Step 1: Approve the DepositManager contract to spend our POL tokens
-  // This is required before any ERC-20 transfer by a third party
-  console.log('1) Approving DepositManager on Sepolia…');
-  const approveTx = await polSepolia.approve(DEPOSIT_MANAGER, amountWei);
-  await approveTx.wait(); // Wait for transaction to be mined
-  console.log('  ✔ Approval:', `https://sepolia.etherscan.io/tx/${approveTx.hash}`);
-
-  // Step 2: Call the deposit function to transfer tokens to Amoy
-  // depositERC20ForUser burns tokens on L1 and mints equivalent on L2
-  console.log('2) depositERC20ForUser on Sepolia…');
-  const depositTx = await depositManager.depositERC20ForUser(
-    POL_SEPOLIA,           // Token contract address on Sepolia
-    walletSepolia.address, // Recipient address (our wallet)
-    amountWei              // Amount to deposit in wei
-  );
-  await depositTx.wait(); // Wait for transaction to be mined
-  console.log('  ✔ Deposit:', `https://sepolia.etherscan.io/tx/${depositTx.hash}`);
-  console.log('✅ Deposit confirmed — funds will arrive on Amoy in ~25 min.');
+// history and finalize check `days` too; checking here fails before any RPC call
+if (options.days !== undefined) {
+  try {
+    positiveNumber(options.days, '--days');
+  } catch (error) {
+    exitOnBadSetting(error.message);
+  }
 }
 
-// ─── CHECKPOINT POLLING FUNCTION ───────────────────────────────────────────────
-/**
- * Polls the Polygon proof generation API to check if a transaction has been checkpointed
- * 
- * Checkpointing process:
- * - Polygon validators periodically submit Merkle roots of Amoy transactions to Ethereum
- * - Once included in a checkpoint, transactions can generate proofs for exit
- * - Typically takes 90-180 minutes on testnet
- * 
- * @param {string} txHash - Transaction hash from Amoy burn transaction
- * @returns {Object} Proof data when transaction is checkpointed
- */
-async function waitForCheckpoint(txHash) {
-  // Construct proof generation API URL with Withdraw event signature
-  // Event signature 0xebff2602... corresponds to the Withdraw event emitted during burn
-  const proofUrl = `https://proof-generator.polygon.technology/api/v1/amoy/exit-payload/${txHash}?eventSignature=0xebff2602b3f468259e1e99f613fed6691f3a6526effe6ef3e768ba7ae7a36c4f`;
-  
-  console.log('🔍 Polling checkpoint status...');
-  let attempts = 0;
-  const maxAttempts = 360; // 180 minutes max (30 second intervals)
-  
-  // Poll the API every 30 seconds until transaction is checkpointed
-  while (attempts < maxAttempts) {
-    try {
-      console.log(`   ⏰ Attempt ${attempts + 1}/${maxAttempts} - Checking checkpoint...`);
-      
-      // Make HTTP request to proof generation API
-      const response = await fetch(proofUrl);
-      
-      if (response.ok) {
-        // Success: transaction is checkpointed and proof is available
-        const data = await response.json();
-        console.log('✅ Transaction checkpointed! Proof generated successfully.');
-        console.log('📄 Proof data length:', data.result?.length || 'Unknown');
-        return data; // Return proof data for exit processing
-      } else if (response.status === 400) {
-        // Expected: transaction not yet checkpointed
-        console.log(`   ⏳ Not checkpointed yet... waiting 30 seconds`);
-      } else {
-        // Unexpected status, but retry
-        console.log(`   ⚠️  API returned status ${response.status}, retrying...`);
-      }
-    } catch (error) {
-      // Network error or other issue, log and retry
-      console.log(`   ❌ Error checking status: ${error.message}`);
+// PolBridge options from .env and the command line (see lib/polbridge.js for each one)
+const BRIDGE_OPTIONS = {
+  // Network profile: RPCs, chain IDs, contracts, proof API and explorers (lib/networks.js)
+  // Selected with --network or BRIDGE_NETWORK; the amoy profile (Sepolia ↔ Amoy) is the default
+  network: options.network || process.env.BRIDGE_NETWORK || 'amoy',
+
+  // Journal and token registry are kept per network unless set here
+  journalFile: process.env.BRIDGE_JOURNAL,
+  tokenRegistry: process.env.TOKEN_REGISTRY,
+
+  // Where exit proofs come from: 'api' (the profile's proof generator) or 'local'
+  // (built from AMOY_RPC and the RootChain contract by lib/proof.js)
+  proofSource: options['proof-source'] || process.env.PROOF_SOURCE || 'api',
+  approval: options.approval || process.env.APPROVAL_MODE || 'exact',
+
+  // Transaction handling (lib/txmanager.js); fee caps and priority fees are per
+  // chain in the network profile (SEPOLIA_MAX_FEE_GWEI, AMOY_PRIORITY_FEE_GWEI, …)
+  confirmations: Number(process.env.CONFIRMATIONS || 1),           // Blocks a transaction needs before the next step
+  speedUpSeconds: Number(process.env.SPEEDUP_AFTER_SECONDS ?? 180), // Replace with higher fees if not mined by then (0 = never)
+  bumpPercent: Number(process.env.FEE_BUMP_PERCENT || 20),          // Fee increase per replacement (at least 10)
+
+  // --deadline applies to whichever wait the command does
+  depositDeadlineMinutes: options.deadline || process.env.DEPOSIT_DEADLINE_MINUTES || 60,       // Checked by PolBridge
+  checkpointDeadlineMinutes: options.deadline || process.env.CHECKPOINT_DEADLINE_MINUTES || 180, // Checked by PolBridge
+  checkpointPollSeconds: Number(process.env.CHECKPOINT_POLL_SECONDS) || 60,
+  batchChunkSize: Number(process.env.BATCH_CHUNK_SIZE) || 10,
+  autoComplete: process.env.AUTO_COMPLETE === 'true',
+
+  // Progress goes to the console, except with --json (steps are printed as JSON instead)
+  log: (...line) => {
+    if (!options.json) {
+      console.log(...line);
     }
-    
-    attempts++;
-    await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30 seconds before retry
-  }
-  
-  // Timeout: transaction not checkpointed within time limit
-  throw new Error('Checkpoint timeout - transaction not checkpointed after 180 minutes');
+  },
+};
+
+let bridge;
+try {
+  bridge = new PolBridge(BRIDGE_OPTIONS);
+} catch (error) {
+  exitOnBadSetting(error.message);
 }
 
-// ─── EXIT PROCESSING FUNCTION ──────────────────────────────────────────────────
 /**
- * Processes the exit on Ethereum Sepolia using the generated proof
- * 
- * Two-step process:
- * 1. startExitWithBurntTokens: Submit proof to ERC20 Predicate contract
- * 2. processExits: Finalize withdrawal and release tokens (after challenge period)
- * 
- * @param {Object} proofData - Merkle proof data from checkpoint API
+ * Loads the signer and connects the bridge to both chains
+ *
+ * Keystores and mnemonics may prompt for a passphrase here. In watch mode
+ * (--watch / WATCH_ADDRESS) only read-only commands, --dry-run and --export
+ * are allowed; `broadcast` watches the export's sender when no signer is set.
+ *
+ * @param {string} mode - Command being run
  */
-async function processExit(proofData) {
-  try {
-    console.log('📋 Step 1: Starting exit on ERC20 Predicate...');
-    
-    // Step 1: Submit the Merkle proof to the ERC20 Predicate contract
-    // This proves that tokens were burned on Amoy and initiates the exit process
-    const predicateContract = new ethers.Contract(
-      ERC20_PREDICATE,     // ERC20 Predicate contract address on Sepolia
-      ['function startExitWithBurntTokens(bytes calldata data) external'], // Function signature
-      walletSepolia        // Wallet for signing the transaction
-    );
-    
-    try {
-      // Submit the proof data to start the exit process
-      const startExitTx = await predicateContract.startExitWithBurntTokens(proofData.result);
-      await startExitTx.wait(); // Wait for transaction confirmation
-      console.log('  ✔ StartExit:', `https://sepolia.etherscan.io/tx/${startExitTx.hash}`);
-    } catch (startExitError) {
-      // Handle case where exit was already started (KNOWN_EXIT error)
-      if (startExitError.message.includes('KNOWN_EXIT')) {
-        console.log('  ℹ️  Exit already started for this transaction');
-        console.log('  ✅ Proceeding to finalize exit...');
-      } else {
-        throw startExitError; // Re-throw other errors
-      }
-    }
-    
-    console.log('📋 Step 2: Processing exit on Withdraw Manager...');
-    
-    // Step 2: Call processExits to finalize the withdrawal
-    // This releases the tokens from the locked state and transfers them to the user
-    const withdrawContract = new ethers.Contract(
-      WITHDRAW_MANAGER,    // Withdraw Manager contract address on Sepolia
-      ['function processExits(address _token) external'], // Function signature
-      walletSepolia        // Wallet for signing the transaction
-    );
-    
-    // On testnet, there's typically no challenge period, so we can process immediately
-    console.log('  🚀 Attempting to process exits (testnet - no challenge period)...');
-    const processExitTx = await withdrawContract.processExits(POL_SEPOLIA);
-    await processExitTx.wait(); // Wait for transaction confirmation
-    console.log('  ✔ ProcessExit:', `https://sepolia.etherscan.io/tx/${processExitTx.hash}`);
-    
-    console.log('💰 POL tokens released on Sepolia!');
-    
-  } catch (error) {
-    console.error('❌ Exit processing failed:', error.message);
-    
-    if (error.message.includes('KNOWN_EXIT')) {
-      console.log('\n💡 Exit already initiated! Trying to finalize immediately...');
-      try {
-        const withdrawContract = new ethers.Contract(
-          WITHDRAW_MANAGER,
-          ['function processExits(address _token) external'],
-          walletSepolia
-        );
-        
-        const processExitTx = await withdrawContract.processExits(POL_SEPOLIA);
-        await processExitTx.wait();
-        console.log('  ✔ ProcessExit:', `https://sepolia.etherscan.io/tx/${processExitTx.hash}`);
-        console.log('💰 POL tokens released on Sepolia!');
-        return;
-      } catch (finalizeError) {
-        console.log('⚠️  Could not immediately finalize. You can try:');
-        console.log('   npm run finalize');
-      }
+async function connectSigners(mode) {
+  const settings = { ...SIGNER_SETTINGS };
+  if (mode === 'broadcast' && args[1] && !detectSignerSource(settings)) {
+    // Relaying signed transactions needs no key: act as the account that signed them
+    settings.watchAddress = txExport.loadExport(args[1]).from;
+  }
+
+  await bridge.connect(settings);
+  if (bridge.watchOnly) {
+    if (!READ_ONLY_COMMANDS.includes(mode) && !DRY_RUN && !EXPORT_FILE) {
+      throw categorized(`Watch mode can't sign — \`${mode}\` needs a key (or add --dry-run to simulate it, --export to sign elsewhere)`, 'usage');
     }
-    
-    console.log('💡 You can complete the exit manually using the proof:');
-    console.log('   Proof data:', proofData.result);
-    throw error;
+    BRIDGE_OPTIONS.log(`👀 Watch mode: ${bridge.address} (read-only)`);
   }
 }
 
-// ─── WITHDRAWAL FUNCTION: Amoy → Sepolia ───────────────────────────────────────
+// ─── OUTPUT ───────────────────────────────────────────────────────────────────
+// With --json, stdout carries one JSON object per line and nothing else:
+//   { "step": "<event>", "command", ...payload }       per bridge event (approved, burned, …)
+//   { "step": "result", "command", "ok", "exitCode", "category", "result" }
+//   { "step": "error", "command", "ok": false, "exitCode", "category", "message", "problems"?, "usage"?, "diagnosis"? }
+// The process exit code is EXIT_CODES[category] (lib/errors.js) in both modes.
+
 /**
- * Withdraws POL tokens from Polygon Amoy back to Ethereum Sepolia
- * 
- * Complete withdrawal process:
- * 1. Parse withdrawal amount from command line
- * 2. Check POL balance on Amoy
- * 3. Call withdraw() on POL contract (burns tokens + emits Withdraw event)
- * 4. Wait for checkpoint inclusion (90-180 minutes)
- * 5. Generate Merkle proof from checkpoint
- * 6. Submit proof to ERC20 Predicate on Sepolia (start exit)
- * 7. Process exit to release tokens (immediate on testnet)
- * 
- * Usage: node bridge.js withdraw [amount]
+ * Prints one --json line (bigints as decimal strings)
+ *
+ * @param {Object} object - Step to print
  */
-async function withdrawPOL() {
-  // Step 0: Sanity check that POL_AMOY contract exists
-  const code = await providerAmoy.getCode(POL_AMOY);
-  if (code === '0x') {
-    console.error(
-      `❌ No contract found at POL_AMOY (${POL_AMOY}).\n` +
-      `   Make sure you copied the *token* contract address (from Amoy Polygonscan Token Tracker), not the manager/predicate.`
-    );
-    return;
-  }
+function printJson(object) {
+  console.log(JSON.stringify(object, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
 
-  // Step 1: Check current POL balance on Amoy
-  const viewAbi = ['function balanceOf(address) view returns (uint256)'];
-  const tokenView = new ethers.Contract(POL_AMOY, viewAbi, providerAmoy);
-  const bal = await tokenView.balanceOf(walletAmoy.address);
-  console.log('Amoy POL balance:', ethers.formatEther(bal));
-
-  // Step 2: Parse withdrawal amount from command line arguments
-  const amountArg = process.argv[3];     // Get 3rd argument after "node bridge.js withdraw"
-  const amount = amountArg || '1';       // Default to 1 POL if no amount specified
-  const withdrawAmount = ethers.parseEther(amount); // Convert to wei
-  
-  console.log(`Withdrawing ${amount} POL (${ethers.formatEther(withdrawAmount)} POL)`);
-  
-  // Step 3: Validate sufficient balance
-  if (bal < withdrawAmount) {
-    console.error(`❌ Insufficient balance. Need ${ethers.formatEther(withdrawAmount)} POL, have ${ethers.formatEther(bal)} POL`);
-    return;
+/**
+ * Stops before any command runs because of an invalid setting (exit code 2)
+ *
+ * @param {string} message - What is wrong
+ */
+function exitOnBadSetting(message) {
+  if (options.json) {
+    printJson({ step: 'error', command: args[0], ok: false, exitCode: EXIT_CODES.usage, category: 'usage', message });
+  } else {
+    console.error(`⚠️  ${message}`);
   }
+  process.exit(EXIT_CODES.usage);
+}
 
-  console.log('Withdrawing:', ethers.formatEther(withdrawAmount), 'POL');
+/**
+ * Error for missing command arguments, with the command's usage line
+ *
+ * @param {string} message - What is missing
+ * @param {string} usage - Usage line to print after it
+ * @returns {Error} Error with category 'usage' and `usage`
+ */
+function usageError(message, usage) {
+  const error = categorized(message, 'usage');
+  error.usage = usage;
+  return error;
+}
 
-  // Step 4: Call withdraw function on POL contract to burn tokens
-  console.log('1) Calling withdraw function on POL contract…');
-  let burnTx;
-  try {
-    // Create contract instance for the POL token on Amoy
-    const polContract = new ethers.Contract(
-      POL_AMOY,                                              // Native POL contract address
-      ['function withdraw(uint256 amount) public payable'],  // Function signature
-      walletAmoy                                             // Wallet for signing
-    );
-    
-    // Important: POL withdraw function requires msg.value = amount
-    // This is because we're dealing with the native POL contract
-    burnTx = await polContract.withdraw(withdrawAmount, {
-      value: withdrawAmount // Send POL as native value (msg.value must equal amount parameter)
-    });
-    await burnTx.wait(); // Wait for transaction to be mined
-    console.log('  ✔ Burn:', `https://amoy.polygonscan.com/tx/${burnTx.hash}`);
-  } catch (error) {
-    console.error('❌ Burn transaction failed:', error.message);
-    return;
+/**
+ * Works out the category of a command that returned normally
+ *
+ * Results that mean "nothing happened yet" or "something would fail" get a
+ * non-zero exit code too: a burn without a proof yet (check, exit --dry-run /
+ * --export), exits still in their challenge period (finalize), simulations
+ * that revert (--dry-run), batches or resumes with failed transfers and
+ * `doctor` runs with failed checks.
+ *
+ * @param {string} mode - Command that ran
+ * @param {Object} result - What the PolBridge method returned
+ * @returns {string} One of the EXIT_CODES keys
+ */
+function outcomeOf(mode, result) {
+  if (!result) {
+    return 'ok';
   }
-
-  // Step 5: Handle checkpoint waiting and exit processing
-  console.log('2) Waiting for checkpoint inclusion...');
-  console.log('   ⏰ This can take 90-180 minutes on testnet');
-  console.log('   🔗 Burn tx:', `https://amoy.polygonscan.com/tx/${burnTx.hash}`);
-  
-  // Display manual steps for reference
-  console.log('\n📋 Next steps after checkpoint:');
-  console.log('1. Generate proof from:', `https://proof-generator.polygon.technology/api/v1/amoy/exit-payload/${burnTx.hash}?eventSignature=0xebff2602b3f468259e1e99f613fed6691f3a6526effe6ef3e768ba7ae7a36c4f`);
-  console.log('2. Use the proof with ERC20 Predicate contract on Sepolia');
-  console.log('3. Process exit to complete withdrawal');
-  
-  // Check if automatic completion is enabled
-  if (process.env.AUTO_COMPLETE === 'true') {
-    // Automatic mode: wait for checkpoint and complete exit automatically
-    console.log('\n⏳ Auto-completion enabled, polling for checkpoint...');
-    const proofData = await waitForCheckpoint(burnTx.hash); // Wait for checkpoint inclusion
-    
-    // Process the exit using the generated proof
-    console.log('3) Processing exit on Sepolia...');
-    await processExit(proofData); // Submit proof and finalize withdrawal
-    console.log('✅ Automatic withdrawal completed!');
-  } else {
-    // Manual mode: user needs to check status and complete exit manually
-    console.log('\n💡 Set AUTO_COMPLETE=true in .env to enable automated completion');
+  if (result.checkpointed === false || (mode === 'check' && !result.proofAvailable)) {
+    return 'not_ready';
+  }
+  // A started exit (KNOWN_EXIT) is expected to fail startExitWithBurntTokens again
+  if (result.simulations?.some((simulation) => !simulation.ok && simulation.diagnosis.code !== 'known_exit')) {
+    return 'reverted';
+  }
+  if (mode === 'finalize' && result.queue && result.released === 0 && result.queue.exits.length > 0) {
+    return 'not_ready';
   }
+  // processExits was mined but paid out nothing for this exit (no Withdraw event)
+  if (result.processExitTx && result.released === false) {
+    return 'not_ready';
+  }
+  if (result.failed > 0) {
+    return 'error';
+  }
+  return 'ok';
 }
 
-// ─── CHECKPOINT STATUS CHECKER ────────────────────────────────────────────────
 /**
- * Checks the checkpoint status of a withdrawal transaction
- * 
- * This utility function allows checking withdrawal progress without keeping
- * the console open for hours. Users can check periodically until checkpointed.
- * 
- * Usage: node bridge.js check <transaction_hash>
+ * Prints a command's outcome and sets the exit code for its category
+ *
+ * Text mode prints only failures (pre-flight problems first, then the
+ * summary, the next step for a known revert and any usage line); progress
+ * was already logged along the way.
+ *
+ * @param {string} mode - Command that ran
+ * @param {Object} outcome - { result } when it returned, { error } when it threw
  */
-async function checkStatus() {
-  const txHash = process.argv[3];
-  if (!txHash) {
-    console.error('❌ Please provide transaction hash');
-    console.log('Usage: node bridge.js check <transaction_hash>');
+function report(mode, { result, error }) {
+  const category = error ? categorize(error) : outcomeOf(mode, result);
+  const exitCode = EXIT_CODES[category];
+  process.exitCode = exitCode;
+
+  if (options.json) {
+    printJson(error
+      ? {
+        step: 'error', command: mode, ok: false, exitCode, category, message: error.message,
+        problems: error.problems, usage: error.usage, diagnosis: error.diagnosis,
+      }
+      : { step: 'result', command: mode, ok: exitCode === 0, exitCode, category, result });
     return;
   }
-
-  console.log(`🔍 Checking checkpoint status for: ${txHash}`);
-  
-  try {
-    const proofUrl = `https://proof-generator.polygon.technology/api/v1/amoy/exit-payload/${txHash}?eventSignature=0xebff2602b3f468259e1e99f613fed6691f3a6526effe6ef3e768ba7ae7a36c4f`;
-    
-    const response = await fetch(proofUrl);
-    
-    if (response.ok) {
-      const data = await response.json();
-      console.log('✅ Transaction is checkpointed!');
-      console.log('📄 Proof data length:', data.result?.length || 'Unknown');
-      console.log('\n🔗 Links:');
-      console.log('   Transaction:', `https://amoy.polygonscan.com/tx/${txHash}`);
-      console.log('   Proof API:', proofUrl);
-      
-      // Ask if user wants to complete exit
-      console.log('\n💡 Ready to complete exit? Run:');
-      console.log(`   node bridge.js exit ${txHash}`);
-      
-    } else if (response.status === 400 || response.status === 404) {
-      console.log('⏳ Transaction not yet checkpointed');
-      console.log('📍 Current status: Waiting for checkpoint inclusion');
-      console.log('\n🔗 Links:');
-      console.log('   Transaction:', `https://amoy.polygonscan.com/tx/${txHash}`);
-      console.log('   Check again: node bridge.js check', txHash);
-      
-    } else {
-      console.log(`⚠️  API returned status ${response.status}`);
+  if (error) {
+    for (const problem of error.problems || []) {
+      console.error(`  ❌ ${problem}`);
+    }
+    console.error(`❌ ${error.message}`);
+    if (error.diagnosis?.next) {
+      console.log(`💡 ${error.diagnosis.next}`);
+    }
+    if (error.usage) {
+      console.log(`Usage: ${error.usage}`);
     }
-    
-  } catch (error) {
-    console.error('❌ Error checking status:', error.message);
   }
 }
 
-// ─── EXIT COMPLETION ───────────────────────────────────────────────────────────
+// ─── TRANSFER HISTORY ─────────────────────────────────────────────────────────
 /**
- * Completes the withdrawal exit process for a checkpointed transaction
- * 
- * This function handles the final steps of withdrawal:
- * 1. Fetches the proof for the transaction (must be checkpointed)
- * 2. Submits proof to ERC20 Predicate on Sepolia
- * 3. Processes the exit to release tokens
- * 
- * Usage: node bridge.js exit <transaction_hash>
+ * Prints the wallet's bridge transfers from bridge.history() as a table
+ *
+ * Each transfer gets its phase and explorer links, followed by the next
+ * command for anything still in flight. (--json prints the result line instead.)
+ *
+ * @param {Object} history - { address, days, token, transfers } from bridge.history()
  */
-async function completeExit() {
-  const txHash = process.argv[3];
-  if (!txHash) {
-    console.error('❌ Please provide transaction hash');
-    console.log('Usage: node bridge.js exit <transaction_hash>');
+function printHistory(history) {
+  const { token, transfers } = history;
+
+  if (transfers.length === 0) {
+    console.log('ℹ️  No bridge transfers found in this window (try --days 30)');
     return;
   }
 
-  console.log(`🚀 Completing exit for: ${txHash}`);
-  
-  try {
-    // Generate proof
-    const proofData = await waitForCheckpoint(txHash);
-    
-    // Process exit
-    await processExit(proofData);
-    console.log('✅ Exit completed successfully!');
-    
-  } catch (error) {
-    console.error('❌ Exit completion failed:', error.message);
+  console.log('');
+  console.log(`  ${'Date'.padEnd(20)}${'Type'.padEnd(10)}${`Amount (${token.symbol})`.padEnd(16)}${'Phase'.padEnd(19)}Transaction`);
+  for (const transfer of transfers) {
+    const date = new Date(transfer.timestamp * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    const [primaryLink, ...exitLinks] = Object.entries(transfer.links);
+    console.log(
+      `  ${date.padEnd(20)}${transfer.type.padEnd(10)}${transfer.amount.padEnd(16)}` +
+      `${transfer.phase.padEnd(19)}${primaryLink[1]}`
+    );
+    for (const [label, url] of exitLinks) {
+      console.log(`  ${''.padEnd(65)}↳ ${label}: ${url}`);
+    }
+  }
+
+  // Point at the next command for anything still in flight
+  const ready = transfers.filter((transfer) => transfer.phase === STAGES.CHECKPOINTED);
+  const started = transfers.filter((transfer) => transfer.phase === STAGES.EXIT_STARTED);
+  for (const transfer of ready) {
+    console.log(`\n💡 Ready to exit: node bridge.js exit ${transfer.hash}`);
+  }
+  if (started.length > 0) {
+    console.log(`\n💡 ${started.length} exit(s) waiting to be processed: npm run finalize`);
   }
 }
 
-// ─── FINALIZE EXIT ────────────────────────────────────────────────────────────
+// ─── SERVE ────────────────────────────────────────────────────────────────────
 /**
- * Finalizes all pending exits for POL tokens
- * 
- * This function calls processExits on the Withdraw Manager to finalize
- * all exits that have completed their challenge period. Use this when
- * you have pending exits that are ready to be processed.
- * 
- * Usage: node bridge.js finalize
+ * Runs the background worker and its REST API until SIGINT/SIGTERM
+ *
+ * The API listens on SERVE_HOST (default 127.0.0.1, so only this machine
+ * can submit transfers) and --port / SERVE_PORT; with SERVE_TOKEN set every
+ * request needs `Authorization: Bearer <token>`. Stage transitions are POSTed
+ * to WEBHOOK_URLS (see lib/webhooks.js).
+ *
+ * @returns {Object} { url, address, network, webhooks } once the API is listening
  */
-async function finalizeExit() {
-  console.log('🏁 Finalizing exits after challenge period...');
-  
-  try {
-    // Call processExits on Withdraw Manager to finalize all pending exits
-    const withdrawContract = new ethers.Contract(
-      WITHDRAW_MANAGER,
-      ['function processExits(address _token) external'],
-      walletSepolia
-    );
-    
-    const processExitTx = await withdrawContract.processExits(POL_SEPOLIA);
-    await processExitTx.wait();
-    console.log('  ✔ ProcessExit:', `https://sepolia.etherscan.io/tx/${processExitTx.hash}`);
-    
-    console.log('💰 All eligible POL tokens have been released on Sepolia!');
-    
-  } catch (error) {
-    console.error('❌ Finalization failed:', error.message);
-    console.log('💡 Make sure the 7-day challenge period has passed');
+async function serve() {
+  const log = BRIDGE_OPTIONS.log;
+  const port = Number(options.port || process.env.SERVE_PORT || 8080);
+  const host = process.env.SERVE_HOST || '127.0.0.1';
+  const webhookUrls = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean);
+
+  const notifier = new WebhookNotifier({
+    urls: webhookUrls,
+    secret: process.env.WEBHOOK_SECRET,
+    attempts: Number(process.env.WEBHOOK_RETRIES || 5) + 1,
+    log,
+  });
+  const daemon = new BridgeDaemon(bridge, {
+    notifier,
+    retryMinutes: Number(process.env.SERVE_RETRY_MINUTES || 15),
+    finalizeMinutes: Number(process.env.SERVE_FINALIZE_MINUTES || 10),
+    log,
+  });
+  const server = createApiServer(daemon, { token: process.env.SERVE_TOKEN, log });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  log(`🛰️  Bridge API on http://${host}:${port} for ${bridge.address} (${bridge.network.name})`);
+  log(`   🔔 Webhooks: ${webhookUrls.length > 0 ? webhookUrls.join(', ') : 'none (set WEBHOOK_URLS)'}`);
+  if (!process.env.SERVE_TOKEN) {
+    log('   💡 No SERVE_TOKEN set — anyone who can reach the port can submit transfers');
   }
+  daemon.start();
+
+  const shutdown = (signal) => {
+    log(`\n👋 ${signal} received — stopping (sent transfers continue on the next start)`);
+    daemon.stop().then(() => server.close(() => process.exit(0)));
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  return { url: `http://${host}:${port}`, address: bridge.address, network: bridge.network.name, webhooks: webhookUrls.length };
+}
+
+// ─── COMMANDS ─────────────────────────────────────────────────────────────────
+/**
+ * Runs one command against the connected bridge
+ *
+ * Positional arguments are checked here (throwing with the command's usage
+ * line); everything else is up to the PolBridge method, which throws on failure.
+ *
+ * @param {string} mode - Command being run
+ * @returns {Object} The PolBridge method's result
+ */
+async function runCommand(mode) {
+  const [, first, second] = args;
+
+  if (mode === 'deposit') {
+    return bridge.deposit({ amount: first, token: options.token, to: options.to, dryRun: DRY_RUN, export: EXPORT_TO });
+  } else if (mode === 'withdraw') {
+    return bridge.withdraw({ amount: first, token: options.token, dryRun: DRY_RUN, export: EXPORT_TO });
+  } else if (mode === 'deposit-nft') {
+    if (!first || second === undefined) {
+      throw usageError('Please provide the collection and token ID', 'node bridge.js deposit-nft <collection> <tokenId> [--to address|ens] [--safe-transfer] [--dry-run]');
+    }
+    return bridge.depositNFT({
+      collection: first,
+      tokenId: second,
+      to: options.to,
+      safeTransfer: Boolean(options['safe-transfer']),
+      dryRun: DRY_RUN,
+    });
+  } else if (mode === 'withdraw-nft') {
+    if (!first || second === undefined) {
+      throw usageError('Please provide the collection and token ID', 'node bridge.js withdraw-nft <collection> <tokenId> [--dry-run]');
+    }
+    return bridge.withdrawNFT({ collection: first, tokenId: second, dryRun: DRY_RUN });
+  } else if (mode === 'deposit-batch') {
+    if (!first) {
+      throw usageError('Please provide the manifest file', 'node bridge.js deposit-batch <manifest.csv|json> [--sequential] [--chunk-size N] [--report file] [--approval exact|unlimited] [--dry-run]');
+    }
+    return bridge.depositBatch({
+      manifest: first,
+      sequential: Boolean(options.sequential),
+      chunkSize: options['chunk-size'],
+      report: options.report,
+      token: options.token,
+      dryRun: DRY_RUN,
+    });
+  } else if (mode === 'check') {
+    if (!first) {
+      throw usageError('Please provide transaction hash', 'node bridge.js check <transaction_hash>');
+    }
+    return bridge.checkStatus(first);
+  } else if (mode === 'exit') {
+    if (!first) {
+      throw usageError('Please provide transaction hash', 'node bridge.js exit <transaction_hash> [--dry-run | --export file]');
+    }
+    return bridge.exit(first, { token: options.token, dryRun: DRY_RUN, export: EXPORT_TO });
+  } else if (mode === 'finalize') {
+    return bridge.finalize({ token: options.token, wait: Boolean(options.wait), days: options.days, dryRun: DRY_RUN, export: EXPORT_TO });
+  } else if (mode === 'track-deposit') {
+    if (!first) {
+      throw usageError('Please provide the Sepolia deposit transaction hash', 'node bridge.js track-deposit <sepolia_tx_hash> [--deadline minutes]');
+    }
+    return bridge.trackDeposit(first);
+  } else if (mode === 'resume') {
+    return bridge.resume();
+  } else if (mode === 'history' || mode === 'status') {
+    const history = await bridge.history({ days: options.days, token: options.token });
+    if (!options.json) {
+      printHistory(history);
+    }
+    return history;
+  } else if (mode === 'broadcast') {
+    if (!first) {
+      throw usageError('Please provide the export file', 'node bridge.js broadcast <export.json> [signed.txt]');
+    }
+    return bridge.broadcast({ exportFile: first, signedFile: second });
+  } else if (mode === 'cancel') {
+    return bridge.cancel(Number(first), { chain: options.chain });
+  } else if (mode === 'serve') {
+    return serve();
+  } else if (mode === 'doctor') {
+    return bridge.doctor();
+  }
+  return undefined;
 }
 
 // ─── MAIN ENTRY POINT ──────────────────────────────────────────────────────────
 /**
  * Main application entry point - routes commands to appropriate functions
  * 
+ * Each command is one PolBridge method (lib/polbridge.js); its result or
+ * error is reported here (--json: one object per step) and sets the exit
+ * code — see lib/errors.js for the codes per failure category.
+ * 
  * Available commands:
- * - deposit [amount]     : Deposit POL from Sepolia to Amoy
- * - withdraw [amount]    : Withdraw POL from Amoy to Sepolia
+ * - deposit [amount]     : Deposit POL (or --token) from Sepolia to Amoy
+ * - withdraw [amount]    : Withdraw POL (or --token) from Amoy to Sepolia
+ * - deposit-nft <collection> <tokenId>  : Deposit an ERC-721 NFT from Sepolia to Amoy
+ * - withdraw-nft <collection> <tokenId> : Withdraw an ERC-721 NFT from Amoy to Sepolia
+ * - deposit-batch <manifest>            : Deposit to many recipients from a CSV/JSON file
  * - check <tx_hash>      : Check withdrawal checkpoint status
  * - exit <tx_hash>       : Complete withdrawal exit process
- * - finalize             : Finalize all pending exits
+ * - finalize             : Release pending exits past their challenge period (--wait to sleep until one is)
+ * - track-deposit <hash> : Wait for a Sepolia deposit to arrive on Amoy
+ * - resume               : Complete every unfinished transfer in the journal
+ * - history | status     : List the wallet's bridge transfers from on-chain data
+ * - broadcast <file>     : Submit transactions signed from an --export and continue the flow
+ * - cancel <nonce>       : Replace a stuck transaction with a 0-value self-transfer (--chain root|child)
+ * - serve                : Run the background worker with a REST API and webhooks (--port)
+ * - doctor               : Check the RPCs, contract addresses and how the contracts are wired (no signer needed)
+ * 
+ * deposit, withdraw, deposit-nft, withdraw-nft, deposit-batch, exit and
+ * finalize accept --dry-run to simulate the transactions (calldata, gas, fees,
+ * revert reasons) without broadcasting. deposit, withdraw, finalize and history
+ * accept --token <symbol|address> (deposit-batch uses it for rows without a
+ * token); <collection> is an address or tokens.json symbol.
+ * 
+ * Every command accepts --network amoy|mainnet|custom (default amoy, or
+ * BRIDGE_NETWORK); both RPCs' chain IDs are verified before it runs.
+ * Commands that need an exit proof accept --proof-source api|local
+ * (default api, or PROOF_SOURCE).
+ * 
+ * Transactions are signed by the source chosen with --signer (or SIGNER):
+ * key, keystore, mnemonic or remote. --watch <address> runs check,
+ * track-deposit, history and any --dry-run without a key. deposit, withdraw,
+ * exit and finalize accept --export <file> to write unsigned transactions
+ * (--export-format raw|safe) for a multisig or an offline signer instead.
+ * 
+ * Sent transactions use the profile's fee caps, wait for CONFIRMATIONS blocks
+ * and are replaced with higher fees after SPEEDUP_AFTER_SECONDS unmined.
  * 
  * Examples:
  * - node bridge.js deposit 5
+ * - node bridge.js deposit 5 --to alice.eth
  * - node bridge.js withdraw 10
  * - node bridge.js check 0xabc123...
+ * - node bridge.js history --network mainnet
+ * - node bridge.js history --watch 0x1234...
  */
 async function main() {
-  const mode = process.argv[2];
-  if (mode === 'deposit') {
-    await bridgePOL();
-  } else if (mode === 'withdraw') {
-    await withdrawPOL();
-  } else if (mode === 'check') {
-    await checkStatus();
-  } else if (mode === 'exit') {
-    await completeExit();
-  } else if (mode === 'finalize') {
-    await finalizeExit();
-  } else {
+  const mode = args[0];
+  const commands = [
+    'deposit', 'withdraw', 'deposit-nft', 'withdraw-nft', 'deposit-batch', 'check', 'exit',
+    'finalize', 'track-deposit', 'resume', 'history', 'status', 'broadcast', 'cancel',
+    'serve', 'doctor',
+  ];
+
+  if (!commands.includes(mode)) {
     console.log('Usage:');
-    console.log('  node bridge.js deposit [amount]');
-    console.log('  node bridge.js withdraw [amount]');
-    console.log('  node bridge.js check <transaction_hash>');
-    console.log('  node bridge.js exit <transaction_hash>');
-    console.log('  node bridge.js finalize');
+    console.log('  node bridge.js deposit [amount] [--to address|ens] [--token symbol|address] [--approval exact|unlimited] [--dry-run | --export file]');
+    console.log('  node bridge.js withdraw [amount] [--token symbol|address] [--dry-run | --export file]');
+    console.log('  node bridge.js deposit-nft <collection> <tokenId> [--to address|ens] [--safe-transfer] [--dry-run]');
+    console.log('  node bridge.js withdraw-nft <collection> <tokenId> [--dry-run]');
+    console.log('  node bridge.js deposit-batch <manifest.csv|json> [--sequential] [--chunk-size N] [--report file] [--dry-run]');
+    console.log('  node bridge.js check <transaction_hash> [--proof-source api|local]');
+    console.log('  node bridge.js exit <transaction_hash> [--proof-source api|local] [--deadline minutes] [--dry-run | --export file]');
+    console.log('  node bridge.js finalize [--token symbol|address] [--wait] [--days N] [--dry-run | --export file]');
+    console.log('  node bridge.js track-deposit <sepolia_tx_hash> [--deadline minutes]');
+    console.log('  node bridge.js resume [--deadline minutes]');
+    console.log('  node bridge.js history [--days 7] [--token symbol|address] [--json]');
+    console.log('  node bridge.js broadcast <export.json> [signed.txt]');
+    console.log('  node bridge.js cancel <nonce> --chain root|child');
+    console.log('  node bridge.js serve [--port 8080]');
+    console.log('  node bridge.js doctor [--proof-source api|local]');
+    console.log('');
+    console.log('  Any command: --network amoy|mainnet|custom (default amoy)');
+    console.log('               --signer key|keystore|mnemonic|remote, or --watch <address|ens> (check/track-deposit/history, --dry-run, --export)');
+    console.log('  deposit/withdraw/exit/finalize: --export <file> [--export-format raw|safe] writes unsigned transactions instead');
+    console.log('  Transactions: CONFIRMATIONS, SPEEDUP_AFTER_SECONDS, FEE_BUMP_PERCENT and per-chain *_MAX_FEE_GWEI / *_PRIORITY_FEE_GWEI in .env');
+    console.log('  --json: one JSON object per step on stdout instead of progress text');
+    console.log('  Exit codes: 0 ok, 1 error, 2 usage, 3 not ready yet (checkpoint, proof, challenge period),');
+    console.log('              4 insufficient balance, 5 reverted, 6 network error');
+    if (mode) {
+      process.exitCode = EXIT_CODES.usage;
+    }
+    return;
+  }
+
+  // Make sure both RPCs serve the chains the selected profile describes,
+  // then load the signer (may prompt for a keystore passphrase)
+  if (EXPORT_FILE && !EXPORT_COMMANDS.includes(mode)) {
+    report(mode, { error: categorized(`--export works with ${EXPORT_COMMANDS.join(', ')}`, 'usage') });
+    return;
+  }
+  if (EXPORT_FILE && DRY_RUN) {
+    report(mode, { error: categorized('Use either --dry-run or --export', 'usage') });
+    return;
+  }
+
+  // --json: every progress event becomes a step line
+  if (options.json) {
+    for (const event of EVENTS) {
+      bridge.on(event, (payload) => printJson({ step: event, command: mode, ...payload }));
+    }
+  }
+
+  try {
+    // doctor needs no signer, and checks the RPCs itself instead of stopping at the first bad one
+    if (mode !== 'doctor') {
+      await connectSigners(mode);
+    }
+    report(mode, { result: await runCommand(mode) });
+  } catch (error) {
+    report(mode, { error });
   }
 }
 
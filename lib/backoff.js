@@ -0,0 +1,52 @@
+/**
+ * Retry Delays - exponential backoff with jitter
+ *
+ * Used for HTTP/RPC calls that may fail or lag behind the chain (e.g. the
+ * proof API right after a checkpoint). Each retry waits about twice as long
+ * as the last, up to a cap, with a random part so many clients retrying at
+ * once don't stay in step.
+ */
+
+/**
+ * Delay before retry number `attempt`
+ *
+ * "Equal jitter": half of the exponential delay is fixed, the other half random.
+ *
+ * @param {number} attempt - Retries so far (0 for the first retry)
+ * @param {Object} [opts] - { baseMs, maxMs }
+ *   baseMs: delay before the first retry, before jitter (default 5 s)
+ *   maxMs:  cap on the exponential delay (default 5 min)
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, { baseMs = 5000, maxMs = 5 * 60 * 1000 } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Waits for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early (resolves) when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+module.exports = {
+  backoffDelay,
+  sleep,
+};
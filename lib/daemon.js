@@ -0,0 +1,495 @@
+/**
+ * Bridge Daemon - background worker and local REST API for `node bridge.js serve`
+ *
+ * Takes deposits and withdrawals over HTTP and drives them to completion
+ * without a terminal staying open:
+ *
+ * - Submissions are queued and sent one at a time, as are exits and
+ *   processExits, so transactions never compete for a nonce.
+ * - Once sent, each transfer is watched on its own: deposits until they are
+ *   credited on the child chain (trackDeposit), burns until their checkpoint
+ *   (waitForCheckpoint), after which the exit is queued (processExit).
+ * - Exits still in their challenge period are released by a periodic
+ *   finalize for every token with a started exit.
+ * - Every stage transition in the journal is POSTed to the webhooks.
+ *
+ * Unfinished transfers already in the journal are picked up on start, like
+ * `resume`. A wait that fails (deadline, RPC outage) is retried after
+ * `retryMinutes`. Stopping cancels the watches: retry pauses end at once,
+ * waits still running in the bridge are abandoned, and no exit or finalize
+ * queued behind them is sent. Submissions still queued when the daemon stops
+ * are lost; anything already sent is in the journal and continues on the
+ * next start.
+ *
+ * API (JSON in and out; `Authorization: Bearer <token>` when a token is set):
+ *   POST /transfers        { type: 'deposit'|'withdraw', amount, token?, to? } → 202 job
+ *   GET  /transfers        ?stage=…&type=… → { transfers: [...] } (queued jobs first, then the journal)
+ *   GET  /transfers/:id    burn/deposit hash or job ID → transfer
+ *   GET  /health           → { status, network, address, queued, watching }
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { STAGES } = require('./journal');                   // Transfer stages
+const { sleep } = require('./backoff');                    // Retry delays
+const { categorize } = require('./errors');                // Failure categories (insufficient_balance, …)
+
+// Largest request body the API accepts
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Decimal token amount, as typed on the command line
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+// Stages after which the daemon has nothing left to watch
+const FINAL_STAGES = [STAGES.DEPOSIT_CREDITED, STAGES.EXIT_PROCESSED, STAGES.FAILED];
+
+/**
+ * Error for a request the API rejects (sent back with its status code)
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Explanation for the caller
+ * @returns {Error} Error with `.status`
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Compares a request header with a secret in constant time
+ *
+ * @param {string|undefined} given - Header value from the request
+ * @param {string} expected - Value it must equal
+ * @returns {boolean} True when they match
+ */
+function sameSecret(given, expected) {
+  const givenBytes = Buffer.from(given || '', 'utf8');
+  const expectedBytes = Buffer.from(expected, 'utf8');
+  return givenBytes.length === expectedBytes.length && crypto.timingSafeEqual(givenBytes, expectedBytes);
+}
+
+/**
+ * JSON.stringify that writes bigints as decimal strings
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+// ─── WORKER ────────────────────────────────────────────────────────────────────
+
+class BridgeDaemon {
+  /**
+   * @param {PolBridge} bridge - Connected bridge that sends and waits (its `journal` is the one watched)
+   * @param {Object} [options]
+   *   notifier:        WebhookNotifier for stage transitions (optional)
+   *   retryMinutes:    pause before retrying a failed wait (default 15)
+   *   finalizeMinutes: how often exits in their challenge period are checked (default 10)
+   *   log:             progress output, called like console.log (default: silent)
+   */
+  constructor(bridge, { notifier, retryMinutes = 15, finalizeMinutes = 10, log = () => {} } = {}) {
+    this.bridge = bridge;
+    this.journal = bridge.journal; // The bridge's own transfer journal
+    this.notifier = notifier;
+    this.retryMinutes = retryMinutes;
+    this.finalizeMinutes = finalizeMinutes;
+    this.log = log;
+
+    this.jobs = new Map();        // Job ID → submission (queued, sending, sent or failed)
+    this.watching = new Map();    // Lowercase hash → its running #watchLoop()
+    this.stopped = true;
+    this.abortController = undefined; // Aborted by stop() to cancel the watch loops
+    this.queueTail = Promise.resolve();
+    this.sending = undefined;     // Job whose transaction is being sent right now
+    this.finalizeTimer = undefined;
+    this.removeListener = undefined;
+  }
+
+  /**
+   * Starts notifying, picks up unfinished journal transfers and schedules finalize
+   */
+  start() {
+    this.stopped = false;
+    this.abortController = new AbortController();
+    this.removeListener = this.journal.onStageChange((record, previousStage) => this.#onStageChange(record, previousStage));
+
+    const unfinished = this.journal.listUnfinished();
+    if (unfinished.length > 0) {
+      this.log(`🔁 Picking up ${unfinished.length} unfinished transfer(s) from ${this.journal.file}`);
+    }
+    for (const transfer of unfinished) {
+      this.#watch(transfer.hash);
+    }
+
+    this.#finalizeRipeExits();
+    this.finalizeTimer = setInterval(() => this.#finalizeRipeExits(), this.finalizeMinutes * 60 * 1000);
+    this.finalizeTimer.unref?.();
+  }
+
+  /**
+   * Stops scheduling new work and cancels the watch loops
+   *
+   * A wait still running in the bridge (trackDeposit, waitForCheckpoint) is
+   * abandoned rather than awaited: it only reads the chains and the journal,
+   * and nothing is sent once it returns.
+   *
+   * @returns {Promise<void>} Resolves once every watch loop has exited
+   */
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.finalizeTimer);
+    this.removeListener?.();
+    this.abortController?.abort();
+    await Promise.all(this.watching.values());
+  }
+
+  /**
+   * Queues a deposit or withdrawal
+   *
+   * @param {Object} request - { type: 'deposit'|'withdraw', amount, token?, to? (deposits only) }
+   * @returns {Object} The queued job (see #jobView())
+   */
+  submit(request) {
+    const { type, amount, token, to } = request || {};
+    if (!['deposit', 'withdraw'].includes(type)) {
+      throw requestError(400, 'type must be "deposit" or "withdraw"');
+    }
+    if (!AMOUNT_PATTERN.test(String(amount ?? '')) || Number(amount) <= 0) {
+      throw requestError(400, 'amount must be a positive decimal number, e.g. "5" or "0.25"');
+    }
+    if (token !== undefined && typeof token !== 'string') {
+      throw requestError(400, 'token must be a symbol or address');
+    }
+    if (to !== undefined && (type !== 'deposit' || typeof to !== 'string')) {
+      throw requestError(400, 'to is only for deposits, as an address or ENS name');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      request: { amount: String(amount), token, to },
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.jobs.set(job.id, job);
+    this.log(`📥 Queued ${type} of ${job.request.amount} ${token || 'POL'} (job ${job.id})`);
+    this.#serial(() => this.#send(job));
+    return this.#jobView(job);
+  }
+
+  /**
+   * Lists queued jobs that have no transfer yet, then every journaled transfer
+   *
+   * @param {Object} [filter] - { stage, type }
+   * @returns {Object[]} Jobs (stage = queued/sending/failed) and journal records
+   */
+  listTransfers({ stage, type } = {}) {
+    const pending = [...this.jobs.values()]
+      .filter((job) => !job.hash)
+      .map((job) => this.#jobView(job));
+    return [...pending, ...this.journal.listTransfers()].filter((transfer) =>
+      (!stage || transfer.stage === stage) && (!type || transfer.type === type)
+    );
+  }
+
+  /**
+   * Looks up a transfer by its transaction hash or the job ID from submit()
+   *
+   * @param {string} id - Deposit/burn hash, or job ID
+   * @returns {Object|undefined} Journal record (with jobId), or the job while it has no transfer
+   */
+  getTransfer(id) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(id)) {
+      return this.journal.getTransfer(id);
+    }
+    const job = this.jobs.get(id);
+    if (job?.hash) {
+      return this.journal.getTransfer(job.hash) || this.#jobView(job);
+    }
+    if (job) {
+      return this.#jobView(job);
+    }
+    // Jobs from before a restart are only known through the journal
+    return this.journal.listTransfers().find((transfer) => transfer.jobId === id);
+  }
+
+  /**
+   * Worker state for /health
+   *
+   * @returns {Object} { queued, watching }
+   */
+  status() {
+    return {
+      queued: [...this.jobs.values()].filter((job) => job.status === 'queued' || job.status === 'sending').length,
+      watching: this.watching.size,
+    };
+  }
+
+  /**
+   * Runs `task` after everything queued before it (one transaction sender at a time)
+   *
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} The task's result
+   */
+  #serial(task) {
+    const run = this.queueTail.then(task);
+    this.queueTail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Sends a job's deposit or burn, then starts watching it
+   *
+   * A job that fails before any transfer is journaled (pre-flight checks,
+   * balance, unknown token) gets a `job.failed` webhook instead of a stage one.
+   *
+   * @param {Object} job - Job from submit()
+   */
+  async #send(job) {
+    Object.assign(job, { status: 'sending', updatedAt: new Date().toISOString() });
+    this.sending = job;
+    try {
+      const { amount, token, to } = job.request;
+      const result = job.type === 'deposit'
+        ? await this.bridge.deposit({ amount, token, to, track: false })
+        : await this.bridge.withdraw({ amount, token, complete: false });
+
+      Object.assign(job, { status: 'sent', hash: result.hash, updatedAt: new Date().toISOString() });
+      const record = this.journal.getTransfer(result.hash);
+      if (record) {
+        this.journal.advanceStage(result.hash, record.stage, { jobId: job.id });
+      }
+      this.#watch(result.hash);
+    } catch (error) {
+      Object.assign(job, {
+        status: 'failed',
+        error: error.message,
+        category: categorize(error),
+        problems: error.problems,
+        updatedAt: new Date().toISOString(),
+      });
+      this.log(`❌ Job ${job.id} (${job.type}) failed: ${error.message}`);
+      if (!job.hash) {
+        this.notifier?.notify({ event: 'job.failed', network: this.bridge.network.name, job: this.#jobView(job) });
+      }
+    } finally {
+      this.sending = undefined;
+    }
+  }
+
+  /**
+   * Starts watching a transfer unless it is already watched
+   *
+   * @param {string} hash - Deposit or burn hash in the journal
+   */
+  #watch(hash) {
+    const key = hash.toLowerCase();
+    if (!this.watching.has(key)) {
+      this.watching.set(key, this.#watchLoop(hash).finally(() => this.watching.delete(key)));
+    }
+  }
+
+  /**
+   * Waits for a transfer's next milestone, retrying until it is final or the daemon stops
+   *
+   * Deposits wait to be credited. Burns wait for their checkpoint, then the
+   * exit is queued; once it is started the periodic finalize takes over.
+   *
+   * @param {string} hash - Deposit or burn hash in the journal
+   */
+  async #watchLoop(hash) {
+    const { signal } = this.abortController;
+    while (!this.stopped) {
+      const record = this.journal.getTransfer(hash);
+      if (!record || FINAL_STAGES.includes(record.stage) || record.stage === STAGES.EXIT_STARTED) {
+        return;
+      }
+
+      try {
+        if (record.type === 'deposit') {
+          await this.#unlessStopped(this.bridge.trackDeposit(hash));
+        } else {
+          const token = await this.#unlessStopped(this.bridge.getBurnToken(hash));
+          const proofData = await this.#unlessStopped(this.bridge.waitForCheckpoint(hash, token));
+          await this.#serial(() => (this.stopped ? undefined : this.bridge.processExit(proofData, hash, token)));
+        }
+      } catch (error) {
+        if (this.stopped) {
+          return;
+        }
+        this.log(`⚠️  ${record.type} ${hash}: ${error.message} — retrying in ${this.retryMinutes} min`);
+        await sleep(this.retryMinutes * 60 * 1000, signal);
+      }
+    }
+  }
+
+  /**
+   * Settles like `wait`, or rejects as soon as the daemon is stopped
+   *
+   * @param {Promise<*>} wait - Bridge call in progress
+   * @returns {Promise<*>} Its result
+   */
+  async #unlessStopped(wait) {
+    const { signal } = this.abortController;
+    signal.throwIfAborted();
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return await Promise.race([wait, aborted]);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Queues a finalize for every token that has an exit waiting out its challenge period
+   */
+  async #finalizeRipeExits() {
+    const tokens = new Set(
+      this.journal.listUnfinished()
+        .filter((transfer) => transfer.stage === STAGES.EXIT_STARTED)
+        .map((transfer) => transfer.token || this.bridge.network.polRoot)
+    );
+    for (const token of tokens) {
+      try {
+        await this.#serial(() => (this.stopped ? undefined : this.bridge.finalize({ token })));
+      } catch (error) {
+        this.log(`⚠️  Finalize for ${token} failed: ${error.message} — trying again in ${this.finalizeMinutes} min`);
+      }
+    }
+  }
+
+  /**
+   * Journal listener: tags new transfers with the job being sent and notifies the webhooks
+   *
+   * @param {Object} record - Journal record after the change (a copy)
+   * @param {string|undefined} previousStage - Stage before, undefined for a new transfer
+   */
+  #onStageChange(record, previousStage) {
+    if (previousStage === undefined && this.sending) {
+      record.jobId = this.sending.id; // Persisted by #send() once the transaction is mined
+    }
+    this.log(`📒 ${record.type} ${record.hash}: ${previousStage || 'new'} → ${record.stage}`);
+    this.notifier?.notify({
+      event: 'transfer.stage_changed',
+      network: this.bridge.network.name,
+      previousStage: previousStage ?? null,
+      transfer: record,
+    });
+  }
+
+  /**
+   * What the API shows for a job that has no journaled transfer (yet)
+   *
+   * @param {Object} job - Job from submit()
+   * @returns {Object} { jobId, type, stage, request, hash?, error?, category?, problems?, createdAt, updatedAt }
+   */
+  #jobView(job) {
+    const { id, status, ...rest } = job;
+    return { jobId: id, stage: status, ...rest };
+  }
+}
+
+// ─── HTTP API ──────────────────────────────────────────────────────────────────
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw requestError(413, `Request body over ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw requestError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Creates the REST API server for a daemon (not listening yet)
+ *
+ * @param {BridgeDaemon} daemon - Worker the API submits to and reads from
+ * @param {Object} [options]
+ *   token: bearer token every request must carry (optional)
+ *   log:   progress output, called like console.log (default: silent)
+ * @returns {http.Server} Server; call listen(port, host)
+ */
+function createApiServer(daemon, { token, log = () => {} } = {}) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(toJson(body));
+    };
+
+    try {
+      if (token && !sameSecret(req.headers.authorization, `Bearer ${token}`)) {
+        throw requestError(401, 'Missing or wrong bearer token');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const [collection, id, ...extra] = url.pathname.split('/').filter(Boolean);
+
+      if (collection === 'health' && !id) {
+        if (req.method !== 'GET') {
+          throw requestError(405, 'Use GET');
+        }
+        send(200, { status: 'ok', network: daemon.bridge.network.name, address: daemon.bridge.address, ...daemon.status() });
+        return;
+      }
+
+      if (collection !== 'transfers' || extra.length > 0) {
+        throw requestError(404, `No route for ${url.pathname}`);
+      }
+
+      if (!id && req.method === 'POST') {
+        const job = daemon.submit(await readJsonBody(req));
+        log(`🌐 POST /transfers → job ${job.jobId}`);
+        send(202, job, { Location: `/transfers/${job.jobId}` });
+      } else if (!id && req.method === 'GET') {
+        const stage = url.searchParams.get('stage') || undefined;
+        const type = url.searchParams.get('type') || undefined;
+        send(200, { transfers: daemon.listTransfers({ stage, type }) });
+      } else if (id && req.method === 'GET') {
+        const transfer = daemon.getTransfer(id);
+        if (!transfer) {
+          throw requestError(404, `No transfer or job ${id}`);
+        }
+        send(200, transfer);
+      } else {
+        throw requestError(405, id ? 'Use GET' : 'Use GET or POST');
+      }
+    } catch (error) {
+      if (!error.status) {
+        log(`❌ API error on ${req.method} ${req.url}: ${error.message}`);
+      }
+      send(error.status || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  BridgeDaemon,
+  createApiServer,
+};
@@ -0,0 +1,315 @@
+/**
+ * Diagnostics - decoded revert reasons and what to do about them
+ *
+ * Reverts reach the tool in many shapes: a reason ethers already decoded,
+ * revert data on the error, revert data nested in the node's JSON-RPC error
+ * (ganache wraps it in an object), or only the node's message ("execution
+ * reverted: Is Locked"). decodeRevert() finds the data wherever it is and
+ * decodes it against the bridge contract ABIs: Error(string), Panic(uint256)
+ * and the custom errors below.
+ *
+ * diagnose() matches the decoded reason against the revert strings of the
+ * plasma contracts (KNOWN_ERRORS) and adds an explanation and the next step:
+ *
+ *   ❌ startExitWithBurntTokens failed: KNOWN_EXIT — an exit for this burn has already been started
+ *   💡 Nothing to redo: release it with `node bridge.js finalize` once its challenge period is over
+ */
+
+const ethers = require('ethers');
+
+// Custom errors tokens on either side of the bridge may revert with (OpenZeppelin 5)
+const customErrorAbi = [
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC721InsufficientApproval(address operator, uint256 tokenId)',
+  'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+];
+
+// What a revert is decoded against after the called contract's own ABI
+// (ethers' Interface knows Error(string) and Panic(uint256) already)
+const BRIDGE_INTERFACE = new ethers.Interface(customErrorAbi);
+
+// Solidity panic codes (Panic(uint256)) worth naming
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function',
+};
+
+// Prefixes nodes put before the reason in their error messages
+const NODE_MESSAGE_PREFIXES = [
+  /^VM Exception while processing transaction: (?:revert|reverted with reason string)\s*/i,
+  /^execution reverted:?\s*/i,
+];
+
+// ─── KNOWN PLASMA ERRORS ──────────────────────────────────────────────────────
+// Revert strings of the plasma contracts (DepositManager, WithdrawManager,
+// ERC20 predicate, RootChain, native POL / child tokens) and what they mean.
+// `match` is tested against the decoded reason; `category` overrides the
+// exit code category (lib/errors.js) of the error.
+const KNOWN_ERRORS = [
+  {
+    code: 'known_exit',
+    match: /KNOWN_EXIT/,
+    category: 'reverted',
+    explanation: 'an exit for this burn has already been started',
+    next: 'Nothing to redo: release it with `node bridge.js finalize` once its challenge period is over',
+  },
+  {
+    code: 'invalid_proof',
+    match: /INVALID_RECEIPT_MERKLE_PROOF|INVALID_TX_MERKLE_PROOF|WITHDRAW_BLOCK_NOT_A_PART_OF_SUBMITTED_HEADER|Not a withdraw event signature/,
+    category: 'reverted',
+    explanation: 'the exit proof does not match a checkpoint on the root chain',
+    next: 'Fetch a fresh proof (`node bridge.js check <burn>`, or try --proof-source local) and make sure the burn was made on this profile\'s child chain',
+  },
+  {
+    code: 'wrong_exitor',
+    match: /Withdrawer and burn exit tx do not match/,
+    category: 'reverted',
+    explanation: 'only the account that burned the tokens can start their exit',
+    next: 'Run the exit with the key that sent the burn on the child chain',
+  },
+  {
+    code: 'predicate_not_authorized',
+    match: /PREDICATE_NOT_AUTHORIZED/,
+    category: 'reverted',
+    explanation: 'the predicate is not registered with the WithdrawManager',
+    next: 'Check the predicate address in your network settings (`node bridge.js doctor`)',
+  },
+  {
+    code: 'exit_not_mature',
+    match: /EXIT_NOT_MATURE/,
+    category: 'not_ready',
+    explanation: 'the exit is still in its challenge period, so processExits released nothing',
+    next: 'Run `node bridge.js finalize --wait` to release it once it matures',
+  },
+  {
+    code: 'deposit_over_max',
+    match: /exceed maximum deposit amount/,
+    category: 'usage',
+    explanation: 'the amount is above the DepositManager\'s maxErc20Deposit',
+    next: 'Split it into several smaller deposits',
+  },
+  {
+    code: 'deposit_manager_locked',
+    match: /Is Locked/,
+    category: 'not_ready',
+    explanation: 'the DepositManager is locked — deposits are paused by governance',
+    next: 'Nothing is wrong on your side; try again later',
+  },
+  {
+    code: 'token_not_mapped',
+    match: /TOKEN_NOT_SUPPORTED/,
+    category: 'usage',
+    explanation: 'the token is not mapped on the plasma bridge',
+    next: 'Use the root token address of a mapped token (or add the right one to tokens.json)',
+  },
+  {
+    code: 'wrong_msg_value',
+    match: /^Insufficient amount$/,
+    category: 'reverted',
+    explanation: 'the child token rejected the burn: native POL needs msg.value equal to the amount, other child tokens need the balance',
+    next: 'Check the amount against your child chain balance, and that the token address is the child token',
+  },
+  {
+    code: 'insufficient_allowance',
+    match: /insufficient allowance|exceeds allowance|ERC20InsufficientAllowance/,
+    category: 'reverted',
+    explanation: 'the DepositManager may not spend that many tokens yet',
+    next: 'Approve the DepositManager first (deposit does it unless the allowance already covers the amount)',
+  },
+  {
+    code: 'insufficient_balance',
+    match: /exceeds balance|ERC20InsufficientBalance/,
+    category: 'insufficient_balance',
+    explanation: 'the wallet does not hold enough tokens',
+    next: 'Top up the wallet or lower the amount',
+  },
+];
+
+// ─── DECODING ─────────────────────────────────────────────────────────────────
+/**
+ * Walks an error, its `cause`, `error` and the node's JSON-RPC error
+ *
+ * @param {Error} error - Error thrown by ethers or the tool
+ * @returns {Object[]} Every nested error object, outermost first
+ */
+function nestedErrors(error) {
+  const found = [];
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || found.includes(current)) {
+      continue;
+    }
+    found.push(current);
+    queue.push(current.cause, current.error, current.info?.error);
+  }
+  return found;
+}
+
+/**
+ * Finds revert data anywhere in an error
+ *
+ * @param {Error} error - Error thrown by an eth_call, estimateGas or send
+ * @returns {string|null} Revert data (selector + arguments), if there is any
+ */
+function revertDataOf(error) {
+  for (const current of nestedErrors(error)) {
+    // ethers: error.data; geth: { data: '0x…' }; ganache: { data: { result: '0x…' } }
+    for (const data of [current.data, current.data?.result, current.data?.data]) {
+      if (typeof data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(data)) {
+        return data;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes a parsed Error(string), Panic(uint256) or custom error
+ *
+ * @param {Object} parsed - { name, args } from Interface.parseError or ethers' error.revert
+ * @returns {string} Reason
+ */
+function describeParsedError({ name, args }) {
+  if (name === 'Error') {
+    return String(args[0]);
+  }
+  if (name === 'Panic') {
+    const code = Number(args[0]);
+    return `Panic(0x${code.toString(16)}): ${PANIC_REASONS[code] || 'unknown panic code'}`;
+  }
+  return `${name}(${[...args].join(', ')})`;
+}
+
+/**
+ * Decodes why a call or transaction reverted
+ *
+ * Tries, in order: the error ethers already decoded, revert data (wherever
+ * the node put it) against `interfaces` and the bridge ABIs, ethers' reason,
+ * the node's own message without its "execution reverted" prefix, then the
+ * error message itself.
+ *
+ * @param {Error} error - Error thrown by provider.call / estimateGas / a send
+ * @param {ethers.Interface[]} [interfaces] - ABIs of the contract(s) that were called
+ * @returns {Object} { reason, name?, args?, data? } — name and args for decoded errors
+ */
+function decodeRevert(error, interfaces = []) {
+  if (error.revert?.name) {
+    return { reason: describeParsedError(error.revert), name: error.revert.name, args: [...error.revert.args], data: error.data };
+  }
+
+  const data = revertDataOf(error);
+  if (data) {
+    for (const iface of [...interfaces, BRIDGE_INTERFACE]) {
+      let parsed;
+      try {
+        parsed = iface.parseError(data);
+      } catch (decodeError) {
+        parsed = null; // Right selector, malformed arguments: try the next ABI
+      }
+      if (parsed) {
+        return { reason: describeParsedError(parsed), name: parsed.name, args: [...parsed.args], data };
+      }
+    }
+  }
+
+  if (error.reason) {
+    return { reason: error.reason, data: data || undefined };
+  }
+  for (const current of nestedErrors(error).slice(1)) {
+    if (typeof current.message === 'string' && NODE_MESSAGE_PREFIXES.some((prefix) => prefix.test(current.message))) {
+      const reason = NODE_MESSAGE_PREFIXES.reduce((message, prefix) => message.replace(prefix, ''), current.message);
+      return { reason: reason || current.message, data: data || undefined };
+    }
+  }
+  return { reason: error.shortMessage || error.message, data: data || undefined };
+}
+
+/**
+ * Whether an error is a revert (as opposed to e.g. a network failure)
+ *
+ * @param {Error} error - Anything thrown by a call or send
+ * @returns {boolean}
+ */
+function isRevert(error) {
+  return nestedErrors(error).some((current) =>
+    current.code === 'CALL_EXCEPTION' ||
+    Boolean(current.revert) ||
+    (typeof current.message === 'string' && NODE_MESSAGE_PREFIXES.some((prefix) => prefix.test(current.message)))
+  ) || revertDataOf(error) !== null;
+}
+
+// ─── DIAGNOSIS ────────────────────────────────────────────────────────────────
+/**
+ * Looks up a known plasma error by its code
+ *
+ * Usage: explain('exit_not_mature') — for conditions the tool detects itself
+ *
+ * @param {string} code - KNOWN_ERRORS code
+ * @returns {Object|undefined} { code, category, explanation, next }
+ */
+function explain(code) {
+  const known = KNOWN_ERRORS.find((entry) => entry.code === code);
+  return known && { code: known.code, category: known.category, explanation: known.explanation, next: known.next };
+}
+
+/**
+ * Decodes a revert and explains it if it is a known plasma error
+ *
+ * @param {Error} error - Error thrown by provider.call / estimateGas / a send
+ * @param {ethers.Interface[]} [interfaces] - ABIs of the contract(s) that were called
+ * @returns {Object} { reason, code?, category?, explanation?, next? } — code and the
+ *   rest only for known errors
+ */
+function diagnose(error, interfaces = []) {
+  const { reason } = decodeRevert(error, interfaces);
+  const known = KNOWN_ERRORS.find((entry) => entry.match.test(reason));
+  return known ? { reason, ...explain(known.code) } : { reason };
+}
+
+/**
+ * Wraps a failed send in an Error that says why, and what to do about it
+ *
+ * Reverts become "<message>: <reason> — <explanation>" with `diagnosis` set
+ * (its `next` step is printed by the CLI) and the known error's category;
+ * anything else becomes "<message>: <error message>" and keeps the original
+ * error's category through `cause`.
+ *
+ * Usage: throw diagnosedError('depositERC20ForUser failed', error, [depositManager.interface]);
+ *
+ * @param {string} message - What failed
+ * @param {Error} error - Error thrown by the send
+ * @param {ethers.Interface[]} [interfaces] - ABIs of the contract(s) that were called
+ * @returns {Error} Error with `cause`, and `diagnosis` / `category` for reverts
+ */
+function diagnosedError(message, error, interfaces = []) {
+  if (!isRevert(error)) {
+    return new Error(`${message}: ${error.message}`, { cause: error });
+  }
+
+  const diagnosis = diagnose(error, interfaces);
+  const wrapped = new Error(
+    `${message}: ${diagnosis.reason}${diagnosis.explanation ? ` — ${diagnosis.explanation}` : ''}`,
+    { cause: error }
+  );
+  wrapped.diagnosis = diagnosis;
+  if (diagnosis.category) {
+    wrapped.category = diagnosis.category;
+  }
+  return wrapped;
+}
+
+module.exports = {
+  KNOWN_ERRORS,
+  decodeRevert,
+  isRevert,
+  diagnose,
+  explain,
+  diagnosedError,
+};
@@ -0,0 +1,309 @@
+/**
+ * Doctor - checks that a network profile describes a working bridge
+ *
+ * Most failed bridge transactions trace back to settings: an RPC for the
+ * wrong chain, a Sepolia address pasted where an Amoy one belongs, or a
+ * predicate from another deployment. runDoctor() reads everything it can
+ * without a signer and reports one line per check:
+ *
+ * - RPCs:     each RPC serves the profile's chain ID
+ * - Code:     every configured contract has code on its own chain (and if it
+ *             doesn't, whether it has code on the other one — swapped settings)
+ * - Wiring:   the DepositManager's RootChain and Registry exist, the Registry
+ *             names the configured managers and predicates, maps POL to the
+ *             configured child token and the WithdrawManager has a POL exit queue
+ * - State:    the DepositManager isn't locked, checkpoints don't run ahead of
+ *             the child chain
+ * - Proofs:   the proof API answers (with --proof-source api)
+ *
+ * Each check is { name, status: 'ok' | 'warn' | 'fail', detail, fix? }.
+ */
+
+const ethers = require('ethers');
+const depositManagerAbi = require('../depositManagerAbi.json');
+const { getPlasmaRegistry } = require('./tokens');
+const { settingName } = require('./networks');
+const { ERC20_WITHDRAW_EVENT_SIG } = require('./proof');
+const { diagnose } = require('./diagnostics');
+
+// Bor system contract that applies state syncs on the child chain
+const STATE_RECEIVER = '0x0000000000000000000000000000000000001001';
+
+// Registry predicate types (Registry.Type)
+const PREDICATE_TYPES = { ERC20: 1n, ERC721: 2n };
+
+// How long the proof API may take to answer
+const PROOF_API_TIMEOUT_MS = 10000;
+
+const rootChainAbi = ['function getLastChildBlock() external view returns (uint256)'];
+const withdrawManagerAbi = ['function exitsQueues(address token) external view returns (address)'];
+const childTokenAbi = ['function token() external view returns (address)'];
+
+/**
+ * Checks that the configured contracts are wired to each other
+ *
+ * Starts from the DepositManager: its RootChain and Registry, then what the
+ * Registry says about the managers, predicates and the POL mapping.
+ *
+ * @param {Object} ctx - { network, rootProvider, childProvider, deployed, record, log }
+ *   deployed: profile fields whose address has code on its chain
+ *   record:   adds a check (name, status, detail, fix)
+ */
+async function checkWiring({ network, rootProvider, childProvider, deployed, record, log }) {
+  if (!deployed.depositManager) {
+    log('  ⏭  Wiring checks skipped: they start from the DepositManager');
+    return;
+  }
+
+  // A call that reverts or returns garbage fails its check, with the decoded reason
+  const read = async (name, fn, fix) => {
+    try {
+      return await fn();
+    } catch (error) {
+      record(name, 'fail', `call failed (${diagnose(error).reason})`, fix);
+      return undefined;
+    }
+  };
+  const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+  const hasCode = async (address) => address && address !== ethers.ZeroAddress && await rootProvider.getCode(address) !== '0x';
+
+  const depositManager = new ethers.Contract(network.depositManager, depositManagerAbi, rootProvider);
+  const dmFix = `Check ${settingName(network, 'depositManager')} — is it the plasma DepositManager proxy?`;
+
+  const rootChainAddress = await read('RootChain', () => depositManager.rootChain(), dmFix);
+  if (rootChainAddress !== undefined) {
+    if (!await hasCode(rootChainAddress)) {
+      record('RootChain', 'fail', `DepositManager points at ${rootChainAddress}, which has no code`, dmFix);
+    } else {
+      const rootChain = new ethers.Contract(rootChainAddress, rootChainAbi, rootProvider);
+      const lastChildBlock = await read('RootChain', () => rootChain.getLastChildBlock(), dmFix);
+      if (lastChildBlock !== undefined) {
+        const childHead = await childProvider.getBlockNumber();
+        if (lastChildBlock > BigInt(childHead)) {
+          record('RootChain', 'warn', `checkpoints cover ${network.childName} block ${lastChildBlock}, but the RPC is at ${childHead}`,
+            `${settingName(network, 'childRpc')} may serve another ${network.childName} network, or lag behind`);
+        } else {
+          record('RootChain', 'ok', `${rootChainAddress}, checkpointed up to ${network.childName} block ${lastChildBlock}`);
+        }
+      }
+    }
+  }
+
+  const locked = await read('DepositManager lock', () => depositManager.locked(), dmFix);
+  if (locked === true) {
+    record('DepositManager lock', 'warn', 'locked — deposits revert with "Is Locked" until governance unlocks it', 'Nothing to fix here; try deposits later');
+  } else if (locked === false) {
+    record('DepositManager lock', 'ok', 'unlocked');
+  }
+
+  const registryAddress = await read('Registry', () => depositManager.registry(), dmFix);
+  if (registryAddress === undefined) {
+    return;
+  }
+  if (!await hasCode(registryAddress)) {
+    record('Registry', 'fail', `DepositManager points at ${registryAddress}, which has no code`, dmFix);
+    return;
+  }
+  record('Registry', 'ok', registryAddress);
+  const registry = await getPlasmaRegistry(depositManager, rootProvider);
+
+  const managers = [
+    ['depositManager', 'getDepositManagerAddress', 'DepositManager'],
+    ['withdrawManager', 'getWithdrawManagerAddress', 'WithdrawManager'],
+  ];
+  for (const [field, getter, label] of managers) {
+    const fix = `Set ${settingName(network, field)} to the Registry's ${label}`;
+    const registered = await read(`Registry ${label}`, () => registry[getter](), fix);
+    if (registered === undefined) {
+      continue;
+    }
+    if (same(registered, network[field])) {
+      record(`Registry ${label}`, 'ok', `matches ${field}`);
+    } else {
+      record(`Registry ${label}`, 'fail', `the Registry's ${label} is ${registered}, not ${network[field]}`, fix);
+    }
+  }
+
+  const predicates = [['erc20Predicate', 'ERC20'], ['erc721Predicate', 'ERC721']].filter(([field]) => network[field]);
+  for (const [field, standard] of predicates) {
+    const fix = `Check ${settingName(network, field)} — exits through an unregistered predicate revert with PREDICATE_NOT_AUTHORIZED`;
+    const type = await read(`${standard} predicate`, () => registry.predicates(network[field]), fix);
+    if (type === undefined) {
+      continue;
+    }
+    if (type === PREDICATE_TYPES[standard]) {
+      record(`${standard} predicate`, 'ok', `registered as the ${standard} predicate`);
+    } else {
+      record(`${standard} predicate`, 'fail', type === 0n
+        ? `${network[field]} is not a registered predicate`
+        : `${network[field]} is registered with type ${type}, not ${standard}`, fix);
+    }
+  }
+
+  const polFix = `Check ${settingName(network, 'polRoot')} and ${settingName(network, 'polChild')}`;
+  const mappedChild = await read('POL mapping', () => registry.rootToChildToken(network.polRoot), polFix);
+  if (mappedChild !== undefined) {
+    if (same(mappedChild, network.polChild)) {
+      record('POL mapping', 'ok', `${network.polRoot} → ${network.polChild}`);
+    } else if (mappedChild === ethers.ZeroAddress) {
+      record('POL mapping', 'fail', `${network.polRoot} is not mapped on the Registry`, polFix);
+    } else {
+      record('POL mapping', 'fail', `the Registry maps ${network.polRoot} to ${mappedChild}, not ${network.polChild}`, polFix);
+    }
+  }
+
+  if (deployed.polChild) {
+    const childToken = new ethers.Contract(network.polChild, childTokenAbi, childProvider);
+    try {
+      const rootToken = await childToken.token();
+      if (same(rootToken, network.polRoot)) {
+        record(`${network.childName} POL`, 'ok', `withdraws to ${rootToken}`);
+      } else {
+        record(`${network.childName} POL`, 'fail', `its root token is ${rootToken}, not ${network.polRoot}`, polFix);
+      }
+    } catch (error) {
+      record(`${network.childName} POL`, 'warn', 'token() unreadable — not a plasma child token?', polFix);
+    }
+  }
+
+  if (deployed.withdrawManager) {
+    const withdrawManager = new ethers.Contract(network.withdrawManager, withdrawManagerAbi, rootProvider);
+    const fix = `Check ${settingName(network, 'withdrawManager')} — exits of POL need its exit queue`;
+    const queue = await read('POL exit queue', () => withdrawManager.exitsQueues(network.polRoot), fix);
+    if (queue !== undefined) {
+      if (await hasCode(queue)) {
+        record('POL exit queue', 'ok', queue);
+      } else {
+        record('POL exit queue', 'fail', 'the WithdrawManager has no exit queue for POL', fix);
+      }
+    }
+  }
+}
+
+/**
+ * Runs every check against a network profile
+ *
+ * Usage: const report = await runDoctor({ network, rootProvider, childProvider, proofSource: 'api', log: console.log });
+ *
+ * @param {Object} ctx - { network, rootProvider, childProvider, proofSource, log }
+ *   network:       profile from lib/networks.js
+ *   rootProvider:  provider for the root chain (Sepolia)
+ *   childProvider: provider for the child chain (Amoy)
+ *   proofSource:   'api' or 'local' (the proof API is only checked for 'api')
+ *   log:           called like console.log with one line per check
+ * @returns {Object} { network, ok, failed, warnings, checks }
+ */
+async function runDoctor({ network, rootProvider, childProvider, proofSource = 'api', log = () => {} }) {
+  const checks = [];
+  const record = (name, status, detail, fix) => {
+    checks.push({ name, status, detail, ...(fix && { fix }) });
+    const icon = { ok: '✔', warn: '⚠️ ', fail: '❌' }[status];
+    log(`  ${icon} ${name}: ${detail}`);
+    if (fix && status !== 'ok') {
+      log(`     💡 ${fix}`);
+    }
+  };
+  const report = () => {
+    const failed = checks.filter((check) => check.status === 'fail').length;
+    const warnings = checks.filter((check) => check.status === 'warn').length;
+    if (failed > 0) {
+      log(`❌ ${failed} check(s) failed${warnings > 0 ? `, ${warnings} warning(s)` : ''} — fix the settings above before bridging`);
+    } else {
+      log(warnings > 0 ? `✅ No failed checks, ${warnings} warning(s)` : `✅ All ${checks.length} checks passed`);
+    }
+    return { network: network.name, ok: failed === 0, failed, warnings, checks };
+  };
+
+  log(`🩺 Checking the ${network.name} profile (${network.rootName} ↔ ${network.childName})`);
+
+  // RPCs answer for the profile's chains (nothing else can be checked otherwise)
+  const chains = {
+    root: { name: network.rootName, provider: rootProvider, chainId: network.rootChainId, rpc: 'rootRpc' },
+    child: { name: network.childName, provider: childProvider, chainId: network.childChainId, rpc: 'childRpc' },
+  };
+  let rpcsOk = true;
+  for (const chain of Object.values(chains)) {
+    const fix = `Check ${settingName(network, chain.rpc)}`;
+    try {
+      const chainId = Number(await chain.provider.send('eth_chainId', []));
+      if (chainId === Number(chain.chainId)) {
+        record(`${chain.name} RPC`, 'ok', `chain ${chainId}`);
+      } else {
+        record(`${chain.name} RPC`, 'fail', `on chain ${chainId}, expected ${chain.chainId}`, `${fix} — it points at another network`);
+        rpcsOk = false;
+      }
+    } catch (error) {
+      record(`${chain.name} RPC`, 'fail', `unreachable (${error.shortMessage || error.message})`, fix);
+      rpcsOk = false;
+    }
+  }
+  if (!rpcsOk) {
+    log('  ⏭  Contract checks skipped until both RPCs answer for the right chains');
+    return report();
+  }
+
+  // Every configured contract has code on its own chain
+  const contracts = [
+    ['depositManager', 'root'],
+    ['withdrawManager', 'root'],
+    ['erc20Predicate', 'root'],
+    ['erc721Predicate', 'root'],
+    ['polRoot', 'root'],
+    ['polChild', 'child'],
+    ['childManager', 'child'],
+  ].filter(([field]) => network[field]);
+
+  const deployed = {};
+  for (const [field, side] of contracts) {
+    const setting = settingName(network, field);
+    const address = network[field];
+    if (!ethers.isAddress(address)) {
+      record(field, 'fail', `"${address}" is not an address`, `Fix ${setting}`);
+      continue;
+    }
+    const chain = chains[side];
+    const other = chains[side === 'root' ? 'child' : 'root'];
+    if (await chain.provider.getCode(address) !== '0x') {
+      deployed[field] = true;
+      record(field, 'ok', `contract at ${address} on ${chain.name}`);
+    } else if (await other.provider.getCode(address) !== '0x') {
+      record(field, 'fail', `no code on ${chain.name}, but ${address} is a contract on ${other.name}`,
+        `${setting} looks like an address on ${other.name} — set the ${chain.name} one (root and child settings swapped?)`);
+    } else {
+      record(field, 'fail', `no contract at ${address} on ${chain.name}`, `Check ${setting} — wrong address or wrong network`);
+    }
+  }
+  if (await childProvider.getCode(STATE_RECEIVER) === '0x') {
+    record('StateReceiver', 'warn', `no code at ${STATE_RECEIVER} on ${network.childName}`,
+      `Deposits are credited by that system contract; is ${settingName(network, 'childRpc')} a Polygon (Bor) node?`);
+  } else {
+    record('StateReceiver', 'ok', `system contract at ${STATE_RECEIVER}`);
+  }
+
+  await checkWiring({ network, rootProvider, childProvider, deployed, record, log });
+
+  // Proof API (an unknown burn is enough to see it answer)
+  if (proofSource === 'api') {
+    const url = `${network.proofApi}/exit-payload/${ethers.ZeroHash}?eventSignature=${ERC20_WITHDRAW_EVENT_SIG}`;
+    const fix = `Check ${settingName(network, 'proofApi')}, or use --proof-source local`;
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(PROOF_API_TIMEOUT_MS) });
+      // An unknown burn is a 400/404; anything below 500 means the API is there
+      if (response.status < 500) {
+        record('Proof API', 'ok', `${network.proofApi} answers`);
+      } else {
+        record('Proof API', 'warn', `${network.proofApi} returned status ${response.status}`, fix);
+      }
+    } catch (error) {
+      record('Proof API', 'warn', `${network.proofApi} unreachable (${error.message})`, fix);
+    }
+  } else {
+    record('Proof API', 'ok', 'not used — proofs are built locally');
+  }
+
+  return report();
+}
+
+module.exports = {
+  runDoctor,
+};
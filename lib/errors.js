@@ -0,0 +1,85 @@
+/**
+ * Error categories and the process exit codes they map to
+ *
+ * Scripts can tell why a command failed from its exit code alone, or from
+ * the `category` in the `--json` error line:
+ *
+ *   0  ok
+ *   1  error                 anything not listed below
+ *   2  usage                 missing or invalid arguments/options
+ *   3  not_ready             burn not checkpointed / proof not available yet,
+ *                            deposit not credited yet, or exits still in their
+ *                            challenge period — try again later
+ *   4  insufficient_balance  not enough tokens, or ETH/POL for gas
+ *   5  reverted              a transaction or simulation reverted
+ *   6  network               RPC or proof API unreachable, timed out or failing
+ *
+ * Errors thrown by this tool carry their category in `error.category`; errors
+ * from ethers and fetch are classified by their codes (see categorize()).
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  not_ready: 3,
+  insufficient_balance: 4,
+  reverted: 5,
+  network: 6,
+};
+
+// ethers v6 error codes (error.code) per category
+const ETHERS_CODES = {
+  CALL_EXCEPTION: 'reverted',
+  INSUFFICIENT_FUNDS: 'insufficient_balance',
+  NETWORK_ERROR: 'network',
+  SERVER_ERROR: 'network',
+  TIMEOUT: 'network',
+};
+
+// Node.js socket/DNS error codes, as found on fetch failures and RPC requests
+const SYSTEM_NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Creates an Error with a category
+ *
+ * Usage: throw categorized('Insufficient balance…', 'insufficient_balance');
+ *
+ * @param {string} message - Error message
+ * @param {string} category - One of the EXIT_CODES keys
+ * @param {Object} [options] - Error options ({ cause })
+ * @returns {Error} Error with `category`
+ */
+function categorized(message, category, options) {
+  const error = new Error(message, options);
+  error.category = category;
+  return error;
+}
+
+/**
+ * Works out an error's category, following its `cause` chain
+ *
+ * @param {Error} error - Anything thrown by a command
+ * @returns {string} One of the EXIT_CODES keys (never 'ok')
+ */
+function categorize(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.category && current.category in EXIT_CODES) {
+      return current.category;
+    }
+    if (ETHERS_CODES[current.code]) {
+      return ETHERS_CODES[current.code];
+    }
+    if (SYSTEM_NETWORK_CODES.includes(current.code) || current.name === 'TimeoutError' ||
+        (current.name === 'TypeError' && current.message === 'fetch failed')) {
+      return 'network';
+    }
+  }
+  return 'error';
+}
+
+module.exports = {
+  EXIT_CODES,
+  categorized,
+  categorize,
+};
@@ -0,0 +1,191 @@
+/**
+ * Transaction Export - unsigned transactions for multisigs and air-gapped signers
+ *
+ * `--export <file>` makes bridge.js write the transactions a command would
+ * send instead of sending them, in one of two formats:
+ *
+ * - raw:  fully populated unsigned transactions (nonce, gas, fees, chain ID,
+ *         and the unsigned serialization) for an offline signer. The signed
+ *         transactions are submitted with `node bridge.js broadcast <file>`,
+ *         which checks them against the export and continues the flow.
+ * - safe: a Safe Transaction Builder batch (version 1.0) to import into the
+ *         Safe{Wallet} UI; the Safe executes it, so gas and nonces are left
+ *         to the Safe.
+ *
+ * Raw exports carry a `context` (command, token, burn hash, …) so broadcast
+ * knows what to do once the transactions are mined.
+ */
+
+const fs = require('fs');
+const ethers = require('ethers');
+
+const EXPORT_FORMATS = ['raw', 'safe'];
+
+// Version of the Safe Transaction Builder that defined the batch format used
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+// ─── WRITING ───────────────────────────────────────────────────────────────────
+
+/**
+ * Builds a raw export
+ *
+ * @param {Object} meta - { command, network, chain ('root'|'child'), chainId, from, context }
+ * @param {Object[]} transactions - Populated transactions ({ label, to, data, value, nonce, gasLimit, fees, chainId })
+ * @returns {Object} Export file contents
+ */
+function buildRawExport(meta, transactions) {
+  return {
+    version: 1,
+    format: 'raw',
+    command: meta.command,
+    network: meta.network,
+    chain: meta.chain,
+    chainId: meta.chainId.toString(),
+    from: meta.from,
+    createdAt: new Date().toISOString(),
+    context: meta.context,
+    transactions: transactions.map(({ label, ...tx }) => {
+      const unsigned = ethers.Transaction.from({ ...tx, chainId: meta.chainId });
+      return {
+        label,
+        to: unsigned.to,
+        data: unsigned.data,
+        value: unsigned.value.toString(),
+        nonce: unsigned.nonce,
+        gasLimit: unsigned.gasLimit.toString(),
+        ...(unsigned.type === 2
+          ? { maxFeePerGas: unsigned.maxFeePerGas.toString(), maxPriorityFeePerGas: unsigned.maxPriorityFeePerGas.toString() }
+          : { gasPrice: unsigned.gasPrice.toString() }),
+        type: unsigned.type,
+        chainId: meta.chainId.toString(),
+        unsignedSerialized: unsigned.unsignedSerialized,
+        signed: null,
+      };
+    }),
+  };
+}
+
+/**
+ * Builds a Safe Transaction Builder batch
+ *
+ * @param {Object} meta - { chainId, from (the Safe), name, description }
+ * @param {Object[]} transactions - { to, data, value }
+ * @returns {Object} Batch file contents
+ */
+function buildSafeBatch(meta, transactions) {
+  return {
+    version: '1.0',
+    chainId: meta.chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name: meta.name,
+      description: meta.description,
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: meta.from,
+      createdFromOwnerAddress: '',
+    },
+    transactions: transactions.map((tx) => ({
+      to: tx.to,
+      value: (tx.value ?? 0n).toString(),
+      data: tx.data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+/**
+ * Writes an export file
+ *
+ * @param {string} file - Destination path
+ * @param {Object} contents - From buildRawExport() or buildSafeBatch()
+ */
+function writeExport(file, contents) {
+  fs.writeFileSync(file, JSON.stringify(contents, null, 2));
+}
+
+// ─── READING SIGNED TRANSACTIONS ───────────────────────────────────────────────
+
+/**
+ * Reads a raw export (as written, or with `signed` filled in by the signer)
+ *
+ * @param {string} file - Export path
+ * @returns {Object} Export contents
+ */
+function loadExport(file) {
+  const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (contents.format !== 'raw' || !Array.isArray(contents.transactions)) {
+    throw new Error(`${file} is not a raw transaction export (Safe batches are executed by the Safe, not broadcast)`);
+  }
+  return contents;
+}
+
+/**
+ * Reads signed transactions from a separate file
+ *
+ * Accepts a JSON array of hex strings, a JSON export with `signed` fields, or
+ * plain text with one signed transaction per line.
+ *
+ * @param {string} file - Signed transactions path
+ * @returns {string[]} Signed transactions, in order
+ */
+function loadSignedTransactions(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed.transactions;
+    return list.map((entry) => (typeof entry === 'string' ? entry : entry.signed));
+  }
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Matches signed transactions against the export they were made from
+ *
+ * Every signed transaction must be signed by the exported sender and keep the
+ * exported chain, nonce, target, calldata and value — anything else was not
+ * what this tool prepared and is refused.
+ *
+ * @param {Object} exported - From loadExport()
+ * @param {string[]} [signed] - Signed transactions (default: the export's `signed` fields)
+ * @returns {Object[]} { label, raw, hash } per transaction, in order
+ */
+function matchSignedTransactions(exported, signed = exported.transactions.map((tx) => tx.signed)) {
+  if (signed.length !== exported.transactions.length || signed.some((raw) => !raw)) {
+    const count = signed.filter(Boolean).length;
+    throw new Error(`Expected ${exported.transactions.length} signed transaction(s), found ${count}`);
+  }
+
+  return exported.transactions.map((expected, index) => {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(signed[index]);
+    } catch (error) {
+      throw new Error(`Transaction ${index + 1} (${expected.label}) is not a signed transaction: ${error.shortMessage || error.message}`);
+    }
+
+    const mismatch = [
+      tx.signature ? null : 'signature missing',
+      tx.from?.toLowerCase() === exported.from.toLowerCase() ? null : `signed by ${tx.from}, not ${exported.from}`,
+      tx.chainId.toString() === exported.chainId ? null : `chain ID ${tx.chainId}, not ${exported.chainId}`,
+      tx.nonce === expected.nonce ? null : `nonce ${tx.nonce}, not ${expected.nonce}`,
+      tx.to?.toLowerCase() === expected.to.toLowerCase() ? null : `sent to ${tx.to}, not ${expected.to}`,
+      tx.data === expected.data ? null : 'calldata differs',
+      tx.value.toString() === expected.value ? null : `value ${tx.value}, not ${expected.value}`,
+    ].filter(Boolean);
+    if (mismatch.length > 0) {
+      throw new Error(`Transaction ${index + 1} (${expected.label}) does not match the export: ${mismatch.join(', ')}`);
+    }
+    return { label: expected.label, raw: tx.serialized, hash: tx.hash };
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildRawExport,
+  buildSafeBatch,
+  writeExport,
+  loadExport,
+  loadSignedTransactions,
+  matchSignedTransactions,
+};
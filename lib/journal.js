@@ -0,0 +1,250 @@
+/**
+ * Transfer Journal - persistent record of bridge transfers
+ *
+ * Every deposit and burn sent by bridge.js is written to a local JSON file
+ * together with the stage it has reached. If the process dies while waiting
+ * for a checkpoint (90-180 minutes on testnet) the journal still holds the
+ * burn hash, and `node bridge.js resume` can drive it to completion.
+ *
+ * Stages:
+ * - Deposit:  deposit_sent → deposit_confirmed → deposit_credited
+ * - Withdraw: burned → checkpointed → exit_started → exit_processed
+ * - Either:   failed (transaction reverted, nothing left to do)
+ *
+ * createJournal(file) returns a journal bound to one file, with its own
+ * stage listeners; each PolBridge creates its own, so two bridges in one
+ * process (e.g. two networks) never write into each other's file. The file
+ * defaults to bridge-journal.json in the project root (BRIDGE_JOURNAL in
+ * .env); PolBridge points networks other than amoy at their own file, so
+ * testnet and mainnet transfers never mix.
+ *
+ * Usage: const journal = createJournal('bridge-journal.json');
+ *        journal.recordTransfer({ type: 'withdraw', hash, stage: STAGES.BURNED });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ─── STAGES ────────────────────────────────────────────────────────────────────
+
+const STAGES = {
+  DEPOSIT_SENT: 'deposit_sent',           // depositERC20ForUser broadcast on Sepolia
+  DEPOSIT_CONFIRMED: 'deposit_confirmed', // deposit mined on Sepolia
+  DEPOSIT_CREDITED: 'deposit_credited',   // state sync applied, tokens arrived on Amoy
+  BURNED: 'burned',                       // withdraw() broadcast on Amoy
+  CHECKPOINTED: 'checkpointed',           // burn included in a checkpoint, proof available
+  EXIT_STARTED: 'exit_started',           // startExitWithBurntTokens mined on Sepolia
+  EXIT_PROCESSED: 'exit_processed',       // processExits mined, tokens released
+  FAILED: 'failed',                       // transaction reverted
+};
+
+// Order in which each transfer type moves through its stages
+const STAGE_ORDER = {
+  deposit: [STAGES.DEPOSIT_SENT, STAGES.DEPOSIT_CONFIRMED, STAGES.DEPOSIT_CREDITED],
+  withdraw: [STAGES.BURNED, STAGES.CHECKPOINTED, STAGES.EXIT_STARTED, STAGES.EXIT_PROCESSED],
+};
+
+// Stages after which there is nothing left for `resume` to do
+const FINAL_STAGES = [STAGES.DEPOSIT_CREDITED, STAGES.EXIT_PROCESSED, STAGES.FAILED];
+
+// Journal used when no file is given
+const DEFAULT_JOURNAL_FILE = process.env.BRIDGE_JOURNAL || path.join(__dirname, '..', 'bridge-journal.json');
+
+// ─── JOURNAL ───────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a journal that reads and writes one file
+ *
+ * @param {string} [journalFile] - Journal path (default DEFAULT_JOURNAL_FILE)
+ * @returns {Object} { file, recordTransfer, advanceStage, replaceHash, getTransfer,
+ *   listTransfers, listUnfinished, onStageChange }
+ */
+function createJournal(journalFile = DEFAULT_JOURNAL_FILE) {
+  // Called with (record, previousStage) whenever a transfer is recorded or changes stage
+  const stageListeners = new Set();
+
+  /**
+   * Reads the journal from disk
+   *
+   * @returns {Object} Journal with a `transfers` map keyed by lowercase tx hash
+   */
+  function loadJournal() {
+    if (!fs.existsSync(journalFile)) {
+      return { version: 1, transfers: {} };
+    }
+    return JSON.parse(fs.readFileSync(journalFile, 'utf8'));
+  }
+
+  /**
+   * Writes the journal to disk
+   *
+   * Writes to a temporary file first and renames it over the journal, so a
+   * crash mid-write never leaves a truncated file behind.
+   *
+   * @param {Object} journal - Journal as returned by loadJournal()
+   */
+  function saveJournal(journal) {
+    const tmpFile = `${journalFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(journal, null, 2));
+    fs.renameSync(tmpFile, journalFile);
+  }
+
+  /**
+   * Registers a listener for stage transitions (used by the `serve` webhooks)
+   *
+   * The listener runs after the journal is saved, with the updated record and
+   * the stage it left (undefined for a newly recorded transfer). Merging extra
+   * fields without a stage change does not call it.
+   *
+   * @param {Function} listener - (record, previousStage) => void
+   * @returns {Function} Removes the listener again
+   */
+  function onStageChange(listener) {
+    stageListeners.add(listener);
+    return () => stageListeners.delete(listener);
+  }
+
+  /**
+   * Tells every listener about a transition; a throwing listener never breaks the journal
+   *
+   * @param {Object} record - Stored record, after the change
+   * @param {string|undefined} previousStage - Stage before the change
+   */
+  function notifyStageChange(record, previousStage) {
+    for (const listener of stageListeners) {
+      try {
+        listener({ ...record }, previousStage);
+      } catch (error) {
+        console.error(`⚠️  Journal listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Records a new transfer (or returns the existing record for the same hash)
+   *
+   * @param {Object} transfer - { type: 'deposit'|'withdraw', hash, stage, address, amount } (NFTs: standard, tokenId)
+   * @returns {Object} The stored record
+   */
+  function recordTransfer(transfer) {
+    const journal = loadJournal();
+    const key = transfer.hash.toLowerCase();
+    if (journal.transfers[key]) {
+      return journal.transfers[key];
+    }
+
+    const now = new Date().toISOString();
+    journal.transfers[key] = { ...transfer, createdAt: now, updatedAt: now };
+    saveJournal(journal);
+    notifyStageChange(journal.transfers[key], undefined);
+    return journal.transfers[key];
+  }
+
+  /**
+   * Moves a transfer forward to `stage`, merging any extra fields into the record
+   *
+   * Stages never move backwards: re-running `check` on an exited burn leaves it
+   * at exit_processed. Unknown hashes are ignored so callers don't need to check
+   * whether the transfer was started by this tool.
+   *
+   * @param {string} hash - Deposit or burn transaction hash
+   * @param {string} stage - One of STAGES
+   * @param {Object} [extra] - Additional fields to store (e.g. startExitTx)
+   * @returns {Object|undefined} Updated record, if the hash is journaled
+   */
+  function advanceStage(hash, stage, extra = {}) {
+    const journal = loadJournal();
+    const record = journal.transfers[hash.toLowerCase()];
+    if (!record) {
+      return undefined;
+    }
+
+    const previousStage = record.stage;
+    const order = STAGE_ORDER[record.type] || [];
+    const isForward = stage === STAGES.FAILED ||
+      order.indexOf(stage) > order.indexOf(record.stage);
+    if (isForward && !FINAL_STAGES.includes(record.stage)) {
+      record.stage = stage;
+    }
+
+    Object.assign(record, extra, { updatedAt: new Date().toISOString() });
+    saveJournal(journal);
+    if (record.stage !== previousStage) {
+      notifyStageChange(record, previousStage);
+    }
+    return record;
+  }
+
+  /**
+   * Re-keys a transfer whose transaction was replaced (sped up with higher fees)
+   *
+   * The record keeps its stage; the old hash is kept in `replacedHashes` so it
+   * can still be recognised. Unknown hashes are ignored.
+   *
+   * @param {string} oldHash - Hash the transfer was recorded under
+   * @param {string} newHash - Hash of the replacement transaction
+   * @returns {Object|undefined} Updated record, if the old hash is journaled
+   */
+  function replaceHash(oldHash, newHash) {
+    const journal = loadJournal();
+    const oldKey = oldHash.toLowerCase();
+    const record = journal.transfers[oldKey];
+    if (!record) {
+      return undefined;
+    }
+
+    delete journal.transfers[oldKey];
+    record.replacedHashes = [...(record.replacedHashes || []), record.hash];
+    record.hash = newHash;
+    record.updatedAt = new Date().toISOString();
+    journal.transfers[newHash.toLowerCase()] = record;
+    saveJournal(journal);
+    return record;
+  }
+
+  /**
+   * Looks up a single transfer
+   *
+   * @param {string} hash - Deposit or burn transaction hash
+   * @returns {Object|undefined} Stored record
+   */
+  function getTransfer(hash) {
+    return loadJournal().transfers[hash.toLowerCase()];
+  }
+
+  /**
+   * Lists every transfer, oldest first
+   *
+   * @returns {Object[]} Stored records
+   */
+  function listTransfers() {
+    return Object.values(loadJournal().transfers)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Lists transfers that have not reached a final stage, oldest first
+   *
+   * @returns {Object[]} Stored records still in flight
+   */
+  function listUnfinished() {
+    return listTransfers().filter((transfer) => !FINAL_STAGES.includes(transfer.stage));
+  }
+
+  return {
+    file: journalFile,
+    recordTransfer,
+    advanceStage,
+    replaceHash,
+    getTransfer,
+    listTransfers,
+    listUnfinished,
+    onStageChange,
+  };
+}
+
+module.exports = {
+  STAGES,
+  DEFAULT_JOURNAL_FILE,
+  createJournal,
+};
@@ -0,0 +1,54 @@
+/**
+ * Event Log Helpers
+ *
+ * Public RPC endpoints cap the block range of a single eth_getLogs call
+ * (often 10,000 blocks or less), so history scans are split into chunks.
+ * The chunk size can be tuned with LOG_CHUNK_SIZE in .env.
+ */
+
+const DEFAULT_CHUNK_SIZE = Number(process.env.LOG_CHUNK_SIZE) || 10000;
+
+/**
+ * Runs contract.queryFilter over a block range in chunks
+ *
+ * @param {Object} contract - ethers Contract the filter belongs to
+ * @param {Object} filter - Event filter (e.g. contract.filters.NewDepositBlock(owner))
+ * @param {number} fromBlock - First block to scan (inclusive)
+ * @param {number} toBlock - Last block to scan (inclusive)
+ * @param {number} [chunkSize] - Maximum blocks per eth_getLogs call
+ * @returns {Object[]} Matching event logs, oldest first
+ */
+async function queryFilterChunked(contract, filter, fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    events.push(...await contract.queryFilter(filter, start, end));
+  }
+  return events;
+}
+
+/**
+ * Estimates the first block mined within the last `seconds`
+ *
+ * Uses the average block time over the most recent `sampleSize` blocks, which
+ * is accurate enough to pick a scan window (Sepolia ~12s, Amoy ~2s).
+ *
+ * @param {Object} provider - ethers Provider for the chain
+ * @param {number} seconds - How far back to go
+ * @param {number} [sampleSize] - Blocks used to measure the block time
+ * @returns {number} Estimated block number (never below 0)
+ */
+async function findBlockByAge(provider, seconds, sampleSize = 1000) {
+  const latest = await provider.getBlock('latest');
+  const sampleNumber = Math.max(latest.number - sampleSize, 0);
+  const sample = await provider.getBlock(sampleNumber);
+
+  const blocks = latest.number - sampleNumber;
+  const blockTime = (blocks > 0 && (latest.timestamp - sample.timestamp) / blocks) || 1;
+  return Math.max(latest.number - Math.ceil(seconds / blockTime), 0);
+}
+
+module.exports = {
+  queryFilterChunked,
+  findBlockByAge,
+};
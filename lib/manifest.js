@@ -0,0 +1,105 @@
+/**
+ * Batch Manifest - reads the recipient/token/amount rows for deposit-batch
+ *
+ * Two formats are accepted, picked by file extension:
+ *
+ * - CSV (.csv): a header row naming the columns, then one deposit per line.
+ *   `recipient` and `amount` are required, `token` is optional. Blank lines
+ *   and lines starting with # are skipped.
+ *
+ *     recipient,token,amount
+ *     0x1111111111111111111111111111111111111111,POL,5
+ *     0x2222222222222222222222222222222222222222,,2.5
+ *
+ * - JSON (.json): an array of { recipient, token?, amount } objects. An entry
+ *   that isn't an object (null, a number…) becomes a row with `error` set.
+ *
+ * Rows are returned as raw strings; PolBridge resolves tokens and parses
+ * amounts with the token's decimals, and reports row errors with the rest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CSV_COLUMNS = ['recipient', 'token', 'amount'];
+
+/**
+ * Parses a CSV manifest
+ *
+ * @param {string} text - File contents
+ * @returns {Object[]} Rows as { line, recipient, token, amount }
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/)
+    .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+    .filter(({ content }) => content && !content.startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = lines[0].content.split(',').map((column) => column.trim().toLowerCase());
+  for (const column of ['recipient', 'amount']) {
+    if (!header.includes(column)) {
+      throw new Error(`CSV manifest needs a header row with a "${column}" column (columns: ${CSV_COLUMNS.join(',')})`);
+    }
+  }
+
+  return lines.slice(1).map(({ content, line }) => {
+    const cells = content.split(',').map((cell) => cell.trim());
+    const row = { line };
+    header.forEach((column, index) => {
+      if (CSV_COLUMNS.includes(column)) {
+        row[column] = cells[index] || undefined;
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Parses a JSON manifest
+ *
+ * @param {string} text - File contents
+ * @returns {Object[]} Rows as { line, recipient, token, amount } (line = array index + 1),
+ *   or { line, error } for an entry that isn't an object
+ */
+function parseJson(text) {
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON manifest must be an array of { recipient, token, amount } objects');
+  }
+
+  return entries.map((entry, index) => {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { line: index + 1, error: `expected a { recipient, token, amount } object, got ${JSON.stringify(entry)}` };
+    }
+    return {
+      line: index + 1,
+      recipient: entry.recipient,
+      token: entry.token,
+      amount: entry.amount === undefined ? undefined : String(entry.amount),
+    };
+  });
+}
+
+/**
+ * Reads a batch manifest from disk
+ *
+ * @param {string} file - Path to a .csv or .json manifest
+ * @returns {Object[]} Rows as { line, recipient, token?, amount } (or { line, error }) — not yet validated
+ */
+function loadManifest(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.json') {
+    return parseJson(text);
+  }
+  if (extension === '.csv') {
+    return parseCsv(text);
+  }
+  throw new Error(`Unsupported manifest format "${extension}" (use .csv or .json)`);
+}
+
+module.exports = {
+  loadManifest,
+};
@@ -0,0 +1,219 @@
+/**
+ * Network Profiles - chain, contract and API settings per bridge network
+ *
+ * Bundled profiles:
+ * - amoy:    Ethereum Sepolia ↔ Polygon Amoy (testnet, the default)
+ * - mainnet: Ethereum ↔ Polygon PoS
+ *
+ * `--network custom` reads a profile with the same fields from network.json
+ * in the project root (or NETWORK_CONFIG in .env) — see network.example.json.
+ *
+ * The .env variables this tool always used (SEPOLIA_RPC, DEPOSIT_MANAGER, …)
+ * still override the amoy profile; mainnet only takes RPC and fee overrides
+ * (ETHEREUM_RPC, POLYGON_RPC, ETHEREUM_WS, ETHEREUM_/POLYGON_*_GWEI), so
+ * testnet addresses left in .env never leak into mainnet transactions.
+ *
+ * `rootWs` (optional) is a WebSocket RPC for the root chain; when set, burns
+ * are checkpointed as soon as a NewHeaderBlock event arrives instead of on
+ * the next poll.
+ *
+ * Fee policy (optional, in gwei): `rootMaxFeeGwei` / `childMaxFeeGwei` cap
+ * maxFeePerGas, replacements included; `rootPriorityFeeGwei` /
+ * `childPriorityFeeGwei` fix the priority fee instead of taking the node's
+ * suggestion. The bundled profiles set Polygon's minimum priority fee, which
+ * nodes often under-suggest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NETWORKS = {
+  amoy: {
+    rootName: 'Sepolia',
+    rootChainId: 11155111,
+    rootRpc: 'https://ethereum-sepolia-rpc.publicnode.com',
+    rootExplorerTx: 'https://sepolia.etherscan.io/tx/{hash}',
+    childName: 'Amoy',
+    childChainId: 80002,
+    childRpc: 'https://polygon-amoy-rpc.publicnode.com',
+    childExplorerTx: 'https://amoy.polygonscan.com/tx/{hash}',
+    depositManager: '0x44ad17990f9128c6d823ee10db7f0a5d40a731a4',
+    withdrawManager: '0x822db7e79096E7247d9273E5782ecAec464Eb96C',
+    erc20Predicate: '0x15EA6c538cF4b4A4f51999F433557285D5639820',
+    childManager: '0xb991E39a401136348Dee93C75143B159FabF483f',
+    polRoot: '0x44499312f493F62f2DFd3C6435Ca3603EbFCeeBa',
+    polChild: '0x0000000000000000000000000000000000001010',
+    proofApi: 'https://proof-generator.polygon.technology/api/v1/amoy',
+    childPriorityFeeGwei: '25',
+  },
+  mainnet: {
+    rootName: 'Ethereum',
+    rootChainId: 1,
+    rootRpc: 'https://ethereum-rpc.publicnode.com',
+    rootExplorerTx: 'https://etherscan.io/tx/{hash}',
+    childName: 'Polygon',
+    childChainId: 137,
+    childRpc: 'https://polygon-bor-rpc.publicnode.com',
+    childExplorerTx: 'https://polygonscan.com/tx/{hash}',
+    depositManager: '0x401F6c983eA34274ec46f84D70b31C151321188b',
+    withdrawManager: '0x2A88696e0fFA76bAA1338F2C74497cC013495922',
+    erc20Predicate: '0x626fb210bf50e201ed62ca2705c16de2a53dc966',
+    polRoot: '0x455e53CBB86018Ac2B8092FdCd39d8444aFFC3F6',
+    polChild: '0x0000000000000000000000000000000000001010',
+    proofApi: 'https://proof-generator.polygon.technology/api/v1/matic',
+    childPriorityFeeGwei: '30',
+  },
+};
+
+// .env variables that override profile fields, per network
+const ENV_OVERRIDES = {
+  amoy: {
+    rootRpc: 'SEPOLIA_RPC',
+    rootWs: 'SEPOLIA_WS',
+    childRpc: 'AMOY_RPC',
+    depositManager: 'DEPOSIT_MANAGER',
+    withdrawManager: 'WITHDRAW_MANAGER',
+    erc20Predicate: 'ERC20_PREDICATE',
+    erc721Predicate: 'ERC721_PREDICATE',
+    childManager: 'CHILD_MANAGER',
+    polRoot: 'POL_SEPOLIA',
+    polChild: 'POL_AMOY',
+    rootMaxFeeGwei: 'SEPOLIA_MAX_FEE_GWEI',
+    rootPriorityFeeGwei: 'SEPOLIA_PRIORITY_FEE_GWEI',
+    childMaxFeeGwei: 'AMOY_MAX_FEE_GWEI',
+    childPriorityFeeGwei: 'AMOY_PRIORITY_FEE_GWEI',
+  },
+  mainnet: {
+    rootRpc: 'ETHEREUM_RPC',
+    rootWs: 'ETHEREUM_WS',
+    childRpc: 'POLYGON_RPC',
+    rootMaxFeeGwei: 'ETHEREUM_MAX_FEE_GWEI',
+    rootPriorityFeeGwei: 'ETHEREUM_PRIORITY_FEE_GWEI',
+    childMaxFeeGwei: 'POLYGON_MAX_FEE_GWEI',
+    childPriorityFeeGwei: 'POLYGON_PRIORITY_FEE_GWEI',
+  },
+};
+
+// Fields every profile needs (erc721Predicate, childManager, rootWs and the fee policy are optional)
+const REQUIRED_FIELDS = [
+  'rootName', 'rootChainId', 'rootRpc', 'rootExplorerTx',
+  'childName', 'childChainId', 'childRpc', 'childExplorerTx',
+  'depositManager', 'withdrawManager', 'erc20Predicate',
+  'polRoot', 'polChild', 'proofApi',
+];
+
+const CUSTOM_PROFILE_FILE = process.env.NETWORK_CONFIG || path.join(__dirname, '..', 'network.json');
+
+/**
+ * Loads a network profile and applies its .env overrides
+ *
+ * @param {string} name - 'amoy', 'mainnet' or 'custom'
+ * @returns {Object} Profile with every REQUIRED_FIELDS entry, plus `name`
+ */
+function loadNetwork(name) {
+  let profile;
+  if (name === 'custom') {
+    if (!fs.existsSync(CUSTOM_PROFILE_FILE)) {
+      throw new Error(`--network custom needs a profile in ${CUSTOM_PROFILE_FILE} (see network.example.json)`);
+    }
+    profile = JSON.parse(fs.readFileSync(CUSTOM_PROFILE_FILE, 'utf8'));
+  } else {
+    profile = NETWORKS[name];
+    if (!profile) {
+      throw new Error(`Unknown network "${name}" (use ${[...Object.keys(NETWORKS), 'custom'].join(', ')})`);
+    }
+  }
+
+  profile = { ...profile, name };
+  for (const [field, envName] of Object.entries(ENV_OVERRIDES[name] || {})) {
+    if (process.env[envName]) {
+      profile[field] = process.env[envName];
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => profile[field] === undefined || profile[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`Network profile "${name}" is missing: ${missing.join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Checks that each RPC endpoint serves the chain the profile expects
+ *
+ * Asks the node directly (eth_chainId), so it also catches RPCs whose
+ * providers were created with the profile's chain ID as a static network.
+ *
+ * @param {Object} profile - Profile from loadNetwork()
+ * @param {Object} rootProvider - Provider for the root chain (Ethereum side)
+ * @param {Object} childProvider - Provider for the child chain (Polygon side)
+ */
+async function verifyChainIds(profile, rootProvider, childProvider) {
+  const checks = [
+    [rootProvider, profile.rootName, profile.rootChainId],
+    [childProvider, profile.childName, profile.childChainId],
+  ];
+
+  for (const [provider, chainName, expected] of checks) {
+    const chainId = Number(await provider.send('eth_chainId', []));
+    if (chainId !== Number(expected)) {
+      throw new Error(
+        `${chainName} RPC is on chain ${chainId}, but the ${profile.name} profile expects ` +
+        `${chainName} (chain ${expected}) — check the RPC URL or --network`
+      );
+    }
+  }
+}
+
+/**
+ * Names the setting a profile field comes from, for "check …" hints
+ *
+ * @param {Object} profile - Profile from loadNetwork() (or an object with the same fields)
+ * @param {string} field - Profile field (e.g. 'depositManager')
+ * @returns {string} .env variable (e.g. 'DEPOSIT_MANAGER'), or the field and where it is set
+ */
+function settingName(profile, field) {
+  const envName = ENV_OVERRIDES[profile.name]?.[field];
+  if (envName) {
+    return envName;
+  }
+  return profile.name === 'custom'
+    ? `${field} in ${path.basename(CUSTOM_PROFILE_FILE)}`
+    : `${field} in the ${profile.name} profile`;
+}
+
+/**
+ * Fills a block explorer template ("https://…/tx/{hash}")
+ *
+ * @param {string} template - Explorer template from the profile
+ * @param {string} hash - Transaction hash
+ * @returns {string} Explorer URL
+ */
+function explorerUrl(template, hash) {
+  return template.replace('{hash}', hash);
+}
+
+/**
+ * Names a per-network data file in the project root
+ *
+ * The amoy profile keeps the original names (bridge-journal.json) so existing
+ * journals carry on working; other networks get e.g. bridge-journal.mainnet.json.
+ *
+ * @param {string} fileName - Base file name
+ * @param {string} name - Network name
+ * @returns {string} Absolute path
+ */
+function networkFile(fileName, name) {
+  const extension = path.extname(fileName);
+  const base = name === 'amoy' ? fileName : `${path.basename(fileName, extension)}.${name}${extension}`;
+  return path.join(__dirname, '..', base);
+}
+
+module.exports = {
+  NETWORKS,
+  loadNetwork,
+  verifyChainIds,
+  settingName,
+  explorerUrl,
+  networkFile,
+};
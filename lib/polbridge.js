@@ -0,0 +1,3256 @@
+/**
+ * PolBridge - the plasma bridge flows as a library
+ *
+ * Deposits (Sepolia → Amoy), withdrawals (burn on Amoy, wait for the
+ * checkpoint, start and process the exit on Sepolia), batch and NFT
+ * transfers, the exit queue, the transfer journal and signed-transaction
+ * broadcasts for one network profile. Everything is configured through the
+ * constructor's options object — nothing is read from argv or .env here —
+ * and bridge.js is a thin command line wrapper around it.
+ *
+ *   const { PolBridge } = require('pol-eth-bridge');
+ *
+ *   const bridge = new PolBridge({ network: 'amoy', signer: { privateKey: process.env.PRIVATE_KEY } });
+ *   bridge.on('burned', ({ hash }) => console.log('burn', hash));
+ *   bridge.on('exitProcessed', ({ hash }) => console.log('released', hash));
+ *   await bridge.connect();
+ *   const burn = await bridge.withdraw({ amount: '5', complete: false });
+ *   await bridge.exit(burn.hash);
+ *
+ * Events (one plain object argument each):
+ * - approved:        { hash, token, symbol, spender, amount | tokenId } — approval mined on the root chain
+ * - depositSent:     { hash, nonce, token, symbol, recipient, amount | tokenId } — deposit broadcast
+ *                    (depositBatch(): { hash, nonce, recipient, rows })
+ * - depositCredited: trackDeposit()'s result — state sync applied on the child chain
+ * - burned:          { hash, nonce, token, symbol, amount | tokenId } — burn mined on the child chain
+ * - checkpointed:    { hash, proof } — burn covered by a checkpoint, exit proof available
+ * - exitStarted:     { hash, startExitTx, exitId, exitableAt } — startExitWithBurntTokens mined
+ * - exitProcessed:   { hash, token, symbol, burnHashes } — journaled exits released (hash is the processExits tx)
+ *
+ * Methods return structured results and throw Errors for anything that stops
+ * a flow (their messages are what the CLI prints after ❌); most carry a
+ * `category` for the CLI's exit code (lib/errors.js). Reverts are decoded by
+ * lib/diagnostics.js: those errors also carry `diagnosis` ({ reason, and for
+ * known plasma errors code, explanation, next }). Human-readable
+ * progress goes to `options.log`, which is called like console.log and is
+ * silent by default.
+ *
+ * Each PolBridge keeps its own transfer journal (`bridge.journal`, see
+ * lib/journal.js), so bridges for different networks or files can share a
+ * process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const ethers = require('ethers');
+const rootChainManagerAbi = require('../depositManagerAbi.json'); // ABI for deposit contract
+const { createJournal, STAGES } = require('./journal');    // Persistent transfer journal
+const { queryFilterChunked, findBlockByAge } = require('./logs'); // Chunked event scans
+const { resolveToken, getPlasmaRegistry } = require('./tokens'); // Token registry / root↔child mapping
+const { loadManifest } = require('./manifest');            // deposit-batch CSV/JSON manifests
+const { loadNetwork, verifyChainIds, explorerUrl, networkFile } = require('./networks'); // Network profiles
+const { buildExitPayload, ERC20_WITHDRAW_EVENT_SIG, ERC721_WITHDRAW_EVENT_SIG } = require('./proof'); // Local exit payloads
+const { backoffDelay, sleep } = require('./backoff');      // Retry delays with jitter
+const { createSigner, detectSignerSource, isWatchOnly } = require('./signers'); // Keys, keystores, remote signers
+const txExport = require('./export');                      // --export files and broadcast
+const { TxManager } = require('./txmanager');               // Fees, nonces, speed-ups and confirmations
+const { categorized } = require('./errors');               // Error categories (exit codes)
+const { diagnose, diagnosedError, explain } = require('./diagnostics'); // Decoded reverts and next steps
+const { runDoctor } = require('./doctor');                 // Settings and contract wiring checks
+
+// ─── CONTRACT ABIs (Application Binary Interfaces) ─────────────────────────────
+// ABIs define the interface for calling smart contract functions
+
+// Standard ERC-20 token functions
+const erc20Abi = [
+  'function approve(address spender, uint256 amount) external returns (bool)',  // Allow contract to spend tokens
+  'function allowance(address owner, address spender) external view returns (uint256)', // Current spending allowance
+  'function balanceOf(address owner) external view returns (uint256)',          // Token balance
+];
+
+// Withdraw event emitted by child tokens on burn (signature 0xebff2602...)
+const childWithdrawEventAbi = [
+  'event Withdraw(address indexed token, address indexed from, uint256 amount, uint256 input1, uint256 output1)',
+];
+
+// Standard ERC-721 functions (collections on Sepolia)
+const erc721Abi = [
+  'function ownerOf(uint256 tokenId) external view returns (address)',             // Current owner of an NFT
+  'function getApproved(uint256 tokenId) external view returns (address)',         // Address approved for one NFT
+  'function isApprovedForAll(address owner, address operator) external view returns (bool)', // Operator approval
+  'function approve(address to, uint256 tokenId) external',                        // Allow contract to move one NFT
+  'function safeTransferFrom(address from, address to, uint256 tokenId) external', // Transfer with receiver hook
+];
+
+// Child ERC-721 functions (used on Amoy)
+const childErc721Abi = [
+  'function ownerOf(uint256 tokenId) external view returns (address)',             // Current owner of an NFT
+  'function withdraw(uint256 tokenId) external',                                   // Burn NFT for withdrawal
+];
+
+// Withdraw event emitted by child ERC-721s on burn (signature 0x9b1bfa7f...)
+const childNftWithdrawEventAbi = [
+  'event Withdraw(address indexed token, address indexed from, uint256 tokenId)',
+];
+
+// Root chain contract on Sepolia (receives checkpoints from Amoy validators)
+const rootChainAbi = [
+  'function getLastChildBlock() external view returns (uint256)',             // Last Amoy block covered by a checkpoint
+  'function currentHeaderBlock() external view returns (uint256)',            // ID of the latest checkpoint
+  'function headerBlocks(uint256 headerBlockId) external view returns (bytes32 root, uint256 start, uint256 end, uint256 createdAt, address proposer)', // Checkpoint root and Amoy block range
+  'event NewHeaderBlock(address indexed proposer, uint256 indexed headerBlockId, uint256 indexed reward, uint256 start, uint256 end, bytes32 root)', // Emitted per checkpoint
+];
+
+// Withdraw Manager events on Sepolia (exit lifecycle)
+const withdrawManagerEventAbi = [
+  'event ExitStarted(address indexed exitor, uint256 indexed exitId, address indexed token, uint256 amount, bool isRegularExit)',
+  'event Withdraw(uint256 indexed exitId, address indexed user, address indexed token, uint256 amount)',
+];
+
+// Withdraw Manager exit queue on Sepolia (one priority queue per root token)
+const withdrawManagerQueueAbi = [
+  'function exits(uint256 exitId) external view returns (uint256 receiptAmountOrNFTId, bytes32 txHash, address owner, address token, bool isRegularExit, address predicate)', // Exit details
+  'function exitsQueues(address token) external view returns (address)',     // PriorityQueue holding the token's exits
+];
+const exitQueueAbi = [
+  'function currentSize() external view returns (uint256)',                  // Exits waiting to be processed
+  'function getMin() external view returns (uint256 exitableAt, uint256 exitId)', // Next exit processExits will look at (low 128 bits of its ID)
+];
+
+// State sync contracts (deposits are delivered to Amoy as state syncs)
+const stateSenderAbi = [
+  'event StateSynced(uint256 indexed id, address indexed contractAddress, bytes data)', // Emitted on Sepolia per deposit
+];
+const stateReceiverAbi = [
+  'function lastStateId() external view returns (uint256)',                  // Last state sync applied on Amoy
+  'event StateCommitted(uint256 indexed stateId, bool success)',              // Emitted when a state sync is applied
+];
+
+// ─── CONSTANTS ────────────────────────────────────────────────────────────────
+
+// Bor system contract that applies state syncs (deposits) on Amoy
+const STATE_RECEIVER = '0x0000000000000000000000000000000000001001';
+
+// Gas assumed for depositERC20ForUser when it can't be estimated yet (the
+// estimate reverts until the approval exists); real deposits use ~150k
+const DEPOSIT_GAS_FALLBACK = 250000n;
+
+// Rough gas for an ERC-20 approve, used for the ETH-for-gas pre-flight check
+const APPROVE_GAS_FALLBACK = 60000n;
+
+// Days of Sepolia ExitStarted events scanned for the wallet's exits (finalize's
+// `days` overrides it); exits started by this tool are found through the
+// journal whatever their age
+const EXIT_SCAN_DAYS = 14;
+
+// Longest single sleep of `finalize --wait`, so progress is logged regularly
+const FINALIZE_WAIT_STEP_SECONDS = 3600;
+
+// How long trackDeposit and waitForCheckpoint keep retrying failed reads past
+// the deadline, counted from when they start (or, for the proof, from when the
+// checkpoint is seen), so a deposit or burn older than the deadline isn't
+// given up on after one transient error
+const READ_RETRY_MINUTES = 10;
+
+// Defaults for the constructor options
+const DEFAULTS = {
+  network: 'amoy',
+  proofSource: 'api',
+  approval: 'exact',
+  confirmations: 1,
+  speedUpSeconds: 180,
+  bumpPercent: 20,
+  depositDeadlineMinutes: 60,
+  checkpointDeadlineMinutes: 180,
+  checkpointPollSeconds: 60,
+  batchChunkSize: 10,
+  autoComplete: false,
+};
+
+// Progress events, in the order a round trip emits them (payloads in the header above)
+const EVENTS = ['approved', 'depositSent', 'depositCredited', 'burned', 'checkpointed', 'exitStarted', 'exitProcessed'];
+
+// ─── FORMATTING ───────────────────────────────────────────────────────────────
+/**
+ * Formats a number of seconds as e.g. "24m 13s", "2h 5m" or "6d 23h"
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days > 0) {
+    return `${days}d ${hours % 24}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Formats an amount of a token for display ("1.5 POL", or "MYNFT #42" for an NFT)
+ *
+ * @param {bigint} value - Amount in the token's smallest unit, or an ERC-721 token ID
+ * @param {Object} token - Token from getToken()
+ * @returns {string} Human-readable amount
+ */
+function formatTokenAmount(value, token) {
+  return token.standard === 'ERC721'
+    ? `${token.symbol} #${value}`
+    : `${ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+}
+
+/**
+ * Error for checks that failed before anything was sent
+ *
+ * Categorized as insufficient_balance when a balance check is among the
+ * problems (token or gas), so scripts can tell "fund the wallet" apart.
+ *
+ * @param {string} message - Summary (e.g. 'Pre-flight checks failed — no transactions were sent.')
+ * @param {string[]} problems - One line per failed check
+ * @returns {Error} Error with `problems` and `category`
+ */
+function checksError(message, problems) {
+  const shortOfFunds = problems.some((problem) => problem.startsWith('Insufficient '));
+  const error = categorized(message, shortOfFunds ? 'insufficient_balance' : 'error');
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Reads a setting or argument that must be a positive number (minutes, days, …)
+ *
+ * A NaN deadline never expires and a NaN lookback scans nothing, so bad
+ * values (e.g. `--deadline abc`, `--days foo`) are rejected as usage errors.
+ *
+ * @param {*} value - Number or numeric string
+ * @param {string} name - Setting name for the message, e.g. 'checkpointDeadlineMinutes'
+ * @returns {number} The value as a number
+ */
+function positiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw categorized(`${name} must be a positive number, got "${value}"`, 'usage');
+  }
+  return number;
+}
+
+/**
+ * Withdraw event signature for a token's standard
+ *
+ * @param {Object} [token] - Token that was burned; ERC-20 if omitted
+ * @returns {string} topic0 of the child token's Withdraw event
+ */
+function getEventSignature(token) {
+  return token?.standard === 'ERC721' ? ERC721_WITHDRAW_EVENT_SIG : ERC20_WITHDRAW_EVENT_SIG;
+}
+
+// ─── EXIT IDS ─────────────────────────────────────────────────────────────────
+/**
+ * Reads when an exit leaves its challenge period
+ *
+ * The WithdrawManager packs exitableAt into the top bits of the exit ID
+ * (exitableAt << 128 | child block << 33 | …) — processExits reads it back
+ * the same way from the priority queue.
+ *
+ * @param {bigint} exitId - Exit ID from ExitStarted
+ * @returns {number} Unix timestamp after which processExits releases the exit
+ */
+function exitableAtOf(exitId) {
+  return Number(BigInt(exitId) >> 128n);
+}
+
+/**
+ * Extracts the Amoy child block number from a plasma exit ID
+ *
+ * startExitWithBurntTokens queues the exit under `age << 1`, where age packs
+ * exitableAt (bits 127+), the child block number (bits 32-126) and the
+ * receipt branch mask (bits 0-31).
+ *
+ * @param {bigint} exitId - Exit ID from the ExitStarted event
+ * @returns {bigint} Amoy block number of the burn being exited
+ */
+function exitIdToChildBlock(exitId) {
+  return (exitId >> 33n) & ((1n << 95n) - 1n);
+}
+
+// ─── BATCH PLANNING ───────────────────────────────────────────────────────────
+/**
+ * Splits validated rows into the deposit transactions to send
+ *
+ * depositBulk deposits several tokens/amounts for a single recipient, so rows
+ * are grouped by recipient (in manifest order) and each group is cut into
+ * chunks of `chunkSize`. With `sequential` every row is its own
+ * depositERC20ForUser transaction.
+ *
+ * @param {Object[]} rows - Validated rows ({ recipient, token, amountWei })
+ * @param {boolean} sequential - One transaction per row
+ * @param {number} chunkSize - Maximum rows per depositBulk call
+ * @returns {Object[]} Transactions as { recipient, rows }
+ */
+function planBatch(rows, sequential, chunkSize) {
+  if (sequential) {
+    return rows.map((row) => ({ recipient: row.recipient, rows: [row] }));
+  }
+
+  const byRecipient = new Map();
+  for (const row of rows) {
+    byRecipient.set(row.recipient, [...(byRecipient.get(row.recipient) || []), row]);
+  }
+
+  const transactions = [];
+  for (const [recipient, recipientRows] of byRecipient) {
+    for (let start = 0; start < recipientRows.length; start += chunkSize) {
+      transactions.push({ recipient, rows: recipientRows.slice(start, start + chunkSize) });
+    }
+  }
+  return transactions;
+}
+
+/**
+ * Waits up to `ms` for the next NewHeaderBlock event
+ *
+ * Without a WebSocket subscription this is a plain sleep; with one it returns
+ * as soon as a checkpoint lands, so the caller can re-check straight away.
+ *
+ * @param {Object|undefined} rootChainWs - RootChain contract on a WebSocket provider
+ * @param {number} ms - Longest wait in milliseconds
+ * @returns {Promise<bigint|null>} Last Amoy block of the new checkpoint, or null on timeout
+ */
+function waitForHeaderBlock(rootChainWs, ms) {
+  return new Promise((resolve) => {
+    const onHeaderBlock = (proposer, headerBlockId, reward, start, end) => {
+      clearTimeout(timer);
+      resolve(end);
+    };
+    const timer = setTimeout(() => {
+      rootChainWs?.off('NewHeaderBlock', onHeaderBlock);
+      resolve(null);
+    }, ms);
+    rootChainWs?.once('NewHeaderBlock', onHeaderBlock);
+  });
+}
+
+// ─── POLBRIDGE ────────────────────────────────────────────────────────────────
+class PolBridge extends EventEmitter {
+  /**
+   * @param {Object} [options] - Bridge settings (every field optional)
+   *   network:                   profile name for lib/networks.js ('amoy', 'mainnet', 'custom')
+   *                              or a profile object with the same fields (default 'amoy')
+   *   signer:                    an ethers signer, or signer settings for lib/signers.js
+   *                              ({ source, privateKey, keystoreFile, mnemonic, remoteUrl, watchAddress, … })
+   *   journalFile:               transfer journal (default bridge-journal.json, per network)
+   *   tokenRegistry:             tokens.json with extra tokens (default per network)
+   *   proofSource:               'api' (the profile's proof generator, default) or 'local'
+   *   approval:                  default deposit approval, 'exact' (default) or 'unlimited'
+   *   confirmations:             blocks a transaction needs before the next step (default 1)
+   *   speedUpSeconds:            replace a transaction with higher fees if not mined by then (default 180, 0 = never)
+   *   bumpPercent:               fee increase per replacement (default 20, at least 10)
+   *   depositDeadlineMinutes:    how long trackDeposit() waits for a deposit, from its block (default 60)
+   *   checkpointDeadlineMinutes: how long waitForCheckpoint() waits, from the burn (default 180)
+   *   checkpointPollSeconds:     RootChain reads while waiting for a checkpoint (default 60)
+   *   batchChunkSize:            rows per depositBulk call (default 10)
+   *   autoComplete:              withdraw() waits for the checkpoint and exits (default false)
+   *   log:                       progress output, called like console.log (default: silent)
+   *   prompt:                    asks for keystore passphrases / mnemonics (default: hidden terminal prompt)
+   */
+  constructor(options = {}) {
+    super();
+    const settings = { ...DEFAULTS, ...options };
+
+    if (!['api', 'local'].includes(settings.proofSource)) {
+      throw new Error(`Unknown proof source "${settings.proofSource}" (use api or local)`);
+    }
+    if (!['exact', 'unlimited'].includes(settings.approval)) {
+      throw new Error(`Unknown approval mode "${settings.approval}" (use exact or unlimited)`);
+    }
+
+    // Network profile: RPCs, chain IDs, contracts, proof API and explorers
+    this.network = typeof settings.network === 'string' ? loadNetwork(settings.network) : settings.network;
+    this.signerOption = settings.signer || {};
+    this.proofSource = settings.proofSource;
+    this.approval = settings.approval;
+    this.depositDeadlineMinutes = positiveNumber(settings.depositDeadlineMinutes, 'depositDeadlineMinutes');
+    this.checkpointDeadlineMinutes = positiveNumber(settings.checkpointDeadlineMinutes, 'checkpointDeadlineMinutes');
+    this.checkpointPollSeconds = Number(settings.checkpointPollSeconds);
+    this.batchChunkSize = Number(settings.batchChunkSize);
+    this.autoComplete = Boolean(settings.autoComplete);
+    this.log = settings.log || (() => {});
+    this.prompt = settings.prompt;
+
+    // Transaction handling (lib/txmanager.js); fee caps and priority fees are
+    // per chain in the network profile
+    this.txSettings = {
+      confirmations: Number(settings.confirmations),
+      speedUpSeconds: Number(settings.speedUpSeconds),
+      bumpPercent: Number(settings.bumpPercent),
+    };
+
+    // Journal and token registry are kept per network (amoy keeps the original file names)
+    this.journal = createJournal(settings.journalFile || networkFile('bridge-journal.json', this.network.name));
+    this.tokenRegistry = settings.tokenRegistry || networkFile('tokens.json', this.network.name);
+
+    // Providers for both networks
+    // "Sepolia"/"Amoy" stand for the profile's root/child chains (Ethereum/Polygon on mainnet).
+    // The chain IDs come from the profile (no auto-detection, which retries forever on a
+    // dead RPC); connect() checks them against each RPC with verifyChainIds().
+    this.providerSepolia = new ethers.JsonRpcProvider(this.network.rootRpc, this.network.rootChainId, { staticNetwork: true });
+    this.providerAmoy = new ethers.JsonRpcProvider(this.network.childRpc, this.network.childChainId, { staticNetwork: true });
+
+    // Wallets and transaction managers for both networks, set up by connect()
+    // Every transaction goes through txSepolia.send() / txAmoy.send() instead of calling the contract
+    this.walletSepolia = undefined;
+    this.walletAmoy = undefined;
+    this.txSepolia = undefined;
+    this.txAmoy = undefined;
+
+    // Deposit Manager contract on Sepolia (handles L1 → L2 deposits)
+    // Created read-only; connect() reconnects it to the wallet
+    this.depositManager = new ethers.Contract(this.network.depositManager, rootChainManagerAbi, this.providerSepolia);
+
+    // Tokens known without a registry file
+    this.builtinTokens = {
+      POL: { symbol: 'POL', root: this.network.polRoot, child: this.network.polChild, decimals: 18 },
+    };
+  }
+
+  /**
+   * Checks both RPCs and loads the signer
+   *
+   * Must be awaited before any other method. Keystores and mnemonics may
+   * prompt for a passphrase here; a watch address may be an ENS name.
+   *
+   * @param {ethers.AbstractSigner|Object} [signer] - Replaces the constructor's `signer` option
+   * @returns {PolBridge} this
+   */
+  async connect(signer = this.signerOption) {
+    await verifyChainIds(this.network, this.providerSepolia, this.providerAmoy);
+
+    if (!(signer instanceof ethers.AbstractSigner)) {
+      const settings = { ...signer };
+      if (detectSignerSource(settings) === 'watch' && settings.watchAddress) {
+        settings.watchAddress = await this.resolveRecipient(settings.watchAddress);
+      }
+      signer = await createSigner(settings, { log: this.log, prompt: this.prompt });
+    }
+
+    this.walletSepolia = signer.connect(this.providerSepolia);
+    this.walletAmoy = signer.connect(this.providerAmoy);
+    this.txSepolia = this.#createTxManager(this.walletSepolia, 'root');
+    this.txAmoy = this.#createTxManager(this.walletAmoy, 'child');
+    this.depositManager = this.depositManager.connect(this.walletSepolia);
+    return this;
+  }
+
+  /**
+   * Address of the connected signer
+   *
+   * @returns {string} Checksummed address
+   */
+  get address() {
+    return this.walletSepolia.address;
+  }
+
+  /**
+   * Whether the signer is a key-less watch address (dry runs, exports and reads only)
+   *
+   * @returns {boolean}
+   */
+  get watchOnly() {
+    return isWatchOnly(this.walletSepolia);
+  }
+
+  /**
+   * Creates the transaction manager for one chain
+   *
+   * Replacements re-key journaled transfers, so checkStatus()/resume() and the
+   * rest of the flow follow whichever transaction was actually mined.
+   *
+   * @param {ethers.AbstractSigner} wallet - Signer connected to the chain
+   * @param {string} chain - 'root' or 'child'
+   * @returns {TxManager} Manager using the profile's fee policy for that chain
+   */
+  #createTxManager(wallet, chain) {
+    return new TxManager(wallet, {
+      ...this.txSettings,
+      name: chain === 'child' ? this.network.childName : this.network.rootName,
+      maxFeeGwei: this.network[`${chain}MaxFeeGwei`],
+      priorityFeeGwei: this.network[`${chain}PriorityFeeGwei`],
+      onReplaced: (oldHash, newHash) => this.journal.replaceHash(oldHash, newHash),
+      log: (line) => this.log(line),
+    });
+  }
+
+  // ─── DOCTOR ─────────────────────────────────────────────────────────────────
+  /**
+   * Checks the network profile: RPC chain IDs, contract code on the right
+   * chain, how the plasma contracts are wired to each other, the proof API
+   *
+   * Needs no signer and sends nothing, so it can run before connect().
+   *
+   * @returns {Object} { network, ok, failed, warnings, checks } — see lib/doctor.js
+   */
+  async doctor() {
+    return runDoctor({
+      network: this.network,
+      rootProvider: this.providerSepolia,
+      childProvider: this.providerAmoy,
+      proofSource: this.proofSource,
+      log: this.log,
+    });
+  }
+
+  // ─── EXPLORER LINKS ─────────────────────────────────────────────────────────
+  /**
+   * Block explorer link for a root chain (Sepolia) transaction
+   *
+   * @param {string} hash - Transaction hash
+   * @returns {string} Explorer URL from the network profile
+   */
+  rootTxUrl(hash) {
+    return explorerUrl(this.network.rootExplorerTx, hash);
+  }
+
+  /**
+   * Block explorer link for a child chain (Amoy) transaction
+   *
+   * @param {string} hash - Transaction hash
+   * @returns {string} Explorer URL from the network profile
+   */
+  childTxUrl(hash) {
+    return explorerUrl(this.network.childExplorerTx, hash);
+  }
+
+  // ─── TOKENS AND RECIPIENTS ──────────────────────────────────────────────────
+  /**
+   * Resolves a token by symbol or address, defaulting to POL
+   *
+   * ERC-721 collections resolve the same way, with standard 'ERC721'.
+   *
+   * @param {string} [query] - Symbol (built-in or tokens.json) or root/child address
+   * @returns {Object} { symbol, root, child, decimals, native, standard }
+   */
+  async getToken(query = 'POL') {
+    return resolveToken(query, {
+      builtins: this.builtinTokens,
+      depositManager: this.depositManager,
+      providerSepolia: this.providerSepolia,
+      registryFile: this.tokenRegistry,
+    });
+  }
+
+  /**
+   * Resolves a deposit recipient to a checksummed address
+   *
+   * Accepts a hex address (mixed-case addresses must have a valid EIP-55
+   * checksum) or an ENS name, which is resolved on Sepolia.
+   *
+   * @param {string} recipient - Address or ENS name (e.g. alice.eth)
+   * @returns {string} Checksummed address
+   */
+  async resolveRecipient(recipient) {
+    let address;
+    if (/^0x[0-9a-fA-F]{40}$/.test(recipient)) {
+      try {
+        address = ethers.getAddress(recipient); // Throws on a bad checksum
+      } catch (error) {
+        throw new Error(`Recipient ${recipient} has an invalid checksum — check for a typo, or pass it all lowercase`);
+      }
+    } else if (recipient.includes('.')) {
+      try {
+        address = await this.providerSepolia.resolveName(recipient);
+      } catch (error) {
+        throw new Error(`Could not resolve ENS name ${recipient}: ${error.shortMessage || error.message}`);
+      }
+      if (!address) {
+        throw new Error(`ENS name ${recipient} does not resolve to an address on Sepolia`);
+      }
+    } else {
+      throw new Error(`Recipient "${recipient}" is not an address or ENS name`);
+    }
+
+    if (address === ethers.ZeroAddress) {
+      throw new Error('Refusing to deposit to the zero address');
+    }
+    return address;
+  }
+
+  /**
+   * Works out who a deposit credits on Amoy: `to` if given, otherwise our wallet
+   *
+   * @param {string} [to] - Address or ENS name
+   * @returns {string} Checksummed recipient address
+   */
+  async #getRecipient(to) {
+    if (!to) {
+      return this.walletSepolia.address;
+    }
+
+    const recipient = await this.resolveRecipient(to);
+    this.log(`Recipient on Amoy: ${recipient}${recipient.toLowerCase() === to.toLowerCase() ? '' : ` (${to})`}`);
+    return recipient;
+  }
+
+  // ─── DRY RUN / SIMULATION ───────────────────────────────────────────────────
+  /**
+   * Builds a transaction and simulates it instead of broadcasting (dryRun)
+   *
+   * Logs the target, value and calldata, runs eth_call against the current
+   * chain state to surface reverts, then estimates gas and the fee.
+   *
+   * @param {string} label - Step name to print (e.g. 'approve')
+   * @param {Object} contract - ethers Contract connected to the sending wallet
+   * @param {string} method - Contract method to call
+   * @param {Array} params - Method arguments (overrides such as { value } go last)
+   * @param {Object} [opts] - { skipReason, gasFallback } to only print calldata when
+   *                          the call depends on an earlier, unmined step
+   * @returns {Object} { label, to, data, value, ok, gas, fee, reason, diagnosis } — reason
+   *   and diagnosis (lib/diagnostics.js) only when the call would revert
+   */
+  async #simulateTransaction(label, contract, method, params, opts = {}) {
+    const wallet = contract.runner;
+    const provider = wallet.provider;
+    const onChild = provider === this.providerAmoy;
+    const nativeSymbol = onChild ? 'POL' : 'ETH';
+
+    const tx = await contract[method].populateTransaction(...params);
+    tx.from = wallet.address;
+    const result = { label, to: tx.to, data: tx.data, value: tx.value ?? 0n };
+
+    this.log(`  🧪 ${label}`);
+    this.log(`     to:       ${tx.to}`);
+    if (tx.value) {
+      this.log(`     value:    ${ethers.formatEther(tx.value)} ${nativeSymbol}`);
+    }
+    this.log(`     calldata: ${tx.data}`);
+
+    let gas = opts.gasFallback;
+    if (opts.skipReason) {
+      this.log(`     ⏭  Not simulated: ${opts.skipReason}`);
+    } else {
+      try {
+        await provider.call(tx);
+        gas = await provider.estimateGas(tx);
+      } catch (error) {
+        const diagnosis = diagnose(error, [contract.interface]);
+        this.log(`     ❌ Would revert: ${diagnosis.reason}`);
+        if (diagnosis.explanation) {
+          this.log(`     💡 ${diagnosis.explanation} — ${diagnosis.next}`);
+        }
+        return { ...result, ok: false, reason: diagnosis.reason, diagnosis };
+      }
+    }
+
+    const [feeData, fees] = await Promise.all([
+      provider.getFeeData(),
+      (onChild ? this.txAmoy : this.txSepolia).currentFees(), // Fee cap and priority fee applied
+    ]);
+    const fee = gas * (feeData.gasPrice ?? 0n);
+    const maxFee = gas * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n);
+    this.log(`     gas:      ${gas}${opts.skipReason ? ' (estimate)' : ''}`);
+    this.log(`     fee:      ~${ethers.formatEther(fee)} ${nativeSymbol} (max ${ethers.formatEther(maxFee)} ${nativeSymbol})`);
+    return { ...result, ok: true, gas, fee };
+  }
+
+  // ─── TRANSACTION EXPORT ─────────────────────────────────────────────────────
+  /**
+   * Writes the transactions a method would send to a file instead of sending them
+   *
+   * Raw exports (lib/export.js) are fully populated for an offline signer:
+   * nonces count up from the sender's pending nonce, gas is estimated (or
+   * `gasFallback` for a step that can't be estimated before the previous one is
+   * mined) and fees are today's, under the chain's fee cap. Safe batches
+   * only carry to/data/value; the Safe fills in the rest when it executes them.
+   *
+   * @param {Object} spec - { command, chain: 'root'|'child', description, context (for broadcast) }
+   * @param {Object[]} calls - { label, contract, method, params, gasFallback } in sending order
+   * @param {Object} exportTo - { file, format: 'raw'|'safe' }
+   * @returns {Object} { exported: file, format, chain, transactions: [{ label, to }] }
+   */
+  async #exportTransactions(spec, calls, exportTo) {
+    const format = exportTo.format || 'raw';
+    if (!txExport.EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}" (use ${txExport.EXPORT_FORMATS.join(' or ')})`);
+    }
+    const wallet = spec.chain === 'child' ? this.walletAmoy : this.walletSepolia;
+    const provider = wallet.provider;
+    const chainId = spec.chain === 'child' ? this.network.childChainId : this.network.rootChainId;
+    const chainName = spec.chain === 'child' ? this.network.childName : this.network.rootName;
+
+    const populated = [];
+    for (const call of calls) {
+      const tx = await call.contract[call.method].populateTransaction(...call.params);
+      populated.push({ label: call.label, to: tx.to, data: tx.data, value: tx.value ?? 0n, gasFallback: call.gasFallback });
+    }
+
+    if (format === 'safe') {
+      txExport.writeExport(exportTo.file, txExport.buildSafeBatch(
+        { chainId, from: wallet.address, name: `Bridge ${spec.command}`, description: spec.description },
+        populated
+      ));
+    } else {
+      const [nonce, fees] = await Promise.all([
+        provider.getTransactionCount(wallet.address, 'pending'),
+        (spec.chain === 'child' ? this.txAmoy : this.txSepolia).currentFees(), // The chain's fee cap and priority fee
+      ]);
+
+      const transactions = [];
+      for (const [index, { gasFallback, ...tx }] of populated.entries()) {
+        const gasLimit = gasFallback ?? await provider.estimateGas({ ...tx, from: wallet.address });
+        transactions.push({ ...tx, nonce: nonce + index, gasLimit, ...fees });
+      }
+      txExport.writeExport(exportTo.file, txExport.buildRawExport(
+        { command: spec.command, network: this.network.name, chain: spec.chain, chainId, from: wallet.address, context: spec.context },
+        transactions
+      ));
+    }
+
+    this.log(`📝 ${populated.length} unsigned ${chainName} transaction(s) written to ${exportTo.file} (${format}) — nothing was sent`);
+    for (const [index, tx] of populated.entries()) {
+      this.log(`   ${index + 1}. ${tx.label} → ${tx.to}`);
+    }
+    if (format === 'safe') {
+      this.log(`💡 Import it in the Safe Transaction Builder for ${wallet.address} and execute the batch`);
+    } else {
+      this.log(`💡 Sign them as ${wallet.address}, then run: node bridge.js broadcast ${exportTo.file} [signed.txt]`);
+    }
+    return {
+      exported: exportTo.file,
+      format,
+      chain: spec.chain,
+      transactions: populated.map(({ label, to }) => ({ label, to })),
+    };
+  }
+
+  // ─── DEPOSIT PRE-FLIGHT CHECKS ──────────────────────────────────────────────
+  /**
+   * Checks everything a deposit needs before any transaction is sent
+   *
+   * Checks:
+   * - DepositManager is not locked()
+   * - Amount is within maxErc20Deposit()
+   * - Token balance covers the amount
+   * - Existing allowance (approve is skipped when it already covers the amount)
+   * - ETH balance covers gas for approve (if needed) + deposit
+   *
+   * @param {Object} token - Token from getToken()
+   * @param {bigint} amountWei - Amount to deposit in the token's smallest unit
+   * @param {string} approvalMode - 'exact' (approve the amount) or 'unlimited' (MaxUint256)
+   * @param {boolean} gasPaidBySafe - Exporting a Safe batch: the Safe owner pays the gas
+   * @returns {Object} { problems: string[], needsApproval: boolean, approveAmount: bigint }
+   */
+  async #preflightDeposit(token, amountWei, approvalMode, gasPaidBySafe) {
+    const problems = [];
+    const owner = this.walletSepolia.address;
+    const spender = this.network.depositManager;
+    const rootToken = new ethers.Contract(token.root, erc20Abi, this.walletSepolia);
+    const format = (value) => `${ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+
+    // DepositManager state: deposits revert while locked or above the cap
+    const [locked, maxDeposit] = await Promise.all([
+      this.depositManager.locked(),
+      this.depositManager.maxErc20Deposit(),
+    ]);
+    if (locked) {
+      problems.push('DepositManager is locked() — deposits are paused by governance, try again later');
+    } else {
+      this.log('  ✔ DepositManager is accepting deposits');
+    }
+    if (amountWei > maxDeposit) {
+      problems.push(
+        `Amount exceeds maxErc20Deposit (${format(maxDeposit)}) — ` +
+        'split it into several smaller deposits'
+      );
+    } else {
+      this.log(`  ✔ Amount within deposit cap (${format(maxDeposit)})`);
+    }
+
+    // Token balance and existing allowance
+    const [balance, allowance] = await Promise.all([
+      rootToken.balanceOf(owner),
+      rootToken.allowance(owner, spender),
+    ]);
+    if (balance < amountWei) {
+      problems.push(
+        `Insufficient ${token.symbol} balance. Need ${format(amountWei)}, have ${format(balance)}`
+      );
+    } else {
+      this.log(`  ✔ ${token.symbol} balance: ${ethers.formatUnits(balance, token.decimals)}`);
+    }
+
+    const needsApproval = allowance < amountWei;
+    const approveAmount = approvalMode === 'unlimited' ? ethers.MaxUint256 : amountWei;
+    if (needsApproval) {
+      this.log(`  ✔ Allowance ${format(allowance)} — will approve ${approvalMode === 'unlimited' ? 'unlimited' : format(amountWei)}`);
+    } else {
+      this.log(`  ✔ Allowance ${format(allowance)} covers deposit — skipping approve`);
+    }
+
+    // ETH for gas: estimate what we can, fall back for the deposit until approved
+    let gas = 0n;
+    try {
+      if (needsApproval) {
+        gas += await rootToken.approve.estimateGas(spender, approveAmount);
+        gas += DEPOSIT_GAS_FALLBACK;
+      } else {
+        gas += await this.depositManager.depositERC20ForUser.estimateGas(token.root, owner, amountWei);
+      }
+    } catch (error) {
+      // Estimation reverts when the checks above fail; they already explain why
+      gas += DEPOSIT_GAS_FALLBACK * 2n;
+    }
+
+    const [ethBalance, feeData] = await Promise.all([
+      this.providerSepolia.getBalance(owner),
+      this.providerSepolia.getFeeData(),
+    ]);
+    const gasCost = gas * (feeData.maxFeePerGas ?? feeData.gasPrice);
+    if (gasPaidBySafe) {
+      this.log('  ✔ ETH for gas: paid by the Safe owner who executes the batch');
+    } else if (ethBalance < gasCost) {
+      problems.push(
+        `Insufficient ETH for gas. Need ~${ethers.formatEther(gasCost)} ETH, have ${ethers.formatEther(ethBalance)} ETH`
+      );
+    } else {
+      this.log(`  ✔ ETH for gas: ${ethers.formatEther(ethBalance)} (need ~${ethers.formatEther(gasCost)})`);
+    }
+
+    return { problems, needsApproval, approveAmount };
+  }
+
+  // ─── DEPOSIT: Sepolia → Amoy ────────────────────────────────────────────────
+  /**
+   * Deposits POL (or any mapped ERC-20) from Ethereum Sepolia to Polygon Amoy
+   *
+   * Process:
+   * 1. Resolve the token, amount and recipient (`to`, default our wallet)
+   * 2. Pre-flight checks (lock, cap, balances, allowance) — abort before sending anything
+   * 3. Approve DepositManager to spend the tokens (skipped if the allowance covers it)
+   * 4. Call depositERC20ForUser to initiate cross-chain transfer
+   * 5. Record the deposit in the transfer journal
+   * 6. Watch Amoy until the tokens are credited (~25 minutes), unless `track` is false
+   *
+   * The tokens can be credited to any address on Amoy with `to`; they still
+   * come from (and are approved by) our wallet.
+   *
+   * @param {Object} [params]
+   *   amount:   decimal amount (default '1')
+   *   token:    symbol or address (default POL)
+   *   to:       recipient on Amoy, address or ENS name (default our wallet)
+   *   approval: 'exact' or 'unlimited' (default the constructor's `approval`)
+   *   dryRun:   simulate instead of sending
+   *   export:   { file, format } — write unsigned transactions instead of sending
+   *   track:    wait until the deposit is credited on Amoy (default true)
+   * @returns {Object} { hash, nonce, token, symbol, amount, recipient, approveTx, credited },
+   *   { dryRun: true, simulations } or the export summary
+   */
+  async deposit({ amount = '1', token: tokenQuery, to, approval = this.approval, dryRun, export: exportTo, track = true } = {}) {
+    const token = await this.getToken(tokenQuery);
+    if (token.standard === 'ERC721') {
+      throw new Error(`${token.symbol} is an ERC-721 collection — use: node bridge.js deposit-nft ${token.root} <tokenId>`);
+    }
+    if (!['exact', 'unlimited'].includes(approval)) {
+      throw new Error(`Unknown approval mode "${approval}" (use exact or unlimited)`);
+    }
+    const recipient = await this.#getRecipient(to);
+    const rootToken = new ethers.Contract(token.root, erc20Abi, this.walletSepolia);
+    const spender = this.network.depositManager;
+    const amountWei = ethers.parseUnits(String(amount), token.decimals); // Convert to smallest unit
+
+    this.log(`Depositing ${amount} ${token.symbol} (${ethers.formatUnits(amountWei, token.decimals)} ${token.symbol})`);
+
+    // Step 0: Make sure the deposit can succeed before spending any gas
+    this.log('0) Pre-flight checks…');
+    const preflight = await this.#preflightDeposit(token, amountWei, approval, exportTo?.format === 'safe');
+    if (preflight.problems.length > 0) {
+      throw checksError('Pre-flight checks failed — no transactions were sent.', preflight.problems);
+    }
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Sepolia state, nothing will be broadcast');
+      const simulations = [];
+      if (preflight.needsApproval) {
+        simulations.push(await this.#simulateTransaction('approve', rootToken, 'approve', [spender, preflight.approveAmount]));
+      }
+      simulations.push(await this.#simulateTransaction(
+        'depositERC20ForUser',
+        this.depositManager,
+        'depositERC20ForUser',
+        [token.root, recipient, amountWei],
+        preflight.needsApproval
+          ? { skipReason: 'needs the approval above to be mined first', gasFallback: DEPOSIT_GAS_FALLBACK }
+          : {}
+      ));
+      return { dryRun: true, simulations };
+    }
+
+    if (exportTo) {
+      const calls = [];
+      if (preflight.needsApproval) {
+        calls.push({ label: 'approve', contract: rootToken, method: 'approve', params: [spender, preflight.approveAmount] });
+      }
+      calls.push({
+        label: 'depositERC20ForUser',
+        contract: this.depositManager,
+        method: 'depositERC20ForUser',
+        params: [token.root, recipient, amountWei],
+        gasFallback: preflight.needsApproval ? DEPOSIT_GAS_FALLBACK : undefined, // Can't be estimated before the approval
+      });
+      return this.#exportTransactions({
+        command: 'deposit',
+        chain: 'root',
+        description: `Deposit ${ethers.formatUnits(amountWei, token.decimals)} ${token.symbol} to ${recipient} on ${this.network.childName}`,
+        context: { token: token.root, symbol: token.symbol, amount: amountWei.toString(), recipient },
+      }, calls, exportTo);
+    }
+
+    // Step 1: Approve the DepositManager contract to spend our tokens
+    // This is required before any ERC-20 transfer by a third party
+    let approveTx;
+    if (preflight.needsApproval) {
+      this.log('1) Approving DepositManager on Sepolia…');
+      try {
+        approveTx = await this.txSepolia.send(rootToken, 'approve', [spender, preflight.approveAmount]);
+        await approveTx.wait(); // Wait for transaction to be mined
+      } catch (error) {
+        throw diagnosedError('Approval failed', error, [rootToken.interface]);
+      }
+      this.log('  ✔ Approval:', this.rootTxUrl(approveTx.hash));
+      this.emit('approved', { hash: approveTx.hash, token: token.root, symbol: token.symbol, spender, amount: preflight.approveAmount });
+    } else {
+      this.log('1) Existing allowance covers the deposit — approve skipped');
+    }
+
+    // Step 2: Call the deposit function to transfer tokens to Amoy
+    // depositERC20ForUser burns tokens on L1 and mints equivalent on L2
+    this.log('2) depositERC20ForUser on Sepolia…');
+    let depositTx;
+    try {
+      depositTx = await this.txSepolia.send(this.depositManager, 'depositERC20ForUser', [
+        token.root,            // Token contract address on Sepolia
+        recipient,             // Recipient address on Amoy (our wallet unless `to`)
+        amountWei,             // Amount to deposit in the token's smallest unit
+      ]);
+    } catch (error) {
+      // Reverts surface here, from the gas estimate (maximum deposit, locked manager, allowance…)
+      throw diagnosedError('depositERC20ForUser failed', error, [this.depositManager.interface]);
+    }
+    this.journal.recordTransfer({
+      type: 'deposit',
+      hash: depositTx.hash,
+      stage: STAGES.DEPOSIT_SENT,
+      address: recipient,
+      sender: this.walletSepolia.address,
+      nonce: depositTx.nonce, // Lets `cancel <nonce>` find the transfer
+      token: token.root,
+      symbol: token.symbol,
+      amount: amountWei.toString(),
+    });
+    this.emit('depositSent', {
+      hash: depositTx.hash, nonce: depositTx.nonce, token: token.root, symbol: token.symbol, recipient, amount: amountWei,
+    });
+    try {
+      await depositTx.wait(); // Wait for transaction to be mined
+    } catch (error) {
+      this.#recordTxFailure(error, depositTx.hash);
+      throw diagnosedError('depositERC20ForUser failed', error, [this.depositManager.interface]);
+    }
+    this.journal.advanceStage(depositTx.hash, STAGES.DEPOSIT_CONFIRMED);
+    this.log('  ✔ Deposit:', this.rootTxUrl(depositTx.hash));
+    this.log('✅ Deposit confirmed — funds will arrive on Amoy in ~25 min.');
+
+    const result = {
+      hash: depositTx.hash,
+      nonce: depositTx.nonce,
+      token: token.root,
+      symbol: token.symbol,
+      amount: amountWei,
+      recipient,
+      approveTx: approveTx?.hash,
+    };
+    if (!track) {
+      return result;
+    }
+
+    // Step 3: Watch Amoy until the deposit has been credited
+    this.log('3) Waiting for the deposit to arrive on Amoy…');
+    this.log(`   💡 Safe to stop — continue later with: node bridge.js track-deposit ${depositTx.hash}`);
+    return { ...result, credited: await this.trackDeposit(depositTx.hash) };
+  }
+
+  // ─── NFT DEPOSIT: Sepolia → Amoy (ERC-721) ──────────────────────────────────
+  /**
+   * Deposits one NFT from an ERC-721 collection on Sepolia to Polygon Amoy
+   *
+   * Process:
+   * 1. Resolve the collection (root or child address, or a tokens.json symbol)
+   *    and check it is mapped as an ERC-721 on the plasma Registry
+   * 2. Pre-flight checks: we own the token ID and deposits are not locked
+   * 3. Approve the DepositManager for the token ID (skipped if already approved)
+   * 4. Call depositERC721ForUser to initiate the cross-chain transfer
+   *    (`safeTransfer` instead sends the NFT with safeTransferFrom; the
+   *    DepositManager's onERC721Received creates the deposit, no approval needed)
+   * 5. Record the deposit in the transfer journal and watch Amoy until it arrives
+   *
+   * `to` credits the NFT to another address on Amoy (not with `safeTransfer`,
+   * which always deposits for the sender).
+   *
+   * @param {Object} params
+   *   collection:   collection address or tokens.json symbol (required)
+   *   tokenId:      token ID (required)
+   *   to:           recipient on Amoy, address or ENS name (default our wallet)
+   *   safeTransfer: deposit with safeTransferFrom
+   *   dryRun:       simulate instead of sending
+   *   track:        wait until the deposit is credited on Amoy (default true)
+   * @returns {Object} { hash, nonce, token, symbol, tokenId, recipient, approveTx, credited }
+   *   or { dryRun: true, simulations }
+   */
+  async depositNFT({ collection: collectionQuery, tokenId: tokenIdParam, to, safeTransfer = false, dryRun, track = true } = {}) {
+    if (!collectionQuery || tokenIdParam === undefined) {
+      throw new Error('Please provide the collection and token ID');
+    }
+    if (to && safeTransfer) {
+      throw new Error('--safe-transfer always deposits for the sender; drop it to use --to');
+    }
+
+    const collection = await this.getToken(collectionQuery);
+    if (collection.standard !== 'ERC721') {
+      throw new Error(`${collection.symbol} is not mapped as an ERC-721 collection — use: node bridge.js deposit <amount> --token ${collection.root}`);
+    }
+    const spender = this.network.depositManager;
+    const tokenId = BigInt(tokenIdParam);
+    const rootNft = new ethers.Contract(collection.root, erc721Abi, this.walletSepolia);
+    const recipient = await this.#getRecipient(to);
+
+    this.log(`Depositing ${formatTokenAmount(tokenId, collection)} (${collection.root})`);
+
+    // Step 0: Make sure the deposit can succeed before spending any gas
+    this.log('0) Pre-flight checks…');
+    const [owner, locked] = await Promise.all([
+      rootNft.ownerOf(tokenId).catch(() => ethers.ZeroAddress), // ownerOf reverts for unminted IDs
+      this.depositManager.locked(),
+    ]);
+    const problems = [];
+    if (locked) {
+      problems.push('DepositManager is locked — deposits are paused on the bridge');
+    }
+    if (owner.toLowerCase() !== this.walletSepolia.address.toLowerCase()) {
+      problems.push(`${formatTokenAmount(tokenId, collection)} is owned by ${owner}, not ${this.walletSepolia.address}`);
+    }
+    if (problems.length > 0) {
+      throw checksError('Pre-flight checks failed — no transactions were sent.', problems);
+    }
+
+    const [approved, approvedForAll] = await Promise.all([
+      rootNft.getApproved(tokenId),
+      rootNft.isApprovedForAll(this.walletSepolia.address, spender),
+    ]);
+    const needsApproval = !safeTransfer &&
+      !approvedForAll && approved.toLowerCase() !== spender.toLowerCase();
+    this.log('  ✔ Pre-flight checks passed');
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Sepolia state, nothing will be broadcast');
+      if (safeTransfer) {
+        return {
+          dryRun: true,
+          simulations: [await this.#simulateTransaction(
+            'safeTransferFrom',
+            rootNft,
+            'safeTransferFrom',
+            [this.walletSepolia.address, spender, tokenId]
+          )],
+        };
+      }
+      const simulations = [];
+      if (needsApproval) {
+        simulations.push(await this.#simulateTransaction('approve', rootNft, 'approve', [spender, tokenId]));
+      }
+      simulations.push(await this.#simulateTransaction(
+        'depositERC721ForUser',
+        this.depositManager,
+        'depositERC721ForUser',
+        [collection.root, recipient, tokenId],
+        needsApproval
+          ? { skipReason: 'needs the approval above to be mined first', gasFallback: DEPOSIT_GAS_FALLBACK }
+          : {}
+      ));
+      return { dryRun: true, simulations };
+    }
+
+    let depositTx;
+    let approveTx;
+    // The deposit reverts in the DepositManager, or in the collection for safeTransferFrom
+    const depositMethod = safeTransfer ? 'safeTransferFrom' : 'depositERC721ForUser';
+    const depositInterfaces = [this.depositManager.interface, rootNft.interface];
+    if (safeTransfer) {
+      // Step 1: Send the NFT straight to the DepositManager, which deposits it for the sender
+      this.log('1) safeTransferFrom to the DepositManager on Sepolia…');
+      try {
+        depositTx = await this.txSepolia.send(rootNft, 'safeTransferFrom', [this.walletSepolia.address, spender, tokenId]);
+      } catch (error) {
+        throw diagnosedError('safeTransferFrom failed', error, depositInterfaces);
+      }
+    } else {
+      // Step 1: Approve the DepositManager to move this token ID
+      if (needsApproval) {
+        this.log('1) Approving DepositManager for the token ID on Sepolia…');
+        try {
+          approveTx = await this.txSepolia.send(rootNft, 'approve', [spender, tokenId]);
+          await approveTx.wait(); // Wait for transaction to be mined
+        } catch (error) {
+          throw diagnosedError('Approval failed', error, [rootNft.interface]);
+        }
+        this.log('  ✔ Approval:', this.rootTxUrl(approveTx.hash));
+        this.emit('approved', { hash: approveTx.hash, token: collection.root, symbol: collection.symbol, spender, tokenId });
+      } else {
+        this.log('1) DepositManager is already approved — approve skipped');
+      }
+
+      // Step 2: Lock the NFT in the DepositManager and sync it to Amoy
+      this.log('2) depositERC721ForUser on Sepolia…');
+      try {
+        depositTx = await this.txSepolia.send(this.depositManager, 'depositERC721ForUser', [
+          collection.root,       // Collection contract address on Sepolia
+          recipient,             // Recipient address on Amoy (our wallet unless `to`)
+          tokenId,               // Token ID to deposit
+        ]);
+      } catch (error) {
+        throw diagnosedError('depositERC721ForUser failed', error, depositInterfaces);
+      }
+    }
+
+    this.journal.recordTransfer({
+      type: 'deposit',
+      hash: depositTx.hash,
+      stage: STAGES.DEPOSIT_SENT,
+      address: recipient,
+      sender: this.walletSepolia.address,
+      nonce: depositTx.nonce, // Lets `cancel <nonce>` find the transfer
+      token: collection.root,
+      symbol: collection.symbol,
+      standard: 'ERC721',
+      tokenId: tokenId.toString(),
+    });
+    this.emit('depositSent', {
+      hash: depositTx.hash, nonce: depositTx.nonce, token: collection.root, symbol: collection.symbol, recipient, tokenId,
+    });
+    try {
+      await depositTx.wait(); // Wait for transaction to be mined
+    } catch (error) {
+      this.#recordTxFailure(error, depositTx.hash);
+      throw diagnosedError(`${depositMethod} failed`, error, depositInterfaces);
+    }
+    this.journal.advanceStage(depositTx.hash, STAGES.DEPOSIT_CONFIRMED);
+    this.log('  ✔ Deposit:', this.rootTxUrl(depositTx.hash));
+    this.log('✅ Deposit confirmed — the NFT will arrive on Amoy in ~25 min.');
+
+    const result = {
+      hash: depositTx.hash,
+      nonce: depositTx.nonce,
+      token: collection.root,
+      symbol: collection.symbol,
+      tokenId,
+      recipient,
+      approveTx: approveTx?.hash,
+    };
+    if (!track) {
+      return result;
+    }
+
+    this.log('3) Waiting for the deposit to arrive on Amoy…');
+    this.log(`   💡 Safe to stop — continue later with: node bridge.js track-deposit ${depositTx.hash}`);
+    return { ...result, credited: await this.trackDeposit(depositTx.hash) };
+  }
+
+  /**
+   * Marks a journaled deposit or burn failed once it can no longer be mined
+   *
+   * That is when it reverted (the error carries its receipt) or another
+   * transaction took its nonce. Other wait errors (RPC outage, timeout,
+   * process stopped) leave the record where it was, so resume() can still
+   * follow it.
+   *
+   * @param {Error} error - Error from the transaction's wait()
+   * @param {string} [hash] - The transaction's hash, if it was sent
+   */
+  #recordTxFailure(error, hash) {
+    if (error.receipt) {
+      this.journal.advanceStage(error.receipt.hash, STAGES.FAILED, { error: error.shortMessage || error.message });
+    } else if (hash && error.code === 'TRANSACTION_REPLACED') {
+      this.journal.advanceStage(hash, STAGES.FAILED, { error: error.message });
+    }
+  }
+
+  // ─── BATCH DEPOSITS ─────────────────────────────────────────────────────────
+  /**
+   * Validates manifest rows and resolves each row's recipient and token
+   *
+   * Recipients may be addresses or ENS names. Rows without a token use
+   * `defaultToken` (or POL). The maxErc20Deposit cap only applies to
+   * depositERC20ForUser, so it is checked in sequential mode only.
+   *
+   * @param {Object[]} manifestRows - Rows from loadManifest()
+   * @param {bigint|undefined} maxDeposit - Per-deposit cap, or undefined to skip the check
+   * @param {string} [defaultToken] - Token for rows without one
+   * @returns {Object} { rows: [{ line, recipient, token, amountWei }], problems: string[] }
+   */
+  async #validateBatch(manifestRows, maxDeposit, defaultToken) {
+    const rows = [];
+    const problems = [];
+    const tokens = {}; // Resolve each token once, however many rows use it
+
+    for (const row of manifestRows) {
+      const where = `Row ${row.line}`;
+      if (row.error) {
+        problems.push(`${where}: ${row.error}`);
+        continue;
+      }
+      let recipient;
+      try {
+        recipient = await this.resolveRecipient(row.recipient ?? '');
+      } catch (error) {
+        problems.push(`${where}: ${error.message}`);
+        continue;
+      }
+
+      const query = row.token || defaultToken || 'POL';
+      let token;
+      try {
+        tokens[query] = tokens[query] || this.getToken(query);
+        token = await tokens[query];
+      } catch (error) {
+        problems.push(`${where}: ${error.message}`);
+        continue;
+      }
+      if (token.standard === 'ERC721') {
+        problems.push(`${where}: ${token.symbol} is an ERC-721 collection — batch deposits are ERC-20 only`);
+        continue;
+      }
+
+      let amountWei;
+      try {
+        amountWei = ethers.parseUnits(row.amount ?? '', token.decimals);
+      } catch (error) {
+        problems.push(`${where}: invalid amount "${row.amount ?? ''}"`);
+        continue;
+      }
+      if (amountWei <= 0n) {
+        problems.push(`${where}: amount must be greater than zero`);
+        continue;
+      }
+      if (maxDeposit !== undefined && amountWei > maxDeposit) {
+        problems.push(`${where}: ${formatTokenAmount(amountWei, token)} exceeds maxErc20Deposit (${formatTokenAmount(maxDeposit, token)})`);
+        continue;
+      }
+
+      rows.push({ line: row.line, recipient, token, amountWei });
+    }
+
+    return { rows, problems };
+  }
+
+  /**
+   * Checks balances, allowances and gas for a whole batch before anything is sent
+   *
+   * Amounts are totalled per token, so each token is approved at most once.
+   *
+   * @param {Object[]} rows - Validated rows from #validateBatch()
+   * @param {number} transactionCount - Deposit transactions the batch will send
+   * @param {string} approvalMode - 'exact' (approve the total) or 'unlimited' (MaxUint256)
+   * @returns {Object} { problems: string[], approvals: [{ token, amount }] }
+   */
+  async #preflightBatch(rows, transactionCount, approvalMode) {
+    const problems = [];
+    const approvals = [];
+    const owner = this.walletSepolia.address;
+
+    if (await this.depositManager.locked()) {
+      problems.push('DepositManager is locked() — deposits are paused by governance, try again later');
+    } else {
+      this.log('  ✔ DepositManager is accepting deposits');
+    }
+
+    // Total per token
+    const totals = new Map();
+    for (const row of rows) {
+      const entry = totals.get(row.token.root) || { token: row.token, total: 0n };
+      entry.total += row.amountWei;
+      totals.set(row.token.root, entry);
+    }
+
+    for (const { token, total } of totals.values()) {
+      const rootToken = new ethers.Contract(token.root, erc20Abi, this.walletSepolia);
+      const [balance, allowance] = await Promise.all([
+        rootToken.balanceOf(owner),
+        rootToken.allowance(owner, this.network.depositManager),
+      ]);
+      if (balance < total) {
+        problems.push(`Insufficient ${token.symbol} balance. Need ${formatTokenAmount(total, token)}, have ${formatTokenAmount(balance, token)}`);
+      } else {
+        this.log(`  ✔ ${token.symbol}: total ${formatTokenAmount(total, token)}, balance ${formatTokenAmount(balance, token)}`);
+      }
+
+      if (allowance < total) {
+        const amount = approvalMode === 'unlimited' ? ethers.MaxUint256 : total;
+        approvals.push({ token, amount });
+        this.log(`  ✔ ${token.symbol} allowance ${formatTokenAmount(allowance, token)} — will approve ${approvalMode === 'unlimited' ? 'unlimited' : formatTokenAmount(total, token)}`);
+      } else {
+        this.log(`  ✔ ${token.symbol} allowance covers the batch — skipping approve`);
+      }
+    }
+
+    // ETH for gas: a rough upper bound, deposits can't be estimated before the approvals
+    const gas = BigInt(approvals.length) * APPROVE_GAS_FALLBACK +
+      BigInt(Math.max(transactionCount, rows.length)) * DEPOSIT_GAS_FALLBACK;
+    const [ethBalance, feeData] = await Promise.all([
+      this.providerSepolia.getBalance(owner),
+      this.providerSepolia.getFeeData(),
+    ]);
+    const gasCost = gas * (feeData.maxFeePerGas ?? feeData.gasPrice);
+    if (ethBalance < gasCost) {
+      problems.push(`Insufficient ETH for gas. Need up to ~${ethers.formatEther(gasCost)} ETH, have ${ethers.formatEther(ethBalance)} ETH`);
+    } else {
+      this.log(`  ✔ ETH for gas: ${ethers.formatEther(ethBalance)} (need up to ~${ethers.formatEther(gasCost)})`);
+    }
+
+    return { problems, approvals };
+  }
+
+  /**
+   * Deposits to many recipients from a CSV or JSON manifest
+   *
+   * Process:
+   * 1. Read and validate every row (recipient, token, amount) — nothing is sent
+   *    if any row is invalid
+   * 2. Pre-flight checks on the totals: lock, balances, allowances, ETH for gas
+   * 3. Approve each token once for its total (skipped if the allowance covers it)
+   * 4. Submit depositBulk per recipient (chunked), or depositERC20ForUser per row
+   *    when `sequential`; a failed transaction marks its rows failed and the
+   *    batch carries on
+   * 5. Write a per-row report (status, transaction, deposit ID) next to the
+   *    manifest, or to `report`; it is rewritten after every transaction
+   *
+   * @param {Object} params
+   *   manifest:   CSV or JSON manifest file (required)
+   *   sequential: one depositERC20ForUser per row instead of depositBulk
+   *   chunkSize:  rows per depositBulk call (default the constructor's `batchChunkSize`)
+   *   report:     report file (default <manifest>.report.json)
+   *   approval:   'exact' or 'unlimited' (default the constructor's `approval`)
+   *   token:      token for rows without one (default POL)
+   *   dryRun:     simulate instead of sending
+   * @returns {Object} { reportFile, report, deposited, failed } or { dryRun: true, simulations }
+   */
+  async depositBatch({
+    manifest: manifestFile,
+    sequential = false,
+    chunkSize = this.batchChunkSize,
+    report: reportOption,
+    approval = this.approval,
+    token: defaultToken,
+    dryRun,
+  } = {}) {
+    if (!manifestFile) {
+      throw new Error('Please provide the manifest file');
+    }
+    const rowsPerCall = Number(chunkSize);
+    if (!Number.isInteger(rowsPerCall) || rowsPerCall < 1) {
+      throw categorized(`Invalid chunk size "${chunkSize}"`, 'usage');
+    }
+    if (!['exact', 'unlimited'].includes(approval)) {
+      throw new Error(`Unknown approval mode "${approval}" (use exact or unlimited)`);
+    }
+    const spender = this.network.depositManager;
+
+    // Step 0: Read and validate the manifest
+    const manifestRows = loadManifest(manifestFile);
+    this.log(`📦 Batch deposit: ${manifestRows.length} row(s) from ${manifestFile}`);
+    const maxDeposit = sequential ? await this.depositManager.maxErc20Deposit() : undefined;
+    const { rows, problems: rowProblems } = await this.#validateBatch(manifestRows, maxDeposit, defaultToken);
+    if (rowProblems.length > 0 || rows.length === 0) {
+      throw checksError(
+        rows.length === 0 && rowProblems.length === 0
+          ? 'The manifest has no rows — no transactions were sent.'
+          : 'Manifest validation failed — no transactions were sent.',
+        rowProblems
+      );
+    }
+
+    const transactions = planBatch(rows, sequential, rowsPerCall);
+    this.log(`   ${transactions.length} ${sequential ? 'depositERC20ForUser' : 'depositBulk'} transaction(s)`);
+
+    this.log('0) Pre-flight checks…');
+    const preflight = await this.#preflightBatch(rows, transactions.length, approval);
+    if (preflight.problems.length > 0) {
+      throw checksError('Pre-flight checks failed — no transactions were sent.', preflight.problems);
+    }
+
+    // depositERC20ForUser(token, user, amount) or depositBulk(tokens[], amounts[], user)
+    const depositMethod = sequential ? 'depositERC20ForUser' : 'depositBulk';
+    const depositParams = (transaction) => sequential
+      ? [transaction.rows[0].token.root, transaction.recipient, transaction.rows[0].amountWei]
+      : [transaction.rows.map((row) => row.token.root), transaction.rows.map((row) => row.amountWei), transaction.recipient];
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Sepolia state, nothing will be broadcast');
+      const simulations = [];
+      for (const { token, amount } of preflight.approvals) {
+        const rootToken = new ethers.Contract(token.root, erc20Abi, this.walletSepolia);
+        simulations.push(await this.#simulateTransaction(`approve ${token.symbol}`, rootToken, 'approve', [spender, amount]));
+      }
+      for (const transaction of transactions) {
+        simulations.push(await this.#simulateTransaction(
+          `${depositMethod} → ${transaction.recipient} (${transaction.rows.length} row(s))`,
+          this.depositManager,
+          depositMethod,
+          depositParams(transaction),
+          preflight.approvals.length > 0
+            ? { skipReason: 'needs the approvals above to be mined first', gasFallback: DEPOSIT_GAS_FALLBACK * BigInt(transaction.rows.length) }
+            : {}
+        ));
+      }
+      return { dryRun: true, simulations };
+    }
+
+    // Per-row report, rewritten after every transaction so a crash leaves a partial record
+    const reportFile = reportOption ||
+      path.join(path.dirname(manifestFile), `${path.basename(manifestFile, path.extname(manifestFile))}.report.json`);
+    const report = {
+      manifest: manifestFile,
+      createdAt: new Date().toISOString(),
+      method: depositMethod,
+      rows: rows.map((row) => ({
+        line: row.line,
+        recipient: row.recipient,
+        token: row.token.root,
+        symbol: row.token.symbol,
+        amount: ethers.formatUnits(row.amountWei, row.token.decimals),
+        status: 'pending',
+      })),
+    };
+    const reportRow = (row) => report.rows.find((entry) => entry.line === row.line);
+    const saveReport = () => fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    saveReport();
+
+    // Step 1: One approval per token, for the batch total
+    if (preflight.approvals.length > 0) {
+      this.log('1) Approving DepositManager on Sepolia…');
+      for (const { token, amount } of preflight.approvals) {
+        const rootToken = new ethers.Contract(token.root, erc20Abi, this.walletSepolia);
+        let approveTx;
+        try {
+          approveTx = await this.txSepolia.send(rootToken, 'approve', [spender, amount]);
+          await approveTx.wait(); // Wait for transaction to be mined
+        } catch (error) {
+          throw diagnosedError(`Approval failed (${token.symbol})`, error, [rootToken.interface]);
+        }
+        this.log(`  ✔ Approval (${token.symbol}):`, this.rootTxUrl(approveTx.hash));
+        this.emit('approved', { hash: approveTx.hash, token: token.root, symbol: token.symbol, spender, amount });
+      }
+    } else {
+      this.log('1) Existing allowances cover the batch — approve skipped');
+    }
+
+    // Step 2: Send the deposits; a failure only affects the rows in that transaction
+    this.log(`2) ${depositMethod} on Sepolia…`);
+    let deposited = 0;
+    let failed = 0;
+    for (const [index, transaction] of transactions.entries()) {
+      const label = `[${index + 1}/${transactions.length}] ${transaction.recipient} (${transaction.rows.length} row(s))`;
+      let depositTx;
+      try {
+        depositTx = await this.txSepolia.send(this.depositManager, depositMethod, depositParams(transaction));
+        const rowAmounts = transaction.rows.map((row) => ({
+          line: row.line, token: row.token.root, symbol: row.token.symbol, amount: row.amountWei.toString(),
+        }));
+        this.journal.recordTransfer({
+          type: 'deposit',
+          hash: depositTx.hash,
+          stage: STAGES.DEPOSIT_SENT,
+          address: transaction.recipient,
+          sender: this.walletSepolia.address,
+          nonce: depositTx.nonce, // Lets `cancel <nonce>` find the transfer
+          manifest: manifestFile,
+          // One row: the same fields as deposit(); depositBulk rows are kept as a list
+          ...(rowAmounts.length === 1
+            ? { token: rowAmounts[0].token, symbol: rowAmounts[0].symbol, amount: rowAmounts[0].amount }
+            : { rows: rowAmounts }),
+        });
+        this.emit('depositSent', {
+          hash: depositTx.hash,
+          nonce: depositTx.nonce,
+          recipient: transaction.recipient,
+          rows: transaction.rows.map((row) => ({ token: row.token.root, symbol: row.token.symbol, amount: row.amountWei })),
+        });
+        const receipt = await depositTx.wait(); // Wait for transaction to be mined
+        this.journal.advanceStage(depositTx.hash, STAGES.DEPOSIT_CONFIRMED);
+
+        // NewDepositBlock events come out in the same order as the rows
+        const depositIds = receipt.logs
+          .filter((log) => log.address.toLowerCase() === spender.toLowerCase())
+          .map((log) => this.depositManager.interface.parseLog(log))
+          .filter((parsed) => parsed?.name === 'NewDepositBlock')
+          .map((parsed) => parsed.args.depositBlockId.toString());
+        transaction.rows.forEach((row, rowIndex) => {
+          Object.assign(reportRow(row), { status: 'deposited', tx: depositTx.hash, depositBlockId: depositIds[rowIndex] });
+        });
+        deposited += transaction.rows.length;
+        this.log(`  ✔ ${label}:`, this.rootTxUrl(depositTx.hash));
+      } catch (error) {
+        this.#recordTxFailure(error, depositTx?.hash);
+        for (const row of transaction.rows) {
+          Object.assign(reportRow(row), { status: 'failed', tx: error.receipt?.hash, error: error.shortMessage || error.message });
+        }
+        failed += transaction.rows.length;
+        this.log(`  ❌ ${label}: ${error.shortMessage || error.message}`);
+      }
+      saveReport();
+    }
+
+    this.log(`\n📄 Report: ${reportFile}`);
+    if (failed > 0) {
+      this.log(`⚠️  ${deposited} row(s) deposited, ${failed} row(s) failed — see the report for details`);
+    } else {
+      this.log(`✅ All ${deposited} row(s) deposited — funds will arrive on Amoy in ~25 min.`);
+      this.log('   💡 Follow a transaction with: node bridge.js track-deposit <tx_hash>');
+    }
+    return { reportFile, report, deposited, failed };
+  }
+
+  // ─── DEPOSIT ARRIVAL TRACKING ───────────────────────────────────────────────
+  /**
+   * Extracts the deposit details from a depositERC20ForUser receipt
+   *
+   * The DepositManager emits NewDepositBlock with the deposit ID, and the
+   * StateSender emits StateSynced with the ID Amoy will use to apply it. A
+   * depositBulk receipt is read by its last deposit, whose state sync is
+   * applied after all the others.
+   *
+   * @param {Object} receipt - Sepolia transaction receipt
+   * @returns {Object} { user, token, amount, depositBlockId, stateId }
+   */
+  #parseDepositReceipt(receipt) {
+    const stateSender = new ethers.Interface(stateSenderAbi);
+    let deposit;
+    let stateSync;
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() === this.network.depositManager.toLowerCase()) {
+        const parsed = this.depositManager.interface.parseLog(log);
+        if (parsed?.name === 'NewDepositBlock') {
+          deposit = parsed;
+        }
+      } else {
+        stateSync = stateSender.parseLog(log) || stateSync;
+      }
+    }
+
+    if (!deposit || !stateSync) {
+      throw new Error(`${receipt.hash} is not a DepositManager deposit (no NewDepositBlock/StateSynced event)`);
+    }
+
+    return {
+      user: deposit.args.owner,
+      token: deposit.args.token,
+      amount: deposit.args.amountOrNFTId,
+      depositBlockId: deposit.args.depositBlockId,
+      stateId: stateSync.args.id,
+    };
+  }
+
+  /**
+   * Finds the Amoy transaction that applied a state sync
+   *
+   * @param {bigint} stateId - State sync ID from the deposit receipt
+   * @param {number} sinceSeconds - Only search blocks younger than this
+   * @returns {Object|undefined} StateCommitted event ({ args: { stateId, success } })
+   */
+  async #findStateCommit(stateId, sinceSeconds) {
+    const stateReceiver = new ethers.Contract(STATE_RECEIVER, stateReceiverAbi, this.providerAmoy);
+    const fromBlock = await findBlockByAge(this.providerAmoy, sinceSeconds);
+    const toBlock = await this.providerAmoy.getBlockNumber();
+    const [commit] = await queryFilterChunked(
+      stateReceiver,
+      stateReceiver.filters.StateCommitted(stateId),
+      fromBlock,
+      toBlock
+    );
+    return commit;
+  }
+
+  /**
+   * Watches Amoy until a Sepolia deposit has been credited
+   *
+   * Process:
+   * 1. Wait for the deposit to be mined and read its deposit/state sync IDs
+   * 2. Poll Amoy's StateReceiver until lastStateId covers the deposit
+   * 3. Confirm the StateCommitted event succeeded and report the new balance
+   *
+   * Elapsed time is measured from the deposit block. If the deposit has not
+   * landed after `depositDeadlineMinutes`, this throws.
+   *
+   * @param {string} depositHash - depositERC20ForUser transaction hash on Sepolia
+   * @returns {Object} { hash, depositBlockId, stateId, recipient, token, symbol, amount, creditTx, elapsedSeconds, balance }
+   */
+  async trackDeposit(depositHash) {
+    const deadlineMinutes = this.depositDeadlineMinutes;
+
+    // Step 1: Read deposit details from the Sepolia receipt
+    const receipt = await this.providerSepolia.waitForTransaction(depositHash);
+    if (receipt.status !== 1) {
+      this.journal.advanceStage(depositHash, STAGES.FAILED, { error: 'Deposit reverted' });
+      throw categorized('Deposit transaction reverted on Sepolia', 'reverted');
+    }
+    const deposit = this.#parseDepositReceipt(receipt);
+    const depositBlock = await this.providerSepolia.getBlock(receipt.blockNumber);
+    const token = await this.getToken(deposit.token);
+
+    // Journal deposits made outside this tool (or before it kept a journal)
+    this.journal.recordTransfer({
+      type: 'deposit',
+      hash: depositHash,
+      stage: STAGES.DEPOSIT_CONFIRMED,
+      address: deposit.user,
+      token: token.root,
+      symbol: token.symbol,
+      ...(token.standard === 'ERC721'
+        ? { standard: 'ERC721', tokenId: deposit.amount.toString() }
+        : { amount: deposit.amount.toString() }),
+    });
+    this.journal.advanceStage(depositHash, STAGES.DEPOSIT_CONFIRMED, {
+      depositBlockId: deposit.depositBlockId.toString(),
+      stateId: deposit.stateId.toString(),
+    });
+
+    this.log(`🔍 Tracking deposit #${deposit.depositBlockId} (state sync ${deposit.stateId})`);
+    this.log(`   ${formatTokenAmount(deposit.amount, token)} → ${deposit.user} on Amoy`);
+
+    // Step 2: Poll the StateReceiver until our state sync has been applied
+    const stateReceiver = new ethers.Contract(STATE_RECEIVER, stateReceiverAbi, this.providerAmoy);
+    const tokenView = new ethers.Contract(token.child, ['function balanceOf(address) view returns (uint256)'], this.providerAmoy);
+    const startBalance = await tokenView.balanceOf(deposit.user);
+    const elapsed = () => Math.floor(Date.now() / 1000) - depositBlock.timestamp;
+    const deadline = (depositBlock.timestamp + deadlineMinutes * 60) * 1000;
+    const readRetryDeadline = Math.max(deadline, Date.now() + READ_RETRY_MINUTES * 60 * 1000);
+
+    let failures = 0;
+    let lastError;
+    while (true) {
+      let waitMs = 30000; // Poll every 30 seconds
+      try {
+        const lastStateId = await stateReceiver.lastStateId();
+        failures = 0;
+        if (lastStateId >= deposit.stateId) {
+          break;
+        }
+        if (Date.now() > deadline) {
+          throw categorized(
+            `Deposit not credited on Amoy after ${formatDuration(elapsed())} ` +
+            `(deadline ${deadlineMinutes} min, Amoy is at state sync ${lastStateId}, deposit is ${deposit.stateId})`,
+            'not_ready'
+          );
+        }
+        this.log(`   ⏳ ${formatDuration(elapsed())} elapsed — Amoy at state sync ${lastStateId}, waiting 30 seconds`);
+      } catch (error) {
+        if (error.category === 'not_ready') {
+          throw error;
+        }
+        lastError = error;
+        waitMs = backoffDelay(failures++);
+        this.log(`   ❌ Error reading Amoy state syncs: ${error.message} — retrying in ${Math.round(waitMs / 1000)}s`);
+      }
+
+      // Past the deadline only a read that worked proves the deposit isn't credited
+      const remaining = (failures === 0 ? deadline : readRetryDeadline) - Date.now();
+      if (remaining <= 0) {
+        throw categorized(
+          `Deposit not credited on Amoy after ${formatDuration(elapsed())} (deadline ${deadlineMinutes} min, ` +
+          `last read failed: ${lastError.message})`,
+          'network',
+          { cause: lastError }
+        );
+      }
+      await sleep(Math.min(waitMs, remaining));
+    }
+
+    // Step 3: Make sure the state sync actually succeeded on Amoy
+    const commit = await this.#findStateCommit(deposit.stateId, elapsed() + 600);
+    if (commit && !commit.args.success) {
+      this.journal.advanceStage(depositHash, STAGES.FAILED, { error: 'State sync failed on Amoy' });
+      throw new Error(`State sync ${deposit.stateId} was applied on Amoy but failed: ${this.childTxUrl(commit.transactionHash)}`);
+    }
+
+    const balance = await tokenView.balanceOf(deposit.user);
+    this.journal.advanceStage(depositHash, STAGES.DEPOSIT_CREDITED, { creditTx: commit?.transactionHash });
+    this.log(`✅ Deposit credited on Amoy after ${formatDuration(elapsed())}`);
+    if (commit) {
+      this.log('  ✔ State sync:', this.childTxUrl(commit.transactionHash));
+    }
+    this.log(
+      `   Amoy ${token.symbol} balance: ${ethers.formatUnits(balance, token.decimals)} ` +
+      `(was ${ethers.formatUnits(startBalance, token.decimals)})`
+    );
+
+    const credited = {
+      hash: depositHash,
+      depositBlockId: deposit.depositBlockId,
+      stateId: deposit.stateId,
+      recipient: deposit.user,
+      token: token.root,
+      symbol: token.symbol,
+      amount: deposit.amount,
+      creditTx: commit?.transactionHash,
+      elapsedSeconds: elapsed(),
+      balance,
+    };
+    this.emit('depositCredited', credited);
+    return credited;
+  }
+
+  // ─── EXIT PROOFS ────────────────────────────────────────────────────────────
+  /**
+   * Builds the Polygon proof generation API URL for a burn transaction
+   *
+   * The event signature tells the API which log is the burn: 0xebff2602... for
+   * ERC-20 Withdraw events, 0x9b1bfa7f... for ERC-721 ones.
+   *
+   * @param {string} txHash - Transaction hash from Amoy burn transaction
+   * @param {Object} [token] - Token that was burned (from getToken()); ERC-20 if omitted
+   * @returns {string} Exit payload URL (400 until the burn is checkpointed)
+   */
+  #getProofUrl(txHash, token) {
+    return `${this.network.proofApi}/exit-payload/${txHash}?eventSignature=${getEventSignature(token)}`;
+  }
+
+  /**
+   * Describes where the proof for a burn comes from (for status output)
+   *
+   * @param {string} txHash - Amoy burn transaction
+   * @param {Object} [token] - Token that was burned
+   * @returns {string} Proof API URL, or a note that it is built locally
+   */
+  describeProofSource(txHash, token) {
+    if (this.proofSource === 'local') {
+      return `built locally from ${this.network.childName} RPC + RootChain checkpoints (--proof-source local)`;
+    }
+    return this.#getProofUrl(txHash, token);
+  }
+
+  /**
+   * Fetches the exit proof for a burn from the selected proof source
+   *
+   * - api:   GET the exit payload from the proof generator (400/404 = not checkpointed)
+   * - local: build it with lib/proof.js from Amoy blocks/receipts and the
+   *          RootChain checkpoint that covers the burn block
+   *
+   * @param {string} txHash - Amoy burn transaction
+   * @param {Object} [token] - Token that was burned (selects the Withdraw event signature)
+   * @returns {Object|null} Proof data ({ result: payload }), or null while not checkpointed
+   */
+  async fetchProof(txHash, token) {
+    if (this.proofSource === 'local') {
+      const payload = await buildExitPayload(
+        { childProvider: this.providerAmoy, rootChain: await this.#getRootChain() },
+        txHash,
+        getEventSignature(token)
+      );
+      return payload && { result: payload };
+    }
+
+    const response = await fetch(this.#getProofUrl(txHash, token));
+    if (response.ok) {
+      return response.json();
+    }
+    if (response.status === 400 || response.status === 404) {
+      return null;
+    }
+    throw categorized(`Proof API returned status ${response.status}`, 'network');
+  }
+
+  // ─── CHECKPOINTS ────────────────────────────────────────────────────────────
+  /**
+   * Connects to the RootChain contract (checkpoints) the DepositManager points at
+   *
+   * @param {Object} [provider] - Sepolia provider (defaults to providerSepolia)
+   * @returns {Object} RootChain contract (read-only)
+   */
+  async #getRootChain(provider = this.providerSepolia) {
+    return new ethers.Contract(await this.depositManager.rootChain(), rootChainAbi, provider);
+  }
+
+  /**
+   * Compares a burn's Amoy block with the last block covered by a checkpoint
+   *
+   * One eth_call on Sepolia (getLastChildBlock) — much cheaper than asking the
+   * proof API, so this is what the checkpoint wait polls.
+   *
+   * @param {Object} burn - { blockNumber } of the burn receipt
+   * @param {Object} rootChain - RootChain contract from #getRootChain()
+   * @returns {Object} { covered, lastChildBlock, blocksToGo }
+   */
+  async #getCheckpointProgress(burn, rootChain) {
+    const lastChildBlock = Number(await rootChain.getLastChildBlock());
+    return {
+      covered: lastChildBlock >= burn.blockNumber,
+      lastChildBlock,
+      blocksToGo: Math.max(burn.blockNumber - lastChildBlock, 0),
+    };
+  }
+
+  /**
+   * Waits until a transaction has been checkpointed, then fetches its exit proof
+   *
+   * Checkpointing process:
+   * - Polygon validators periodically submit Merkle roots of Amoy transactions to Ethereum
+   * - Once included in a checkpoint, transactions can generate proofs for exit
+   * - Typically takes 90-180 minutes on testnet
+   *
+   * Inclusion is detected on Sepolia itself: the RootChain's last checkpointed
+   * Amoy block is read every `checkpointPollSeconds`, and with a WebSocket RPC
+   * (the profile's rootWs) every NewHeaderBlock event triggers an immediate
+   * check. The proof source is only asked once the burn block is covered; proof
+   * and RPC failures are retried with exponential backoff and jitter.
+   * Waiting for the checkpoint stops at the deadline (`checkpointDeadlineMinutes`,
+   * counted from the burn). Failed reads and the proof fetch after the
+   * checkpoint get at least READ_RETRY_MINUTES more, so resuming an old
+   * burn doesn't fail on the first transient error.
+   *
+   * @param {string} txHash - Transaction hash from Amoy burn transaction
+   * @param {Object} [token] - Token that was burned (default: read from the journal or the burn)
+   * @returns {Object} Proof data when transaction is checkpointed
+   */
+  async waitForCheckpoint(txHash, token) {
+    token = token || await this.getBurnToken(txHash);
+    const deadlineMinutes = this.checkpointDeadlineMinutes;
+    const pollSeconds = this.checkpointPollSeconds;
+    const burn = await this.providerAmoy.getTransactionReceipt(txHash);
+    if (!burn) {
+      throw new Error(`Burn transaction ${txHash} not found on Amoy`);
+    }
+    const burnBlock = await this.providerAmoy.getBlock(burn.blockNumber);
+    const deadline = (burnBlock.timestamp + deadlineMinutes * 60) * 1000;
+    const retryUntil = () => Math.max(deadline, Date.now() + READ_RETRY_MINUTES * 60 * 1000);
+    const readRetryDeadline = retryUntil();
+    const elapsed = () => Math.max(Math.floor(Date.now() / 1000) - burnBlock.timestamp, 0);
+
+    const rootChain = await this.#getRootChain();
+    let providerWs;
+    let rootChainWs;
+    if (this.network.rootWs) {
+      providerWs = new ethers.WebSocketProvider(this.network.rootWs, this.network.rootChainId, { staticNetwork: true });
+      rootChainWs = await this.#getRootChain(providerWs);
+    }
+
+    try {
+      // Step 1: Wait until a checkpoint covers the burn block (cheap Sepolia reads only)
+      this.log(`🔍 Waiting for a checkpoint covering Amoy block ${burn.blockNumber}...`);
+      this.log(rootChainWs
+        ? `   📡 Listening for NewHeaderBlock events (fallback poll every ${pollSeconds}s)`
+        : `   ⏰ Polling the RootChain every ${pollSeconds}s (set SEPOLIA_WS for instant detection)`);
+
+      let failures = 0;
+      while (true) {
+        let waitMs = pollSeconds * 1000;
+        try {
+          const progress = await this.#getCheckpointProgress(burn, rootChain);
+          failures = 0;
+          if (progress.covered) {
+            this.log(`✅ Burn block checkpointed (checkpoints now cover Amoy block ${progress.lastChildBlock})`);
+            break;
+          }
+          this.log(
+            `   ⏳ ${formatDuration(elapsed())} since burn — checkpoints cover Amoy block ` +
+            `${progress.lastChildBlock}, ${progress.blocksToGo} blocks to go`
+          );
+        } catch (error) {
+          waitMs = backoffDelay(failures++);
+          this.log(`   ❌ Error reading checkpoint state: ${error.message} — retrying in ${Math.round(waitMs / 1000)}s`);
+        }
+
+        // Past the deadline only a read that worked proves the burn isn't covered
+        const remaining = (failures === 0 ? deadline : readRetryDeadline) - Date.now();
+        if (remaining <= 0) {
+          throw categorized(
+            `Checkpoint timeout - burn not checkpointed ${formatDuration(elapsed())} after it was mined ` +
+            `(deadline ${deadlineMinutes} min)`,
+            'not_ready'
+          );
+        }
+        const checkpointEnd = await waitForHeaderBlock(rootChainWs, Math.min(waitMs, remaining));
+        if (checkpointEnd !== null) {
+          this.log(`   📡 New checkpoint up to Amoy block ${checkpointEnd}`);
+        }
+      }
+
+      // Step 2: Fetch the proof; the API can lag the checkpoint by a few minutes
+      this.log(`📄 Fetching exit proof (proof source: ${this.proofSource})...`);
+      const proofDeadline = retryUntil();
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const data = await this.fetchProof(txHash, token);
+          if (data) {
+            this.log('✅ Transaction checkpointed! Proof generated successfully.');
+            this.log('📄 Proof data length:', data.result?.length || 'Unknown');
+            this.journal.advanceStage(txHash, STAGES.CHECKPOINTED);
+            this.emit('checkpointed', { hash: txHash, proof: data.result });
+            return data; // Return proof data for exit processing
+          }
+          this.log('   ⏳ Proof not available yet');
+        } catch (error) {
+          this.log(`   ❌ Error fetching proof: ${error.message}`);
+        }
+
+        const remaining = proofDeadline - Date.now();
+        if (remaining <= 0) {
+          throw categorized(
+            `Checkpoint timeout - no proof for the checkpointed burn before the deadline ` +
+            `(${deadlineMinutes} min after the burn, and at least ${READ_RETRY_MINUTES} min after the checkpoint)`,
+            'not_ready'
+          );
+        }
+        const waitMs = Math.min(backoffDelay(attempt), remaining);
+        this.log(`   ↻ Retrying in ${Math.round(waitMs / 1000)}s`);
+        await sleep(waitMs);
+      }
+    } finally {
+      await providerWs?.destroy();
+    }
+  }
+
+  // ─── EXIT PROCESSING ────────────────────────────────────────────────────────
+  /**
+   * WithdrawManager contract for processExits, signed by our wallet
+   *
+   * @returns {Object} Contract with processExits(token)
+   */
+  #withdrawContract() {
+    return new ethers.Contract(
+      this.network.withdrawManager,                         // Withdraw Manager contract address on Sepolia
+      ['function processExits(address _token) external'],   // Function signature
+      this.walletSepolia                                    // Wallet for signing the transaction
+    );
+  }
+
+  /**
+   * Calls processExits on the Withdraw Manager to release exited tokens on Sepolia
+   *
+   * processExits handles every exit in the token's queue whose challenge period
+   * has passed, so it is shared by processExit(), finalize() and resume().
+   *
+   * processExits doesn't revert for exits still in their challenge period; it
+   * just stops at the first one. What it released is read from the receipt's
+   * Withdraw events, so "mined" isn't mistaken for "released".
+   *
+   * @param {Object} token - Token from getToken() (its root address selects the queue)
+   * @returns {Object} { processExitTx, released } — released: burn hashes of the
+   *   journaled exits it paid out
+   */
+  async #submitProcessExits(token) {
+    const withdrawContract = this.#withdrawContract();
+    let processExitTx;
+    let receipt;
+    try {
+      processExitTx = await this.txSepolia.send(withdrawContract, 'processExits', [token.root]);
+      receipt = await processExitTx.wait(); // Wait for transaction confirmation
+    } catch (error) {
+      throw diagnosedError('processExits failed', error, [withdrawContract.interface]);
+    }
+    this.log('  ✔ ProcessExit:', this.rootTxUrl(processExitTx.hash));
+
+    const released = this.#markExitsProcessed(token, receipt);
+    if (released.length === 0) {
+      const { explanation, next } = explain('exit_not_mature');
+      this.log(`  ⚠️  No exit of ours was released: ${explanation}`);
+      this.log(`  💡 ${next}`);
+    }
+    return { processExitTx, released };
+  }
+
+  /**
+   * Works out which token a burn transaction withdrew
+   *
+   * Uses the journal when the burn was made by this tool, then `query`, then
+   * the root token named in the burn's Withdraw event on Amoy.
+   *
+   * @param {string} burnTxHash - Amoy burn transaction
+   * @param {string} [query] - Symbol or address to use when the journal doesn't know the burn
+   * @returns {Object} Token from getToken()
+   */
+  async getBurnToken(burnTxHash, query) {
+    const record = this.journal.getTransfer(burnTxHash);
+    if (record?.token) {
+      return this.getToken(record.token);
+    }
+    if (query) {
+      return this.getToken(query);
+    }
+
+    const receipt = await this.providerAmoy.getTransactionReceipt(burnTxHash);
+    const withdrawEvents = [
+      new ethers.Interface(childWithdrawEventAbi),
+      new ethers.Interface(childNftWithdrawEventAbi),
+    ];
+    const burn = receipt?.logs
+      .flatMap((log) => withdrawEvents.map((withdrawEvent) => withdrawEvent.parseLog(log)))
+      .find(Boolean);
+    return this.getToken(burn ? burn.args.token : 'POL');
+  }
+
+  /**
+   * Connects to the predicate that starts exits for a token's standard
+   *
+   * ERC-20 exits go through the profile's erc20Predicate. ERC-721 exits use
+   * erc721Predicate, or the predicate registered on the plasma Registry if
+   * that is not set.
+   *
+   * @param {Object} token - Token that was burned (from getToken())
+   * @returns {Object} Predicate contract with startExitWithBurntTokens
+   */
+  async #getPredicate(token) {
+    let predicateAddress = this.network.erc20Predicate;
+    if (token.standard === 'ERC721') {
+      predicateAddress = this.network.erc721Predicate ||
+        await (await getPlasmaRegistry(this.depositManager, this.providerSepolia)).erc721Predicate();
+    }
+
+    return new ethers.Contract(
+      predicateAddress,    // Predicate contract address on Sepolia
+      ['function startExitWithBurntTokens(bytes calldata data) external'], // Function signature
+      this.walletSepolia   // Wallet for signing the transaction
+    );
+  }
+
+  /**
+   * Processes the exit on Ethereum Sepolia using the generated proof
+   *
+   * Two-step process:
+   * 1. startExitWithBurntTokens: Submit proof to the ERC20 (or ERC721) Predicate contract
+   * 2. processExits: Finalize withdrawal and release tokens (after challenge period)
+   *
+   * Step 2 only runs once the exit is out of its challenge period (its exitableAt
+   * is packed into the exit ID); until then the exit is left for finalize().
+   * Each completed step is recorded in the transfer journal against the burn hash.
+   *
+   * @param {Object} proofData - Merkle proof data from fetchProof() ({ result: payload })
+   * @param {string} burnTxHash - Amoy burn transaction the proof belongs to
+   * @param {Object} token - Token that was burned (from getToken())
+   * @returns {Object} { released, startExitTx, exitableAt, processExitTx } — released is
+   *   false while the exit is still maturing
+   */
+  async processExit(proofData, burnTxHash, token) {
+    try {
+      this.log(`📋 Step 1: Starting exit on ${token.standard} Predicate...`);
+
+      // Step 1: Submit the Merkle proof to the predicate for the token's standard
+      // This proves that tokens were burned on Amoy and initiates the exit process
+      const predicateContract = await this.#getPredicate(token);
+      let startExitTx;
+      let exitableAt;
+
+      try {
+        // Submit the proof data to start the exit process
+        startExitTx = await this.txSepolia.send(predicateContract, 'startExitWithBurntTokens', [proofData.result]);
+        const startExitReceipt = await startExitTx.wait(); // Wait for transaction confirmation
+        this.log('  ✔ StartExit:', this.rootTxUrl(startExitTx.hash));
+        exitableAt = this.#recordExitStarted(burnTxHash, startExitReceipt);
+      } catch (startExitError) {
+        // Handle case where exit was already started (KNOWN_EXIT error)
+        if (diagnose(startExitError, [predicateContract.interface]).code === 'known_exit') {
+          this.log('  ℹ️  Exit already started for this transaction');
+          this.log('  ✅ Proceeding to finalize exit...');
+          this.journal.advanceStage(burnTxHash, STAGES.EXIT_STARTED);
+          startExitTx = undefined;
+        } else {
+          throw diagnosedError('startExitWithBurntTokens failed', startExitError, [predicateContract.interface]);
+        }
+      }
+      const result = { released: false, startExitTx: startExitTx?.hash, exitableAt };
+
+      this.log('📋 Step 2: Processing exit on Withdraw Manager...');
+
+      // Step 2: Call processExits once the exit has left its challenge period
+      // This releases the tokens from the locked state and transfers them to the user
+      if (exitableAt !== undefined) {
+        const { timestamp: now } = await this.providerSepolia.getBlock('latest');
+        if (exitableAt > now) {
+          this.log(`  ⏳ Exit is in its challenge period — it can be processed in ${formatDuration(exitableAt - now)}`);
+          this.log(`     (${new Date(exitableAt * 1000).toISOString()})`);
+          this.log('  💡 Run `node bridge.js finalize --wait` to release the tokens then');
+          return result;
+        }
+        const { processExitTx, released } = await this.#submitProcessExits(token);
+        if (!released.includes(burnTxHash)) {
+          this.log('  ⏳ processExits did not release this exit yet — run `node bridge.js finalize` later');
+          return { ...result, processExitTx: processExitTx.hash };
+        }
+        this.log(`💰 ${token.symbol} tokens released on Sepolia!`);
+        return { ...result, released: true, processExitTx: processExitTx.hash };
+      }
+
+      // Exit ID unknown (exit started earlier): go by the wallet's exits in the queue
+      const release = await this.#releaseRipeExits(token, await this.loadExitQueue(token));
+      if (!release?.released.includes(burnTxHash)) {
+        return { ...result, processExitTx: release?.processExitTx.hash };
+      }
+      this.log(`💰 ${token.symbol} tokens released on Sepolia!`);
+      return { ...result, released: true, processExitTx: release.processExitTx.hash };
+
+    } catch (error) {
+      this.log('⚠️  You can retry the release with:');
+      this.log('   npm run finalize');
+      this.log('💡 You can complete the exit manually using the proof:');
+      this.log('   Proof data:', proofData.result);
+      throw error;
+    }
+  }
+
+  /**
+   * Journals a mined startExitWithBurntTokens and reads when the exit matures
+   *
+   * The WithdrawManager's ExitStarted event carries the exit ID, and with it
+   * exitableAt. Shared by processExit() and broadcast().
+   *
+   * @param {string} burnTxHash - Amoy burn transaction the exit is for
+   * @param {Object} startExitReceipt - Receipt of the startExitWithBurntTokens transaction
+   * @returns {number|undefined} exitableAt (unix seconds), if the event was found
+   */
+  #recordExitStarted(burnTxHash, startExitReceipt) {
+    const withdrawEvents = new ethers.Interface(withdrawManagerEventAbi);
+    const exitStarted = startExitReceipt.logs
+      .map((log) => withdrawEvents.parseLog(log))
+      .find((event) => event?.name === 'ExitStarted');
+
+    const extra = { startExitTx: startExitReceipt.hash };
+    let exitableAt;
+    if (exitStarted) {
+      exitableAt = exitableAtOf(exitStarted.args.exitId);
+      extra.exitId = exitStarted.args.exitId.toString();
+      extra.exitableAt = new Date(exitableAt * 1000).toISOString();
+    }
+    this.journal.advanceStage(burnTxHash, STAGES.EXIT_STARTED, extra);
+    this.emit('exitStarted', {
+      hash: burnTxHash,
+      startExitTx: startExitReceipt.hash,
+      exitId: exitStarted?.args.exitId,
+      exitableAt,
+    });
+    return exitableAt;
+  }
+
+  /**
+   * Simulates the exit for a burn transaction without broadcasting (dryRun)
+   *
+   * Fetches the proof once (no waiting) and simulates startExitWithBurntTokens
+   * and processExits against the current Sepolia state.
+   *
+   * @param {string} burnTxHash - Amoy burn transaction to exit
+   * @param {Object} token - Token that was burned (from getToken())
+   * @returns {Object} { dryRun: true, checkpointed, simulations }
+   */
+  async #simulateExit(burnTxHash, token) {
+    this.log('🧪 Dry run — simulating against current Sepolia state, nothing will be broadcast');
+
+    const proofData = await this.fetchProof(burnTxHash, token);
+    if (!proofData) {
+      this.log('⏳ Not checkpointed yet — a real run would wait for the checkpoint first');
+      return { dryRun: true, checkpointed: false, simulations: [] };
+    }
+
+    const predicateContract = await this.#getPredicate(token);
+    const startExit = await this.#simulateTransaction(
+      'startExitWithBurntTokens',
+      predicateContract,
+      'startExitWithBurntTokens',
+      [proofData.result]
+    );
+    if (!startExit.ok && startExit.diagnosis.code === 'known_exit') {
+      this.log('     ℹ️  Exit already started — a real run would go straight to processExits');
+    }
+
+    const processExits = await this.#simulateTransaction('processExits', this.#withdrawContract(), 'processExits', [token.root]);
+    return { dryRun: true, checkpointed: true, simulations: [startExit, processExits] };
+  }
+
+  /**
+   * Writes the startExitWithBurntTokens call for a burn to an export file
+   *
+   * Fetches the proof once (no waiting). processExits is exported separately
+   * with finalize() once the exit's challenge period is over.
+   *
+   * @param {string} burnTxHash - Amoy burn transaction to exit
+   * @param {Object} token - Token that was burned (from getToken())
+   * @param {Object} exportTo - { file, format }
+   * @returns {Object} Export summary, or { checkpointed: false } if there is no proof yet
+   */
+  async #exportExit(burnTxHash, token, exportTo) {
+    const proofData = await this.fetchProof(burnTxHash, token);
+    if (!proofData) {
+      this.log('⏳ Not checkpointed yet — export the exit once `check` reports it checkpointed');
+      return { checkpointed: false };
+    }
+
+    const predicateContract = await this.#getPredicate(token);
+    const exported = await this.#exportTransactions({
+      command: 'exit',
+      chain: 'root',
+      description: `Start the exit for ${token.symbol} burn ${burnTxHash}`,
+      context: { token: token.root, symbol: token.symbol, burnTxHash },
+    }, [{ label: 'startExitWithBurntTokens', contract: predicateContract, method: 'startExitWithBurntTokens', params: [proofData.result] }], exportTo);
+    this.log('   After the challenge period: node bridge.js finalize --export <file> releases the tokens');
+    return { ...exported, checkpointed: true };
+  }
+
+  // ─── WITHDRAWAL: Amoy → Sepolia ─────────────────────────────────────────────
+  /**
+   * Withdraws POL (or any mapped ERC-20) from Polygon Amoy back to Ethereum Sepolia
+   *
+   * Complete withdrawal process:
+   * 1. Check token balance on Amoy
+   * 2. Call withdraw() on the child token (burns tokens + emits Withdraw event)
+   *    Native POL needs msg.value = amount; other child tokens burn with withdraw(amount)
+   * 3. Wait for checkpoint inclusion (90-180 minutes)
+   * 4. Generate Merkle proof from checkpoint
+   * 5. Submit proof to ERC20 Predicate on Sepolia (start exit)
+   * 6. Process exit to release tokens (once the challenge period is over)
+   *
+   * Steps 3-6 only run with `complete` (default the constructor's
+   * `autoComplete`). The burn is journaled as soon as it is broadcast; if the
+   * process is stopped before the exit completes, resume() picks it up again.
+   *
+   * @param {Object} [params]
+   *   amount:   decimal amount (default '1')
+   *   token:    symbol or address (default POL)
+   *   dryRun:   simulate instead of sending
+   *   export:   { file, format } — write the unsigned burn instead of sending it
+   *   complete: wait for the checkpoint and exit after the burn
+   * @returns {Object} { hash, nonce, token, symbol, amount, exit } (exit: processExit()'s
+   *   result when completed), { dryRun: true, simulations } or the export summary
+   */
+  async withdraw({ amount = '1', token: tokenQuery, dryRun, export: exportTo, complete = this.autoComplete } = {}) {
+    const token = await this.getToken(tokenQuery);
+    if (token.standard === 'ERC721') {
+      throw new Error(`${token.symbol} is an ERC-721 collection — use: node bridge.js withdraw-nft ${token.root} <tokenId>`);
+    }
+
+    // Step 0: Sanity check that the child token contract exists
+    const code = await this.providerAmoy.getCode(token.child);
+    if (code === '0x') {
+      throw new Error(
+        `No contract found at the Amoy ${token.symbol} address (${token.child}).\n` +
+        '   Make sure you copied the *token* contract address (from Amoy Polygonscan Token Tracker), not the manager/predicate.'
+      );
+    }
+
+    // Step 1: Check current token balance on Amoy
+    const viewAbi = ['function balanceOf(address) view returns (uint256)'];
+    const tokenView = new ethers.Contract(token.child, viewAbi, this.providerAmoy);
+    const bal = await tokenView.balanceOf(this.walletAmoy.address);
+    this.log(`Amoy ${token.symbol} balance:`, ethers.formatUnits(bal, token.decimals));
+
+    // Step 2: Parse the withdrawal amount
+    const withdrawAmount = ethers.parseUnits(String(amount), token.decimals); // Convert to smallest unit
+    const format = (value) => `${ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+
+    this.log(`Withdrawing ${amount} ${token.symbol} (${format(withdrawAmount)})`);
+
+    // Step 3: Validate sufficient balance
+    if (bal < withdrawAmount) {
+      throw categorized(`Insufficient balance. Need ${format(withdrawAmount)}, have ${format(bal)}`, 'insufficient_balance');
+    }
+
+    // Step 4: Call withdraw function on the child token to burn tokens
+    this.log(`1) Calling withdraw function on ${token.symbol} contract…`);
+    // Create contract instance for the child token on Amoy
+    const childToken = new ethers.Contract(
+      token.child,                                           // Child token address (native POL: 0x...1010)
+      ['function withdraw(uint256 amount) public payable'],  // Function signature
+      this.walletAmoy                                        // Wallet for signing
+    );
+
+    // Important: native POL withdraw function requires msg.value = amount
+    // Standard child ERC-20s burn from the balance and take no value
+    const overrides = token.native ? { value: withdrawAmount } : {};
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Amoy state, nothing will be broadcast');
+      const simulation = await this.#simulateTransaction('withdraw', childToken, 'withdraw', [withdrawAmount, overrides]);
+      this.log('   After the burn: wait for checkpoint, then startExitWithBurntTokens + processExits on Sepolia');
+      return { dryRun: true, simulations: [simulation] };
+    }
+
+    if (exportTo) {
+      return this.#exportTransactions({
+        command: 'withdraw',
+        chain: 'child',
+        description: `Burn ${format(withdrawAmount)} on ${this.network.childName} to withdraw it to ${this.network.rootName}`,
+        context: { token: token.root, symbol: token.symbol, amount: withdrawAmount.toString() },
+      }, [{ label: 'withdraw', contract: childToken, method: 'withdraw', params: [withdrawAmount, overrides] }], exportTo);
+    }
+
+    let burnTx;
+    try {
+      burnTx = await this.txAmoy.send(childToken, 'withdraw', [withdrawAmount, overrides]);
+
+      // Journal the burn before waiting, so the hash survives a crash from here on
+      this.journal.recordTransfer({
+        type: 'withdraw',
+        hash: burnTx.hash,
+        stage: STAGES.BURNED,
+        address: this.walletAmoy.address,
+        nonce: burnTx.nonce, // Lets `cancel <nonce>` find the transfer
+        token: token.root,
+        symbol: token.symbol,
+        amount: withdrawAmount.toString(),
+      });
+      await burnTx.wait(); // Wait for transaction to be mined
+      this.log('  ✔ Burn:', this.childTxUrl(burnTx.hash));
+    } catch (error) {
+      this.#recordTxFailure(error, burnTx?.hash);
+      throw diagnosedError('Burn transaction failed', error, [childToken.interface]);
+    }
+
+    const burned = { hash: burnTx.hash, nonce: burnTx.nonce, token: token.root, symbol: token.symbol, amount: withdrawAmount };
+    this.emit('burned', burned);
+
+    // Step 5: Handle checkpoint waiting and exit processing
+    return { ...burned, exit: await this.#completeAfterBurn(burnTx.hash, token, complete) };
+  }
+
+  /**
+   * Continues a withdrawal once the burn is mined on Amoy
+   *
+   * Logs the manual next steps, then (with `complete`) waits for the
+   * checkpoint and completes the exit. Shared by withdraw() and withdrawNFT().
+   *
+   * @param {string} burnTxHash - Mined Amoy burn transaction
+   * @param {Object} token - Token that was burned (from getToken())
+   * @param {boolean} complete - Wait for the checkpoint and exit
+   * @returns {Object|undefined} processExit() result, if completed
+   */
+  async #completeAfterBurn(burnTxHash, token, complete) {
+    this.log('2) Waiting for checkpoint inclusion...');
+    this.log('   ⏰ This can take 90-180 minutes on testnet');
+    this.log('   🔗 Burn tx:', this.childTxUrl(burnTxHash));
+
+    // Display manual steps for reference
+    this.log('\n📋 Next steps after checkpoint:');
+    this.log('1. Generate proof from:', this.describeProofSource(burnTxHash, token));
+    this.log(`2. Use the proof with ${token.standard} Predicate contract on Sepolia`);
+    this.log('3. Process exit to complete withdrawal');
+
+    if (!complete) {
+      // Manual mode: user needs to check status and complete exit manually
+      this.log('\n💡 Set AUTO_COMPLETE=true in .env to enable automated completion');
+      this.log('   or run `node bridge.js resume` later to finish every pending withdrawal');
+      return undefined;
+    }
+
+    // Automatic mode: wait for checkpoint and complete exit automatically
+    this.log('\n⏳ Auto-completion enabled, polling for checkpoint...');
+    const proofData = await this.waitForCheckpoint(burnTxHash, token); // Wait for checkpoint inclusion
+
+    // Process the exit using the generated proof
+    this.log('3) Processing exit on Sepolia...');
+    const exit = await this.processExit(proofData, burnTxHash, token); // Submit proof and finalize withdrawal
+    this.log(exit.released
+      ? '✅ Automatic withdrawal completed!'
+      : '✅ Exit started — tokens are released after the challenge period (`node bridge.js finalize --wait`)');
+    return exit;
+  }
+
+  // ─── NFT WITHDRAWAL: Amoy → Sepolia (ERC-721) ───────────────────────────────
+  /**
+   * Withdraws one NFT from a child ERC-721 collection on Amoy back to Sepolia
+   *
+   * Process:
+   * 1. Resolve the collection and check we own the token ID on Amoy
+   * 2. Call withdraw(tokenId) on the child collection (burns the NFT + emits
+   *    the ERC-721 Withdraw event, signature 0x9b1bfa7f...)
+   * 3. Wait for checkpoint inclusion and fetch the proof for that event
+   * 4. Start the exit on the ERC721 Predicate, then processExits for the collection
+   *
+   * Like withdraw(), the burn is journaled so resume(), checkStatus() and
+   * exit() all work with the burn hash.
+   *
+   * @param {Object} params
+   *   collection: collection address or tokens.json symbol (required)
+   *   tokenId:    token ID (required)
+   *   dryRun:     simulate instead of sending
+   *   complete:   wait for the checkpoint and exit after the burn
+   * @returns {Object} { hash, nonce, token, symbol, tokenId, exit } or { dryRun: true, simulations }
+   */
+  async withdrawNFT({ collection: collectionQuery, tokenId: tokenIdParam, dryRun, complete = this.autoComplete } = {}) {
+    if (!collectionQuery || tokenIdParam === undefined) {
+      throw new Error('Please provide the collection and token ID');
+    }
+
+    const collection = await this.getToken(collectionQuery);
+    if (collection.standard !== 'ERC721') {
+      throw new Error(`${collection.symbol} is not mapped as an ERC-721 collection — use: node bridge.js withdraw <amount> --token ${collection.root}`);
+    }
+    const tokenId = BigInt(tokenIdParam);
+    const childNft = new ethers.Contract(collection.child, childErc721Abi, this.walletAmoy);
+
+    this.log(`Withdrawing ${formatTokenAmount(tokenId, collection)} (${collection.child} on Amoy)`);
+
+    // Step 0: Only the owner can burn the NFT
+    const owner = await childNft.ownerOf(tokenId).catch(() => ethers.ZeroAddress); // ownerOf reverts for unminted IDs
+    if (owner.toLowerCase() !== this.walletAmoy.address.toLowerCase()) {
+      throw new Error(`${formatTokenAmount(tokenId, collection)} is owned by ${owner} on Amoy, not ${this.walletAmoy.address}`);
+    }
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Amoy state, nothing will be broadcast');
+      const simulation = await this.#simulateTransaction('withdraw', childNft, 'withdraw', [tokenId]);
+      this.log('   After the burn: wait for checkpoint, then startExitWithBurntTokens (ERC721 Predicate) + processExits on Sepolia');
+      return { dryRun: true, simulations: [simulation] };
+    }
+
+    // Step 1: Burn the NFT on Amoy
+    this.log(`1) Calling withdraw(${tokenId}) on the ${collection.symbol} child contract…`);
+    let burnTx;
+    try {
+      burnTx = await this.txAmoy.send(childNft, 'withdraw', [tokenId]);
+
+      // Journal the burn before waiting, so the hash survives a crash from here on
+      this.journal.recordTransfer({
+        type: 'withdraw',
+        hash: burnTx.hash,
+        stage: STAGES.BURNED,
+        address: this.walletAmoy.address,
+        nonce: burnTx.nonce, // Lets `cancel <nonce>` find the transfer
+        token: collection.root,
+        symbol: collection.symbol,
+        standard: 'ERC721',
+        tokenId: tokenId.toString(),
+      });
+      await burnTx.wait(); // Wait for transaction to be mined
+      this.log('  ✔ Burn:', this.childTxUrl(burnTx.hash));
+    } catch (error) {
+      this.#recordTxFailure(error, burnTx?.hash);
+      throw diagnosedError('Burn transaction failed', error, [childNft.interface]);
+    }
+
+    const burned = { hash: burnTx.hash, nonce: burnTx.nonce, token: collection.root, symbol: collection.symbol, tokenId };
+    this.emit('burned', burned);
+    return { ...burned, exit: await this.#completeAfterBurn(burnTx.hash, collection, complete) };
+  }
+
+  // ─── CHECKPOINT STATUS ──────────────────────────────────────────────────────
+  /**
+   * Checks the checkpoint status of a withdrawal transaction
+   *
+   * Lets a caller check withdrawal progress without waiting for hours. The
+   * proof source is only asked once the RootChain shows the burn block as
+   * checkpointed.
+   *
+   * @param {string} txHash - Amoy burn transaction
+   * @returns {Object} { hash, burnBlock, lastChildBlock, blocksToGo, checkpointed, proofAvailable, proofLength }
+   */
+  async checkStatus(txHash) {
+    if (!txHash) {
+      throw new Error('Please provide transaction hash');
+    }
+
+    this.log(`🔍 Checking checkpoint status for: ${txHash}`);
+
+    const burn = await this.providerAmoy.getTransactionReceipt(txHash);
+    if (!burn) {
+      throw new Error('Transaction not found on Amoy');
+    }
+
+    const progress = await this.#getCheckpointProgress(burn, await this.#getRootChain());
+    const status = {
+      hash: txHash,
+      burnBlock: burn.blockNumber,
+      lastChildBlock: progress.lastChildBlock,
+      blocksToGo: progress.blocksToGo,
+      checkpointed: progress.covered,
+      proofAvailable: false,
+    };
+    if (!progress.covered) {
+      this.log('⏳ Transaction not yet checkpointed');
+      this.log(
+        `📍 Current status: checkpoints cover Amoy block ${progress.lastChildBlock}, ` +
+        `burn is in block ${burn.blockNumber} (${progress.blocksToGo} blocks to go)`
+      );
+      this.log('\n🔗 Links:');
+      this.log('   Transaction:', this.childTxUrl(txHash));
+      this.log('   Check again: node bridge.js check', txHash);
+      return status;
+    }
+
+    const token = await this.getBurnToken(txHash);
+    const data = await this.fetchProof(txHash, token);
+
+    if (data) {
+      this.journal.advanceStage(txHash, STAGES.CHECKPOINTED);
+      this.emit('checkpointed', { hash: txHash, proof: data.result });
+      this.log('✅ Transaction is checkpointed!');
+      this.log('📄 Proof data length:', data.result?.length || 'Unknown');
+      this.log('\n🔗 Links:');
+      this.log('   Transaction:', this.childTxUrl(txHash));
+      this.log('   Proof:', this.describeProofSource(txHash, token));
+
+      // Ask if user wants to complete exit
+      this.log('\n💡 Ready to complete exit? Run:');
+      this.log(`   node bridge.js exit ${txHash}`);
+      return { ...status, proofAvailable: true, proofLength: data.result?.length };
+    }
+
+    this.log('⏳ Burn block is checkpointed, but the proof is not available yet');
+    this.log('📍 The proof API can lag the checkpoint by a few minutes');
+    this.log('\n🔗 Links:');
+    this.log('   Transaction:', this.childTxUrl(txHash));
+    this.log('   Check again: node bridge.js check', txHash);
+    return status;
+  }
+
+  // ─── EXIT COMPLETION ────────────────────────────────────────────────────────
+  /**
+   * Completes the withdrawal exit process for a burn transaction
+   *
+   * 1. Waits for the burn to be checkpointed and fetches its proof
+   * 2. Submits proof to the ERC20 (or ERC721) Predicate on Sepolia
+   * 3. Processes the exit to release tokens, once its challenge period is over
+   *
+   * @param {string} txHash - Amoy burn transaction
+   * @param {Object} [params]
+   *   token:  symbol or address, for burns the journal doesn't know
+   *   dryRun: simulate instead of sending (no waiting for the checkpoint)
+   *   export: { file, format } — write the unsigned startExitWithBurntTokens instead
+   * @returns {Object} processExit()'s result plus { hash }, { dryRun: true, … } or the export summary
+   */
+  async exit(txHash, { token: tokenQuery, dryRun, export: exportTo } = {}) {
+    if (!txHash) {
+      throw new Error('Please provide transaction hash');
+    }
+
+    this.log(`🚀 Completing exit for: ${txHash}`);
+    const token = await this.getBurnToken(txHash, tokenQuery);
+
+    if (dryRun) {
+      return this.#simulateExit(txHash, token);
+    }
+    if (exportTo) {
+      return this.#exportExit(txHash, token, exportTo);
+    }
+
+    // Journal burns made outside this tool (or before it kept a journal)
+    this.journal.recordTransfer({
+      type: 'withdraw',
+      hash: txHash,
+      stage: STAGES.BURNED,
+      address: this.walletAmoy.address,
+      token: token.root,
+      symbol: token.symbol,
+    });
+
+    // Generate proof
+    const proofData = await this.waitForCheckpoint(txHash, token);
+
+    // Process exit
+    const exit = await this.processExit(proofData, txHash, token);
+    this.log(exit.released
+      ? '✅ Exit completed successfully!'
+      : '✅ Exit started — tokens are released after the challenge period (`node bridge.js finalize --wait`)');
+    return { hash: txHash, ...exit };
+  }
+
+  // ─── EXIT QUEUE (CHALLENGE PERIOD) ─────────────────────────────────────────
+  /**
+   * Reads a token's exit queue and the wallet's exits still waiting in it
+   *
+   * ExitStarted events are scanned back `days` (default EXIT_SCAN_DAYS); exits
+   * started by this tool are found through the journal whatever their age.
+   *
+   * @param {Object} token - Token from getToken() (its root address selects the queue)
+   * @param {Object} [params]
+   *   days: days of Sepolia events to scan, a positive number
+   * @returns {Object} { queueSize, nextExitableAt, now, exits } — exits as
+   *   { exitId, owner, amount, exitableAt, startExitTx, burnHash }, earliest first;
+   *   `now` is the latest Sepolia block timestamp
+   */
+  async loadExitQueue(token, { days = EXIT_SCAN_DAYS } = {}) {
+    days = positiveNumber(days, 'days');
+    const withdrawManager = new ethers.Contract(
+      this.network.withdrawManager,
+      [...withdrawManagerQueueAbi, ...withdrawManagerEventAbi],
+      this.providerSepolia
+    );
+    const queue = new ethers.Contract(await withdrawManager.exitsQueues(token.root), exitQueueAbi, this.providerSepolia);
+    const queueSize = Number(await queue.currentSize());
+    const nextExitableAt = queueSize > 0 ? Number((await queue.getMin()).exitableAt) : undefined;
+    const latest = await this.providerSepolia.getBlock('latest');
+
+    // Exits this tool started and has not seen processed yet
+    const journaled = this.journal.listUnfinished().filter((transfer) =>
+      transfer.stage === STAGES.EXIT_STARTED &&
+      transfer.startExitTx &&
+      (transfer.token || this.network.polRoot).toLowerCase() === token.root.toLowerCase()
+    );
+
+    // Scan back `days`, or further if the journal has an older exit
+    let fromBlock = await findBlockByAge(this.providerSepolia, days * 86400);
+    for (const transfer of journaled) {
+      const receipt = await this.providerSepolia.getTransactionReceipt(transfer.startExitTx);
+      if (receipt) {
+        fromBlock = Math.min(fromBlock, receipt.blockNumber);
+      }
+    }
+
+    const address = this.walletSepolia.address;
+    const started = await queryFilterChunked(
+      withdrawManager,
+      withdrawManager.filters.ExitStarted(address, null, token.root),
+      fromBlock,
+      latest.number
+    );
+    const processed = await queryFilterChunked(
+      withdrawManager,
+      withdrawManager.filters.Withdraw(null, address, token.root),
+      fromBlock,
+      latest.number
+    );
+    const processedIds = new Set(processed.map((event) => event.args.exitId));
+
+    const exits = [];
+    for (const event of started) {
+      if (processedIds.has(event.args.exitId)) {
+        continue;
+      }
+      const exit = await withdrawManager.exits(event.args.exitId);
+      exits.push({
+        exitId: event.args.exitId,
+        owner: exit.owner,
+        amount: exit.receiptAmountOrNFTId,
+        exitableAt: exitableAtOf(event.args.exitId),
+        startExitTx: event.transactionHash,
+        burnHash: journaled.find(
+          (transfer) => transfer.startExitTx.toLowerCase() === event.transactionHash.toLowerCase()
+        )?.hash,
+      });
+    }
+    exits.sort((a, b) => a.exitableAt - b.exitableAt);
+
+    return { queueSize, nextExitableAt, now: latest.timestamp, exits };
+  }
+
+  /**
+   * Logs the queue summary and each of the wallet's pending exits
+   *
+   * @param {Object} queue - Result of loadExitQueue()
+   * @param {Object} token - Token the queue belongs to
+   */
+  #printExitQueue(queue, token) {
+    const next = queue.nextExitableAt === undefined
+      ? ''
+      : queue.nextExitableAt <= queue.now
+        ? ', the next one is ready to process'
+        : `, the next one matures in ${formatDuration(queue.nextExitableAt - queue.now)}`;
+    this.log(`📬 ${token.symbol} exit queue: ${queue.queueSize} exit(s)${next}`);
+
+    if (queue.exits.length === 0) {
+      this.log(`   No pending exits for ${this.walletSepolia.address}`);
+      return;
+    }
+
+    this.log(`   Your pending exits (${queue.exits.length}):`);
+    for (const exit of queue.exits) {
+      const status = exit.exitableAt <= queue.now
+        ? '✅ ready to process'
+        : `⏳ matures in ${formatDuration(exit.exitableAt - queue.now)} (${new Date(exit.exitableAt * 1000).toISOString()})`;
+      this.log(`   • ${formatTokenAmount(exit.amount, token)} — ${status}`);
+      this.log(`     Exit ID 0x${exit.exitId.toString(16)}, owner ${exit.owner}`);
+      this.log(`     Started: ${this.rootTxUrl(exit.startExitTx)}`);
+    }
+  }
+
+  /**
+   * Calls processExits if at least one of the wallet's exits is out of its challenge period
+   *
+   * Journal entries of the exits it actually released move to exit_processed.
+   *
+   * @param {Object} token - Token from getToken()
+   * @param {Object} queue - Result of loadExitQueue() for the token
+   * @returns {Object|null} { processExitTx, released } from #submitProcessExits(), or
+   *   null if nothing was ripe
+   */
+  async #releaseRipeExits(token, queue) {
+    const ripe = queue.exits.filter((exit) => exit.exitableAt <= queue.now);
+    if (ripe.length === 0) {
+      if (queue.exits.length > 0) {
+        this.log(`  ⏳ No exit is out of its challenge period yet — the earliest matures in ${formatDuration(queue.exits[0].exitableAt - queue.now)}`);
+        this.log('  💡 Run `node bridge.js finalize --wait` to release it then');
+      } else {
+        this.log(`  ℹ️  No pending ${token.symbol} exits found for ${this.walletSepolia.address}`);
+      }
+      return null;
+    }
+
+    return this.#submitProcessExits(token);
+  }
+
+  /**
+   * Moves the journal entries of exits a processExits receipt paid out to exit_processed
+   *
+   * The Withdraw Manager emits Withdraw(exitId, user, …) for each exit it
+   * releases. Exits started by this tool are matched by their exit ID; exits
+   * started elsewhere (KNOWN_EXIT, no ID in the journal) by our address, token
+   * and amount, each Withdraw event matching at most one transfer. Emits
+   * `exitProcessed` when at least one journaled exit was released.
+   *
+   * @param {Object} token - Token whose queue was processed
+   * @param {Object} receipt - Mined processExits receipt
+   * @returns {string[]} Burn hashes of the transfers marked exit_processed
+   */
+  #markExitsProcessed(token, receipt) {
+    const withdrawEvents = new ethers.Interface(withdrawManagerEventAbi);
+    const withdrawals = receipt.logs
+      .filter((log) => log.address.toLowerCase() === this.network.withdrawManager.toLowerCase())
+      .map((log) => withdrawEvents.parseLog(log))
+      .filter((event) => event?.name === 'Withdraw');
+
+    const released = [];
+    const started = this.journal.listUnfinished().filter((transfer) => transfer.stage === STAGES.EXIT_STARTED);
+    // Known exit IDs first, so an amount match never takes another transfer's event
+    started.sort((a, b) => Number(!a.exitId) - Number(!b.exitId));
+    for (const transfer of started) {
+      const index = withdrawals.findIndex((event) => (transfer.exitId
+        ? event.args.exitId.toString() === transfer.exitId
+        : event.args.user.toLowerCase() === this.walletSepolia.address.toLowerCase() &&
+          event.args.token.toLowerCase() === (transfer.token || this.network.polRoot).toLowerCase() &&
+          transfer.amount !== undefined && event.args.amount.toString() === transfer.amount));
+      if (index === -1) {
+        continue;
+      }
+      withdrawals.splice(index, 1);
+      this.journal.advanceStage(transfer.hash, STAGES.EXIT_PROCESSED, { processExitTx: receipt.hash });
+      released.push(transfer.hash);
+    }
+    if (released.length > 0) {
+      this.emit('exitProcessed', { hash: receipt.hash, token: token.root, symbol: token.symbol, burnHashes: released });
+    }
+    return released;
+  }
+
+  /**
+   * Sleeps until Sepolia's clock passes `exitableAt`
+   *
+   * Goes by block timestamps (what processExits compares against), waking at
+   * least every FINALIZE_WAIT_STEP_SECONDS to report progress.
+   *
+   * @param {number} exitableAt - Unix timestamp to wait for
+   */
+  async #waitForExitable(exitableAt) {
+    while (true) {
+      const { timestamp: now } = await this.providerSepolia.getBlock('latest');
+      if (now >= exitableAt) {
+        return;
+      }
+      const remaining = exitableAt - now;
+      this.log(`   💤 ${formatDuration(remaining)} until the next exit matures (Ctrl+C to stop, finalize can be rerun any time)`);
+      // Add a block's worth of margin so the processExits block is past exitableAt
+      await sleep(Math.min(remaining + 15, FINALIZE_WAIT_STEP_SECONDS) * 1000);
+    }
+  }
+
+  // ─── FINALIZE EXIT ──────────────────────────────────────────────────────────
+  /**
+   * Finalizes the wallet's pending exits for POL tokens (or the token given)
+   *
+   * Reads the token's exit queue on the Withdraw Manager, lists each of the
+   * wallet's pending exits with the time until it can be processed, and only
+   * calls processExits when at least one has finished its challenge period.
+   * With `wait` it sleeps until the earliest exit matures and then processes it.
+   *
+   * @param {Object} [params]
+   *   token:  symbol or address (default POL)
+   *   wait:   sleep until the earliest pending exit matures
+   *   days:   days of Sepolia events to scan (default 14)
+   *   dryRun: simulate processExits instead of sending it
+   *   export: { file, format } — write the unsigned processExits instead
+   * @returns {Object} { queue, released, processExitTx }, { dryRun: true, simulations }
+   *   or the export summary
+   */
+  async finalize({ token: tokenQuery, wait, days, dryRun, export: exportTo } = {}) {
+    this.log('🏁 Checking exits against the challenge period...');
+    const token = await this.getToken(tokenQuery);
+
+    let queue = await this.loadExitQueue(token, { days });
+    this.#printExitQueue(queue, token);
+    if (queue.exits.length === 0) {
+      return { queue, released: 0 };
+    }
+
+    if (!queue.exits.some((exit) => exit.exitableAt <= queue.now)) {
+      const earliest = queue.exits[0];
+      if (!wait || dryRun) {
+        this.log(`\n⏳ Nothing to process yet — the earliest exit matures in ${formatDuration(earliest.exitableAt - queue.now)}`);
+        this.log('💡 Run `node bridge.js finalize --wait` to sleep until then and process it');
+        return { queue, released: 0 };
+      }
+
+      this.log(`\n💤 Waiting for the earliest exit to mature (${new Date(earliest.exitableAt * 1000).toISOString()})...`);
+      await this.#waitForExitable(earliest.exitableAt);
+      queue = await this.loadExitQueue(token, { days });
+    }
+
+    if (dryRun) {
+      this.log('🧪 Dry run — simulating against current Sepolia state, nothing will be broadcast');
+      const simulation = await this.#simulateTransaction('processExits', this.#withdrawContract(), 'processExits', [token.root]);
+      return { dryRun: true, simulations: [simulation] };
+    }
+
+    const ripe = queue.exits.filter((exit) => exit.exitableAt <= queue.now);
+    if (exportTo) {
+      return this.#exportTransactions({
+        command: 'finalize',
+        chain: 'root',
+        description: `Release ${ripe.length} ${token.symbol} exit(s) past their challenge period`,
+        context: {
+          token: token.root,
+          symbol: token.symbol,
+        },
+      }, [{ label: 'processExits', contract: this.#withdrawContract(), method: 'processExits', params: [token.root] }], exportTo);
+    }
+
+    // processExits releases every exit in the queue whose challenge period is over
+    const release = await this.#releaseRipeExits(token, queue);
+    if (!release) {
+      return { queue, released: 0 };
+    }
+    this.log(`💰 ${release.released.length} journaled ${token.symbol} exit(s) released on Sepolia!`);
+    return { queue, released: release.released.length, processExitTx: release.processExitTx.hash };
+  }
+
+  // ─── RESUME UNFINISHED TRANSFERS ────────────────────────────────────────────
+  /**
+   * Drives every unfinished transfer in the journal to completion
+   *
+   * Picks up where each transfer stopped:
+   * - deposit_sent/confirmed:  wait for the deposit to be credited on Amoy
+   * - burned / checkpointed:   wait for checkpoint, start exit, process exit
+   * - exit_started:            process exit once its challenge period is over
+   *
+   * Transfers are handled one at a time (oldest first) so Sepolia transactions
+   * never compete for the same nonce. A failing transfer is logged and
+   * skipped; it stays in the journal for the next resume().
+   *
+   * @returns {Object} { total, failed } — transfers attempted and how many failed
+   */
+  async resume() {
+    const pending = this.journal.listUnfinished();
+    if (pending.length === 0) {
+      this.log('✅ No unfinished transfers in', this.journal.file);
+      return { total: 0, failed: 0 };
+    }
+
+    this.log(`🔁 Resuming ${pending.length} unfinished transfer(s)...`);
+    let failed = 0;
+
+    for (const transfer of pending) {
+      // An earlier processExits in this run may already have released it
+      if (this.journal.getTransfer(transfer.hash).stage === STAGES.EXIT_PROCESSED) {
+        continue;
+      }
+      this.log(`\n▶️  ${transfer.type} ${transfer.hash} (stage: ${transfer.stage})`);
+      try {
+        if (transfer.type === 'deposit') {
+          await this.trackDeposit(transfer.hash);
+        } else if (transfer.stage === STAGES.EXIT_STARTED) {
+          const token = await this.getToken(transfer.token || 'POL');
+          const release = await this.#releaseRipeExits(token, await this.loadExitQueue(token));
+          if (release?.released.includes(transfer.hash)) {
+            this.log(`💰 ${token.symbol} tokens released on Sepolia!`);
+          } else if (release) {
+            this.log('  ⏳ This exit was not released yet — left for the next resume');
+          }
+        } else {
+          const token = await this.getToken(transfer.token || 'POL');
+          const proofData = await this.waitForCheckpoint(transfer.hash, token);
+          await this.processExit(proofData, transfer.hash, token);
+        }
+      } catch (error) {
+        failed++;
+        this.log(`❌ Could not resume ${transfer.hash}:`, error.message);
+      }
+    }
+
+    if (failed > 0) {
+      this.log(`\n⚠️  ${failed} transfer(s) could not be completed — unfinished ones stay in the journal for the next \`node bridge.js resume\``);
+    } else {
+      this.log('\n✅ All transfers completed!');
+    }
+    return { total: pending.length, failed };
+  }
+
+  // ─── BROADCAST EXTERNALLY SIGNED TRANSACTIONS ───────────────────────────────
+  /**
+   * Submits transactions signed elsewhere from a raw export and continues the flow
+   *
+   * The signed transactions come from the export's `signed` fields or from a
+   * second file (JSON array or one hex transaction per line). Each must match
+   * what was exported — sender, chain, nonce, target, calldata and value — and
+   * they are sent one at a time, waiting for each to be mined. Transactions that
+   * are already mined are skipped, so broadcast can simply be rerun.
+   *
+   * Afterwards the command that made the export carries on: deposits are
+   * journaled and tracked until credited, burns are journaled (and completed
+   * with autoComplete when a signer is connected), started exits show when
+   * they mature, and processed exits are marked in the journal.
+   *
+   * @param {Object} params
+   *   exportFile: raw export written by an `export` option (required)
+   *   signedFile: signed transactions, if not in the export itself
+   * @returns {Object} { command, hashes } — the exported command and the mined transactions
+   */
+  async broadcast({ exportFile, signedFile } = {}) {
+    if (!exportFile) {
+      throw new Error('Please provide the export file');
+    }
+
+    const exported = txExport.loadExport(exportFile);
+    const signed = txExport.matchSignedTransactions(
+      exported,
+      signedFile ? txExport.loadSignedTransactions(signedFile) : undefined
+    );
+    if (exported.network !== this.network.name) {
+      throw new Error(`${exportFile} was exported for --network ${exported.network}, not ${this.network.name}`);
+    }
+
+    const onChild = exported.chain === 'child';
+    const provider = onChild ? this.providerAmoy : this.providerSepolia;
+    const txUrl = (hash) => (onChild ? this.childTxUrl(hash) : this.rootTxUrl(hash));
+    this.log(`📡 Broadcasting ${signed.length} signed ${onChild ? this.network.childName : this.network.rootName} transaction(s) for \`${exported.command}\` from ${exported.from}`);
+
+    let receipt;
+    for (const tx of signed) {
+      try {
+        if (!await provider.getTransactionReceipt(tx.hash)) { // Already mined by an earlier run?
+          await provider.broadcastTransaction(tx.raw);
+        }
+        receipt = await provider.waitForTransaction(tx.hash, this.txSettings.confirmations); // Wait until confirmed
+      } catch (error) {
+        this.log(`   🔗 ${txUrl(tx.hash)}`);
+        throw new Error(`${tx.label} failed: ${error.shortMessage || error.message}`, { cause: error });
+      }
+      if (receipt.status !== 1) {
+        throw categorized(`${tx.label} reverted: ${txUrl(tx.hash)}`, 'reverted');
+      }
+      this.log(`  ✔ ${tx.label}: ${txUrl(tx.hash)}`);
+    }
+
+    await this.#continueAfterBroadcast(exported, receipt);
+    return { command: exported.command, hashes: signed.map((tx) => tx.hash) };
+  }
+
+  /**
+   * Picks the bridge flow up after the exported transactions are mined
+   *
+   * @param {Object} exported - Raw export (its command and context)
+   * @param {Object} receipt - Receipt of the last transaction (deposit, burn, startExit or processExits)
+   */
+  async #continueAfterBroadcast(exported, receipt) {
+    const { context } = exported;
+    const token = await this.getToken(context.token);
+
+    if (exported.command === 'deposit') {
+      this.journal.recordTransfer({
+        type: 'deposit',
+        hash: receipt.hash,
+        stage: STAGES.DEPOSIT_CONFIRMED,
+        address: context.recipient,
+        token: token.root,
+        symbol: token.symbol,
+        amount: context.amount,
+      });
+      this.log('✅ Deposit confirmed — funds will arrive on Amoy in ~25 min.');
+      this.log(`   💡 Safe to stop — continue later with: node bridge.js track-deposit ${receipt.hash}`);
+      await this.trackDeposit(receipt.hash);
+    } else if (exported.command === 'withdraw') {
+      this.journal.recordTransfer({
+        type: 'withdraw',
+        hash: receipt.hash,
+        stage: STAGES.BURNED,
+        address: exported.from,
+        token: token.root,
+        symbol: token.symbol,
+        amount: context.amount,
+      });
+      this.emit('burned', { hash: receipt.hash, nonce: receipt.nonce, token: token.root, symbol: token.symbol, amount: BigInt(context.amount) });
+      if (this.watchOnly) {
+        this.log('💡 Once checkpointed, export the exit with:');
+        this.log(`   node bridge.js exit ${receipt.hash} --watch ${exported.from} --export exit.json`);
+        return;
+      }
+      await this.#completeAfterBurn(receipt.hash, token, this.autoComplete);
+    } else if (exported.command === 'exit') {
+      this.journal.recordTransfer({
+        type: 'withdraw',
+        hash: context.burnTxHash,
+        stage: STAGES.BURNED,
+        address: exported.from,
+        token: token.root,
+        symbol: token.symbol,
+      });
+      const exitableAt = this.#recordExitStarted(context.burnTxHash, receipt);
+      const { timestamp: now } = await this.providerSepolia.getBlock('latest');
+      if (exitableAt !== undefined && exitableAt > now) {
+        this.log(`⏳ Exit started — it can be processed in ${formatDuration(exitableAt - now)} (${new Date(exitableAt * 1000).toISOString()})`);
+      } else {
+        this.log('✅ Exit started and already out of its challenge period');
+      }
+      this.log(`💡 Release it with: node bridge.js finalize --token ${token.root} --watch ${exported.from} --export finalize.json`);
+    } else if (exported.command === 'finalize') {
+      const released = this.#markExitsProcessed(token, receipt);
+      this.log(`💰 processExits mined — ${released.length} journaled ${token.symbol} exit(s) released on ${this.network.rootName}`);
+    }
+  }
+
+  // ─── CANCEL A PENDING TRANSACTION ───────────────────────────────────────────
+  /**
+   * Cancels a stuck transaction by replacing its nonce with a 0-value transfer to ourselves
+   *
+   * The cancel pays the current fees bumped by bumpPercent, raised again if
+   * the node says it is still priced below the pending transaction (up to the
+   * chain's fee cap). Once it is mined, a journaled deposit or burn that used
+   * the nonce is marked failed so resume() stops waiting for it.
+   *
+   * @param {number} nonce - Nonce of the stuck transaction
+   * @param {Object} params
+   *   chain: 'root' or 'child' — nonces are per chain (required)
+   * @returns {Object} { nonce, chain, hash, failedTransfers } — hash is the cancel transaction
+   */
+  async cancel(nonce, { chain } = {}) {
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      throw categorized('Usage: node bridge.js cancel <nonce> --chain root|child', 'usage');
+    }
+    if (!['root', 'child'].includes(chain)) {
+      throw categorized(`Nonces are per chain — add --chain root (${this.network.rootName}) or --chain child (${this.network.childName})`, 'usage');
+    }
+
+    const onChild = chain === 'child';
+    const manager = onChild ? this.txAmoy : this.txSepolia;
+    const wallet = onChild ? this.walletAmoy : this.walletSepolia;
+    const txUrl = (hash) => (onChild ? this.childTxUrl(hash) : this.rootTxUrl(hash));
+    this.log(`🛑 Cancelling ${manager.name} transaction ${nonce} from ${wallet.address}...`);
+
+    let cancelTx;
+    try {
+      cancelTx = await manager.cancel(nonce);
+      this.log(`  📤 Cancel sent: ${txUrl(cancelTx.hash)}`);
+      await cancelTx.wait(); // Wait for transaction to be mined
+    } catch (error) {
+      if (cancelTx) {
+        this.log('   The original transaction was probably mined first — check the address on the explorer');
+      }
+      throw new Error(error.shortMessage || error.message, { cause: error });
+    }
+    this.log(`  ✔ Nonce ${nonce} cancelled: ${txUrl(cancelTx.hash)}`);
+
+    const type = onChild ? 'withdraw' : 'deposit';
+    const cancelled = this.journal.listUnfinished().filter((transfer) =>
+      transfer.type === type &&
+      transfer.nonce === nonce &&
+      (transfer.sender || transfer.address).toLowerCase() === wallet.address.toLowerCase()
+    );
+    for (const transfer of cancelled) {
+      this.journal.advanceStage(transfer.hash, STAGES.FAILED, { error: `Cancelled by ${cancelTx.hash}` });
+      this.log(`  📒 Journal: ${transfer.type} ${transfer.hash} marked failed`);
+    }
+    return { nonce, chain, hash: cancelTx.hash, failedTransfers: cancelled.map((transfer) => transfer.hash) };
+  }
+
+  // ─── TRANSFER HISTORY ───────────────────────────────────────────────────────
+  /**
+   * Loads deposits of `token` credited to `address` from DepositManager events
+   *
+   * A deposit is `deposit_credited` once Amoy's StateReceiver has applied the
+   * state sync emitted by the deposit transaction, `deposit_confirmed` before.
+   *
+   * @param {string} address - Deposit recipient
+   * @param {Object} token - Token from getToken()
+   * @param {number} fromBlock - First Sepolia block to scan
+   * @param {number} toBlock - Last Sepolia block to scan
+   * @returns {Object[]} Deposit rows
+   */
+  async #loadDepositHistory(address, token, fromBlock, toBlock) {
+    const events = await queryFilterChunked(
+      this.depositManager,
+      this.depositManager.filters.NewDepositBlock(address, token.root),
+      fromBlock,
+      toBlock
+    );
+
+    const stateReceiver = new ethers.Contract(STATE_RECEIVER, stateReceiverAbi, this.providerAmoy);
+    const lastStateId = await stateReceiver.lastStateId();
+    const stateSender = new ethers.Interface(stateSenderAbi);
+
+    const rows = [];
+    for (const event of events) {
+      // Find the state sync ID emitted alongside the deposit
+      const receipt = await event.getTransactionReceipt();
+      const stateSync = receipt.logs
+        .map((log) => stateSender.parseLog(log))
+        .find(Boolean);
+      const stateId = stateSync?.args.id;
+      const block = await event.getBlock();
+
+      rows.push({
+        type: 'deposit',
+        hash: event.transactionHash,
+        timestamp: block.timestamp,
+        token: token.symbol,
+        amount: ethers.formatUnits(event.args.amountOrNFTId, token.decimals),
+        depositBlockId: event.args.depositBlockId.toString(),
+        stateId: stateId?.toString(),
+        phase: stateId !== undefined && stateId <= lastStateId ? STAGES.DEPOSIT_CREDITED : STAGES.DEPOSIT_CONFIRMED,
+        links: {
+          deposit: this.rootTxUrl(event.transactionHash),
+        },
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Loads burns of `token` by `address` on Amoy and correlates them with checkpoint and exit state
+   *
+   * - burned:         burn block not yet covered by a checkpoint
+   * - checkpointed:   covered by a checkpoint, exit not started
+   * - exit_started:   ExitStarted emitted by the Withdraw Manager
+   * - exit_processed: Withdraw emitted by the Withdraw Manager (tokens released)
+   *
+   * @param {string} address - Burner / exitor
+   * @param {Object} token - Token from getToken()
+   * @param {Object} amoyRange - { fromBlock, toBlock } on Amoy
+   * @param {Object} sepoliaRange - { fromBlock, toBlock } on Sepolia
+   * @returns {Object[]} Withdrawal rows
+   */
+  async #loadWithdrawHistory(address, token, amoyRange, sepoliaRange) {
+    const childEvents = new ethers.Contract(token.child, childWithdrawEventAbi, this.providerAmoy);
+    const burns = await queryFilterChunked(
+      childEvents,
+      childEvents.filters.Withdraw(null, address),
+      amoyRange.fromBlock,
+      amoyRange.toBlock
+    );
+
+    // Checkpoint state: everything up to the last child block is provable
+    const rootChain = await this.#getRootChain();
+    const lastChildBlock = await rootChain.getLastChildBlock();
+
+    // Exit state from the Withdraw Manager on Sepolia
+    const withdrawManager = new ethers.Contract(this.network.withdrawManager, withdrawManagerEventAbi, this.providerSepolia);
+    const exitsStarted = await queryFilterChunked(
+      withdrawManager,
+      withdrawManager.filters.ExitStarted(address, null, token.root),
+      sepoliaRange.fromBlock,
+      sepoliaRange.toBlock
+    );
+    const exitsProcessed = await queryFilterChunked(
+      withdrawManager,
+      withdrawManager.filters.Withdraw(null, address, token.root),
+      sepoliaRange.fromBlock,
+      sepoliaRange.toBlock
+    );
+    const processedById = new Map(exitsProcessed.map((event) => [event.args.exitId, event]));
+
+    const rows = [];
+    for (const burn of burns) {
+      const block = await burn.getBlock();
+      const exitStart = exitsStarted.find(
+        (event) => exitIdToChildBlock(event.args.exitId) === BigInt(burn.blockNumber)
+      );
+      const exitProcess = exitStart && processedById.get(exitStart.args.exitId);
+
+      let phase = STAGES.BURNED;
+      if (exitProcess) {
+        phase = STAGES.EXIT_PROCESSED;
+      } else if (exitStart) {
+        phase = STAGES.EXIT_STARTED;
+      } else if (BigInt(burn.blockNumber) <= lastChildBlock) {
+        phase = STAGES.CHECKPOINTED;
+      }
+
+      const links = { burn: this.childTxUrl(burn.transactionHash) };
+      if (exitStart) {
+        links.startExit = this.rootTxUrl(exitStart.transactionHash);
+      }
+      if (exitProcess) {
+        links.processExit = this.rootTxUrl(exitProcess.transactionHash);
+      }
+
+      rows.push({
+        type: 'withdraw',
+        hash: burn.transactionHash,
+        timestamp: block.timestamp,
+        token: token.symbol,
+        amount: ethers.formatUnits(burn.args.amount, token.decimals),
+        blockNumber: burn.blockNumber,
+        exitId: exitStart?.args.exitId.toString(),
+        phase,
+        links,
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Lists every bridge transfer for the wallet from on-chain data
+   *
+   * Scans the DepositManager's NewDepositBlock events on Sepolia and the child
+   * token's Withdraw events on Amoy and works out each transfer's current
+   * phase, oldest first.
+   *
+   * @param {Object} [params]
+   *   days:  how far back to scan, a positive number (default 7)
+   *   token: symbol or address of an ERC-20 (default POL)
+   * @returns {Object} { address, days, token, transfers } — transfers as
+   *   { type, hash, timestamp, token, amount, phase, links, … }
+   */
+  async history({ days = 7, token: tokenQuery } = {}) {
+    days = positiveNumber(days, 'days');
+    const address = this.walletSepolia.address;
+    const token = await this.getToken(tokenQuery);
+    if (token.standard === 'ERC721') {
+      throw new Error(`history covers ERC-20 tokens only — ${token.symbol} is an ERC-721 collection`);
+    }
+    const lookbackSeconds = days * 24 * 60 * 60;
+
+    this.log(`📜 Scanning ${token.symbol} bridge transfers for ${address} (last ${days} days)...`);
+
+    const sepoliaRange = {
+      fromBlock: await findBlockByAge(this.providerSepolia, lookbackSeconds),
+      toBlock: await this.providerSepolia.getBlockNumber(),
+    };
+    const amoyRange = {
+      fromBlock: await findBlockByAge(this.providerAmoy, lookbackSeconds),
+      toBlock: await this.providerAmoy.getBlockNumber(),
+    };
+
+    const transfers = [
+      ...await this.#loadDepositHistory(address, token, sepoliaRange.fromBlock, sepoliaRange.toBlock),
+      ...await this.#loadWithdrawHistory(address, token, amoyRange, sepoliaRange),
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    return { address, days, token, transfers };
+  }
+}
+
+module.exports = {
+  PolBridge,
+  DEFAULTS,
+  EVENTS,
+  formatDuration,
+  formatTokenAmount,
+  planBatch,
+  positiveNumber,
+  exitableAtOf,
+  exitIdToChildBlock,
+};
@@ -0,0 +1,401 @@
+/**
+ * Local Exit Payload Builder - proves a burn without the proof-generator API
+ *
+ * startExitWithBurntTokens takes one RLP-encoded payload proving that a
+ * Withdraw event was emitted on the child chain (Amoy) in a block covered by a
+ * checkpoint on the root chain (Sepolia):
+ *
+ *   [ headerBlockNumber, blockProof, blockNumber, timestamp, transactionsRoot,
+ *     receiptsRoot, receipt, receiptProof, receiptPath, logIndex ]
+ *
+ * - headerBlockNumber: checkpoint ID on the RootChain contract (a multiple of 10000)
+ * - blockProof:        Merkle proof of the block header in the checkpoint's root
+ * - receiptProof:      Merkle-Patricia proof of the burn receipt in receiptsRoot
+ *
+ * Everything is read from the child chain RPC and the RootChain contract, the
+ * same data the Polygon proof API uses. Both proofs are checked against the
+ * roots they prove into before the payload is returned, so a wrong payload is
+ * reported here instead of as a revert on Sepolia.
+ */
+
+const ethers = require('ethers');
+
+// topic0 of the child token Withdraw events the proof points at
+const ERC20_WITHDRAW_EVENT_SIG = '0xebff2602b3f468259e1e99f613fed6691f3a6526effe6ef3e768ba7ae7a36c4f';
+const ERC721_WITHDRAW_EVENT_SIG = '0x9b1bfa7fa9ee420a16e124f794c35ac9f90472acc99140eb2f6447c714cad8eb';
+
+// Checkpoint IDs on the RootChain contract step by this much
+const CHECKPOINT_INTERVAL = 10000n;
+
+// Blocks fetched per batch while building the checkpoint tree
+const BLOCK_BATCH_SIZE = 100;
+
+const ZERO_HASH = ethers.ZeroHash;
+
+// ─── ENCODING HELPERS ──────────────────────────────────────────────────────────
+
+/**
+ * Encodes an integer as a minimal big-endian RLP string (0 → empty)
+ *
+ * @param {number|bigint|string} value - Integer or hex quantity
+ * @returns {string} Hex bytes
+ */
+function encodeQuantity(value) {
+  return ethers.hexlify(ethers.toBeArray(BigInt(value)));
+}
+
+/**
+ * Splits bytes into 4-bit nibbles (the Merkle-Patricia trie path alphabet)
+ *
+ * @param {string} bytes - Hex bytes
+ * @returns {number[]} Nibbles, high nibble first
+ */
+function toNibbles(bytes) {
+  return [...ethers.getBytes(bytes)].flatMap((byte) => [byte >> 4, byte & 0x0f]);
+}
+
+/**
+ * Hex-prefix encodes a nibble path for a leaf or extension node
+ *
+ * @param {number[]} nibbles - Remaining path
+ * @param {boolean} isLeaf - Leaf (terminator flag) or extension
+ * @returns {string} Hex bytes
+ */
+function hexPrefix(nibbles, isLeaf) {
+  const flag = (isLeaf ? 2 : 0) + (nibbles.length % 2);
+  const padded = nibbles.length % 2 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+  const bytes = [];
+  for (let i = 0; i < padded.length; i += 2) {
+    bytes.push((padded[i] << 4) | padded[i + 1]);
+  }
+  return ethers.hexlify(new Uint8Array(bytes));
+}
+
+// ─── CHECKPOINT LOOKUP ─────────────────────────────────────────────────────────
+
+/**
+ * Finds the checkpoint (header block) whose range covers a child block
+ *
+ * Binary search over the checkpoint IDs 10000, 20000, … currentHeaderBlock().
+ *
+ * @param {Object} rootChain - RootChain contract (currentHeaderBlock, headerBlocks)
+ * @param {number} blockNumber - Child chain block to look for
+ * @returns {Object} { id, root, start, end } (id, start and end as bigint)
+ */
+async function findCheckpoint(rootChain, blockNumber) {
+  const target = BigInt(blockNumber);
+  let low = 1n;
+  let high = BigInt(await rootChain.currentHeaderBlock()) / CHECKPOINT_INTERVAL;
+
+  while (low <= high) {
+    const middle = (low + high) / 2n;
+    const id = middle * CHECKPOINT_INTERVAL;
+    const header = await rootChain.headerBlocks(id);
+    const start = BigInt(header.start);
+    const end = BigInt(header.end);
+
+    if (target < start) {
+      high = middle - 1n;
+    } else if (target > end) {
+      low = middle + 1n;
+    } else {
+      return { id, root: header.root, start, end };
+    }
+  }
+  throw new Error(`No checkpoint covers block ${blockNumber}`);
+}
+
+// ─── BLOCK PROOF (checkpoint Merkle tree) ──────────────────────────────────────
+
+/**
+ * Hashes a block into its checkpoint tree leaf
+ *
+ * @param {Object} block - Raw eth_getBlockByNumber result
+ * @returns {string} keccak256(number ‖ timestamp ‖ transactionsRoot ‖ receiptsRoot)
+ */
+function blockLeaf(block) {
+  return ethers.keccak256(ethers.concat([
+    ethers.toBeHex(BigInt(block.number), 32),
+    ethers.toBeHex(BigInt(block.timestamp), 32),
+    block.transactionsRoot,
+    block.receiptsRoot,
+  ]));
+}
+
+/**
+ * Builds the Merkle proof of one leaf in a checkpoint tree
+ *
+ * Leaves are padded with zero hashes to the next power of two; parents are
+ * keccak256(left ‖ right).
+ *
+ * @param {string[]} leaves - Leaf hashes, oldest block first
+ * @param {number} index - Position of the leaf to prove
+ * @returns {Object} { root, proof } where proof is the sibling hashes, leaf upwards, concatenated
+ */
+function buildBlockProof(leaves, index) {
+  let layer = [...leaves];
+  while (layer.length & (layer.length - 1)) {
+    layer.push(ZERO_HASH);
+  }
+
+  const siblings = [];
+  let position = index;
+  while (layer.length > 1) {
+    siblings.push(layer[position ^ 1]);
+    const parents = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      parents.push(ethers.keccak256(ethers.concat([layer[i], layer[i + 1]])));
+    }
+    layer = parents;
+    position >>= 1;
+  }
+
+  return { root: layer[0], proof: ethers.concat(siblings) };
+}
+
+/**
+ * Fetches raw blocks (with transactionsRoot/receiptsRoot) for a block range
+ *
+ * Requests go out BLOCK_BATCH_SIZE at a time so the provider can batch them.
+ *
+ * @param {Object} childProvider - Child chain provider (anything with send(method, params))
+ * @param {bigint} start - First block (inclusive)
+ * @param {bigint} end - Last block (inclusive)
+ * @returns {Object[]} Raw blocks, oldest first
+ */
+async function fetchBlocks(childProvider, start, end) {
+  const blocks = [];
+  for (let first = start; first <= end; first += BigInt(BLOCK_BATCH_SIZE)) {
+    const requests = [];
+    for (let number = first; number <= end && number < first + BigInt(BLOCK_BATCH_SIZE); number++) {
+      requests.push(childProvider.send('eth_getBlockByNumber', [ethers.toQuantity(number), false]));
+    }
+    blocks.push(...await Promise.all(requests));
+  }
+  return blocks;
+}
+
+// ─── RECEIPT PROOF (Merkle-Patricia trie) ──────────────────────────────────────
+
+/**
+ * Encodes a receipt the way it is stored in the block's receipt trie
+ *
+ * rlp([status, cumulativeGasUsed, logsBloom, logs]), prefixed with the
+ * transaction type byte for typed (EIP-2718) receipts.
+ *
+ * @param {Object} receipt - Raw eth_getTransactionReceipt result
+ * @returns {string} Hex bytes
+ */
+function encodeReceipt(receipt) {
+  const status = receipt.status === undefined || receipt.status === null
+    ? receipt.root                                 // Pre-Byzantium receipts carry a state root
+    : (BigInt(receipt.status) ? '0x01' : '0x');
+  const encoded = ethers.encodeRlp([
+    status,
+    encodeQuantity(receipt.cumulativeGasUsed),
+    receipt.logsBloom,
+    receipt.logs.map((log) => [log.address, log.topics, log.data]),
+  ]);
+
+  const type = BigInt(receipt.type || 0);
+  return type ? ethers.concat([ethers.toBeHex(type, 1), encoded]) : encoded;
+}
+
+/**
+ * Builds one trie node over entries that share the first `depth` nibbles
+ *
+ * @param {Object[]} entries - { nibbles, value } pairs
+ * @param {number} depth - Nibbles already consumed by the parents
+ * @returns {Object} { raw, encoded, hash, children } — raw is the node as nested RLP items
+ */
+function buildTrieNode(entries, depth) {
+  if (entries.length === 1) {
+    const raw = [hexPrefix(entries[0].nibbles.slice(depth), true), entries[0].value];
+    return trieNode(raw, {});
+  }
+
+  // Shared path below this point becomes an extension node
+  let shared = 0;
+  const [first] = entries;
+  while (
+    depth + shared < first.nibbles.length &&
+    entries.every((entry) => entry.nibbles[depth + shared] === first.nibbles[depth + shared])
+  ) {
+    shared++;
+  }
+  if (shared > 0) {
+    const child = buildTrieNode(entries, depth + shared);
+    const raw = [hexPrefix(first.nibbles.slice(depth, depth + shared), false), trieReference(child)];
+    return trieNode(raw, { path: first.nibbles.slice(depth, depth + shared), child });
+  }
+
+  // Otherwise a branch: one slot per next nibble, plus a value slot
+  const raw = new Array(17).fill('0x');
+  const children = {};
+  for (let nibble = 0; nibble < 16; nibble++) {
+    const group = entries.filter((entry) => entry.nibbles[depth] === nibble);
+    if (group.length > 0) {
+      children[nibble] = buildTrieNode(group, depth + 1);
+      raw[nibble] = trieReference(children[nibble]);
+    }
+  }
+  const terminal = entries.find((entry) => entry.nibbles.length === depth);
+  if (terminal) {
+    raw[16] = terminal.value;
+  }
+  return trieNode(raw, { children });
+}
+
+/**
+ * Wraps a raw node with its encoding and hash
+ *
+ * @param {Array} raw - Node as nested RLP items
+ * @param {Object} links - { path, child } for extensions, { children } for branches
+ * @returns {Object} Trie node
+ */
+function trieNode(raw, links) {
+  const encoded = ethers.encodeRlp(raw);
+  return { raw, encoded, hash: ethers.keccak256(encoded), ...links };
+}
+
+/**
+ * How a parent refers to a child node: inline if its RLP is under 32 bytes, else by hash
+ *
+ * @param {Object} node - Trie node
+ * @returns {Array|string} Raw node or its hash
+ */
+function trieReference(node) {
+  return ethers.dataLength(node.encoded) < 32 ? node.raw : node.hash;
+}
+
+/**
+ * Builds the receipt trie of a block and the proof for one transaction index
+ *
+ * @param {string[]} receipts - Encoded receipts, in transaction order
+ * @param {number} index - Transaction index to prove
+ * @returns {Object} { root, path, parentNodes } — parentNodes are the raw nodes from root to leaf
+ */
+function buildReceiptProof(receipts, index) {
+  const entries = receipts.map((value, position) => ({
+    nibbles: toNibbles(ethers.encodeRlp(encodeQuantity(position))),
+    value,
+  }));
+  const root = buildTrieNode(entries, 0);
+
+  // Walk the trie along the key, collecting every node on the way
+  const key = entries[index].nibbles;
+  const parentNodes = [];
+  let node = root;
+  let depth = 0;
+  while (node) {
+    parentNodes.push(node.raw);
+    if (node.children) {
+      node = node.children[key[depth]];
+      depth++;
+    } else if (node.child) {
+      depth += node.path.length;
+      node = node.child;
+    } else {
+      node = undefined;
+    }
+  }
+
+  return { root: root.hash, path: ethers.encodeRlp(encodeQuantity(index)), parentNodes };
+}
+
+/**
+ * Hash of Bor's state-sync pseudo transaction for a block
+ *
+ * Bor lists it among the block's transactions, but its receipt is not part
+ * of receiptsRoot, so it has to be left out of the receipt trie.
+ *
+ * @param {Object} block - Raw block
+ * @returns {string} Transaction hash
+ */
+function stateSyncTxHash(block) {
+  return ethers.keccak256(ethers.concat([
+    ethers.toUtf8Bytes('matic-bor-receipt-'),
+    ethers.toBeHex(BigInt(block.number), 8),
+    block.hash,
+  ]));
+}
+
+// ─── PAYLOAD ───────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the startExitWithBurntTokens payload for a burn transaction
+ *
+ * @param {Object} sources - { childProvider, rootChain }
+ *   childProvider: child chain provider (anything with send(method, params))
+ *   rootChain:     RootChain contract on the root chain (getLastChildBlock,
+ *                  currentHeaderBlock, headerBlocks)
+ * @param {string} burnTxHash - Child chain burn transaction
+ * @param {string} eventSignature - topic0 of the Withdraw event to exit with
+ * @returns {string|null} Hex payload, or null while the burn is not checkpointed yet
+ */
+async function buildExitPayload({ childProvider, rootChain }, burnTxHash, eventSignature) {
+  const receipt = await childProvider.send('eth_getTransactionReceipt', [burnTxHash]);
+  if (!receipt) {
+    throw new Error(`Burn transaction ${burnTxHash} not found on the child chain`);
+  }
+
+  const logIndex = receipt.logs.findIndex((log) => log.topics[0]?.toLowerCase() === eventSignature.toLowerCase());
+  if (logIndex === -1) {
+    throw new Error(`Transaction ${burnTxHash} has no log with event signature ${eventSignature}`);
+  }
+
+  const blockNumber = BigInt(receipt.blockNumber);
+  if (blockNumber > BigInt(await rootChain.getLastChildBlock())) {
+    return null;
+  }
+
+  // Block proof: the burn block's header inside the checkpoint's Merkle root
+  const checkpoint = await findCheckpoint(rootChain, blockNumber);
+  const blocks = await fetchBlocks(childProvider, checkpoint.start, checkpoint.end);
+  const blockProof = buildBlockProof(blocks.map(blockLeaf), Number(blockNumber - checkpoint.start));
+  if (blockProof.root.toLowerCase() !== checkpoint.root.toLowerCase()) {
+    throw new Error(
+      `Block proof does not match checkpoint ${checkpoint.id} (computed ${blockProof.root}, on chain ${checkpoint.root})`
+    );
+  }
+
+  // Receipt proof: the burn receipt inside the block's receiptsRoot
+  const block = blocks[Number(blockNumber - checkpoint.start)];
+  const stateSyncTx = stateSyncTxHash(block).toLowerCase();
+  const txHashes = block.transactions.filter((hash) => hash.toLowerCase() !== stateSyncTx);
+  const receipts = await Promise.all(
+    txHashes.map((hash) => childProvider.send('eth_getTransactionReceipt', [hash]))
+  );
+  const txIndex = Number(receipt.transactionIndex);
+  const receiptProof = buildReceiptProof(receipts.map(encodeReceipt), txIndex);
+  if (receiptProof.root.toLowerCase() !== block.receiptsRoot.toLowerCase()) {
+    throw new Error(
+      `Receipt trie of block ${blockNumber} does not match its receiptsRoot (computed ${receiptProof.root})`
+    );
+  }
+
+  return ethers.encodeRlp([
+    encodeQuantity(checkpoint.id),
+    blockProof.proof,
+    encodeQuantity(blockNumber),
+    encodeQuantity(block.timestamp),
+    block.transactionsRoot,
+    block.receiptsRoot,
+    encodeReceipt(receipt),
+    ethers.encodeRlp(receiptProof.parentNodes),
+    ethers.concat(['0x00', receiptProof.path]),
+    encodeQuantity(logIndex),
+  ]);
+}
+
+module.exports = {
+  ERC20_WITHDRAW_EVENT_SIG,
+  ERC721_WITHDRAW_EVENT_SIG,
+  CHECKPOINT_INTERVAL,
+  findCheckpoint,
+  blockLeaf,
+  buildBlockProof,
+  encodeReceipt,
+  buildReceiptProof,
+  buildExitPayload,
+};
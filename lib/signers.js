@@ -0,0 +1,337 @@
+/**
+ * Signers - where the key that signs bridge transactions comes from
+ *
+ * Sources:
+ * - key:      raw PRIVATE_KEY (throwaway testnet keys)
+ * - keystore: encrypted JSON keystore (KEYSTORE_FILE), passphrase from
+ *             KEYSTORE_PASSWORD or a hidden prompt
+ * - mnemonic: MNEMONIC (or a hidden prompt) + DERIVATION_PATH
+ * - remote:   a JSON-RPC signer such as Clef or a node with unlocked accounts
+ *             (REMOTE_SIGNER_URL); only eth_signTransaction /
+ *             account_signTransaction is used, transactions are still
+ *             broadcast through the bridge's own RPCs
+ * - watch:    an address only (WATCH_ADDRESS / --watch); read-only commands
+ *             and --dry-run work, anything that has to sign is refused
+ *
+ * bridge.js picks the source with --signer / SIGNER, or from whichever of the
+ * settings above is present, and connects the signer to both chains.
+ */
+
+const fs = require('fs');
+const ethers = require('ethers');
+
+const SIGNER_SOURCES = ['key', 'keystore', 'mnemonic', 'remote', 'watch'];
+
+// Default BIP-44 path for Ethereum accounts (first account)
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+// JSON-RPC "method not found" — the remote signer speaks the other dialect
+const METHOD_NOT_FOUND = -32601;
+
+// ─── PROMPTS ───────────────────────────────────────────────────────────────────
+
+/**
+ * Reads a line from the terminal without echoing it
+ *
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} What was typed
+ */
+function promptHidden(question) {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error('Cannot prompt for a secret: stdin is not a terminal (set KEYSTORE_PASSWORD or MNEMONIC instead)'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = '';
+    stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.setEncoding('utf8');
+
+    const done = (error) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      stdout.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(input);
+      }
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          done();
+          return;
+        }
+        if (char === '\u0003') { // Ctrl+C
+          done(new Error('Cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') {
+          input = input.slice(0, -1);
+        } else {
+          input += char;
+        }
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+// ─── REMOTE SIGNER ─────────────────────────────────────────────────────────────
+
+/**
+ * Sends one JSON-RPC request to the remote signer
+ *
+ * @param {string} url - Signer endpoint
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @returns {Promise<*>} RPC result
+ */
+async function rpcCall(url, method, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  if (!response.ok) {
+    throw new Error(`Remote signer returned status ${response.status} for ${method}`);
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    const error = new Error(`Remote signer: ${body.error.message} (${method})`);
+    error.rpcCode = body.error.code;
+    throw error;
+  }
+  return body.result;
+}
+
+/**
+ * Calls the eth_ method, or its Clef account_ equivalent if the signer doesn't know it
+ *
+ * @param {string} url - Signer endpoint
+ * @param {string} ethMethod - e.g. eth_signTransaction
+ * @param {string} clefMethod - e.g. account_signTransaction
+ * @param {Array} params - RPC params
+ * @returns {Promise<*>} RPC result
+ */
+async function rpcCallEither(url, ethMethod, clefMethod, params) {
+  try {
+    return await rpcCall(url, ethMethod, params);
+  } catch (error) {
+    if (error.rpcCode !== METHOD_NOT_FOUND) {
+      throw error;
+    }
+    return rpcCall(url, clefMethod, params);
+  }
+}
+
+/**
+ * Formats a populated transaction for eth_signTransaction
+ *
+ * @param {Object} tx - Transaction from populateTransaction()
+ * @returns {Object} JSON-RPC transaction object (hex quantities)
+ */
+function toRpcTransaction(tx) {
+  const rpcTx = { from: tx.from, data: tx.data || '0x' };
+  if (tx.to) {
+    rpcTx.to = tx.to;
+  }
+  const quantities = {
+    gas: tx.gasLimit,
+    gasPrice: tx.gasPrice,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    value: tx.value ?? 0n,
+    nonce: tx.nonce,
+    chainId: tx.chainId,
+    type: tx.type,
+  };
+  for (const [field, value] of Object.entries(quantities)) {
+    if (value !== undefined && value !== null) {
+      rpcTx[field] = ethers.toQuantity(value);
+    }
+  }
+  if (tx.accessList) {
+    rpcTx.accessList = tx.accessList;
+  }
+  return rpcTx;
+}
+
+/**
+ * Signer that asks a JSON-RPC endpoint to sign and broadcasts through its own provider
+ *
+ * Speaks eth_signTransaction (geth/erigon with unlocked accounts, most signing
+ * proxies) and falls back to Clef's account_signTransaction.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url - Signer endpoint
+   * @param {string} address - Account the signer signs for
+   * @param {ethers.Provider} [provider] - Chain to read nonces/fees from and broadcast to
+   */
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    const result = await rpcCallEither(
+      this.url,
+      'eth_signTransaction',
+      'account_signTransaction',
+      [toRpcTransaction({ ...populated, from: this.address })]
+    );
+
+    // geth and Clef answer { raw, tx }, some signers the raw transaction itself
+    const raw = typeof result === 'string' ? result : result.raw;
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from?.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer signed as ${signed.from}, expected ${this.address}`);
+    }
+    return raw;
+  }
+
+  async signMessage() {
+    throw new Error('Message signing is not supported by the remote signer');
+  }
+
+  async signTypedData() {
+    throw new Error('Typed data signing is not supported by the remote signer');
+  }
+}
+
+// ─── SIGNER SELECTION ──────────────────────────────────────────────────────────
+
+/**
+ * Picks the signer source from the settings that are present
+ *
+ * @param {Object} settings - See createSigner()
+ * @returns {string|undefined} One of SIGNER_SOURCES
+ */
+function detectSignerSource(settings) {
+  if (settings.source) {
+    return settings.source;
+  }
+  if (settings.privateKey) return 'key';
+  if (settings.keystoreFile) return 'keystore';
+  if (settings.mnemonic) return 'mnemonic';
+  if (settings.remoteUrl) return 'remote';
+  if (settings.watchAddress) return 'watch';
+  return undefined;
+}
+
+/**
+ * Creates the signer (not yet connected to a provider)
+ *
+ * Settings:
+ *   source           one of SIGNER_SOURCES (detected when omitted)
+ *   privateKey       key
+ *   keystoreFile     keystore: path to the encrypted JSON
+ *   keystorePassword keystore: passphrase (prompted when omitted)
+ *   mnemonic         mnemonic: phrase (prompted when omitted)
+ *   mnemonicPassword mnemonic: optional BIP-39 passphrase
+ *   derivationPath   mnemonic: account path (default m/44'/60'/0'/0/0)
+ *   remoteUrl        remote: JSON-RPC endpoint
+ *   remoteAddress    remote: account to use (default: the signer's first account)
+ *   watchAddress     watch: address to act as
+ *
+ * @param {Object} settings - Signer settings
+ * @param {Object} [hooks] - { prompt(question), log(message) } for passphrases and progress
+ * @returns {Promise<ethers.AbstractSigner>} Signer with an `address` property
+ */
+async function createSigner(settings, { prompt = promptHidden, log = () => {} } = {}) {
+  const source = detectSignerSource(settings);
+
+  if (source === 'key') {
+    if (!settings.privateKey) {
+      throw new Error('Set PRIVATE_KEY in .env');
+    }
+    return new ethers.Wallet(settings.privateKey);
+  }
+
+  if (source === 'keystore') {
+    if (!settings.keystoreFile) {
+      throw new Error('Set KEYSTORE_FILE to the encrypted JSON keystore');
+    }
+    const json = fs.readFileSync(settings.keystoreFile, 'utf8');
+    const password = settings.keystorePassword ?? await prompt(`🔑 Passphrase for ${settings.keystoreFile}: `);
+    log('🔐 Decrypting keystore...');
+    try {
+      return await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (error) {
+      throw new Error(`Could not decrypt ${settings.keystoreFile}: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  if (source === 'mnemonic') {
+    const phrase = settings.mnemonic ?? await prompt('🔑 Mnemonic: ');
+    const derivationPath = settings.derivationPath || DEFAULT_DERIVATION_PATH;
+    try {
+      return ethers.HDNodeWallet.fromPhrase(phrase.trim(), settings.mnemonicPassword, derivationPath);
+    } catch (error) {
+      throw new Error(`Invalid mnemonic or derivation path "${derivationPath}": ${error.shortMessage || error.message}`);
+    }
+  }
+
+  if (source === 'remote') {
+    if (!settings.remoteUrl) {
+      throw new Error('Set REMOTE_SIGNER_URL to the signer\'s JSON-RPC endpoint');
+    }
+    let address = settings.remoteAddress;
+    if (!address) {
+      const accounts = await rpcCallEither(settings.remoteUrl, 'eth_accounts', 'account_list', []);
+      if (!accounts?.length) {
+        throw new Error(`Remote signer at ${settings.remoteUrl} has no accounts`);
+      }
+      address = accounts[0];
+    }
+    return new RemoteSigner(settings.remoteUrl, ethers.getAddress(address));
+  }
+
+  if (source === 'watch') {
+    if (!settings.watchAddress) {
+      throw new Error('Set WATCH_ADDRESS (or pass --watch <address>) for watch mode');
+    }
+    return new ethers.VoidSigner(ethers.getAddress(settings.watchAddress));
+  }
+
+  if (source) {
+    throw new Error(`Unknown signer "${source}" (use ${SIGNER_SOURCES.join(', ')})`);
+  }
+  throw new Error('No signer configured — set PRIVATE_KEY, KEYSTORE_FILE, MNEMONIC, REMOTE_SIGNER_URL or WATCH_ADDRESS in .env');
+}
+
+/**
+ * Whether a signer can only read (watch mode)
+ *
+ * @param {ethers.AbstractSigner} signer - Signer from createSigner()
+ * @returns {boolean} true for watch-only signers
+ */
+function isWatchOnly(signer) {
+  return signer instanceof ethers.VoidSigner;
+}
+
+module.exports = {
+  SIGNER_SOURCES,
+  DEFAULT_DERIVATION_PATH,
+  RemoteSigner,
+  createSigner,
+  detectSignerSource,
+  isWatchOnly,
+};
@@ -0,0 +1,154 @@
+/**
+ * Token Registry - resolves `--token` (or an NFT collection) to a root/child token pair
+ *
+ * A token can be given as:
+ * - a symbol from the registry file (tokens.json in the project root, or
+ *   TOKEN_REGISTRY in .env) — see tokens.example.json
+ * - a raw address of either the root (Sepolia) or child (Amoy) token
+ *
+ * Missing child addresses are looked up on the plasma Registry contract
+ * (rootToChildToken / childToRootToken), which also tells ERC-721 collections
+ * apart from ERC-20s (isERC721). Missing decimals or symbols are read from the
+ * root token itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+// Native POL on Amoy: burned with withdraw(amount) + msg.value = amount
+const NATIVE_CHILD_TOKEN = '0x0000000000000000000000000000000000001010';
+
+const REGISTRY_FILE = process.env.TOKEN_REGISTRY || path.join(__dirname, '..', 'tokens.json');
+
+// Plasma Registry on Sepolia (address from DepositManager.registry())
+const plasmaRegistryAbi = [
+  'function rootToChildToken(address rootToken) external view returns (address)',
+  'function childToRootToken(address childToken) external view returns (address)',
+  'function isERC721(address rootToken) external view returns (bool)',
+  'function erc721Predicate() external view returns (address)',
+  'function getDepositManagerAddress() external view returns (address)',
+  'function getWithdrawManagerAddress() external view returns (address)',
+  'function predicates(address predicate) external view returns (uint8)', // 0 invalid, 1 ERC20, 2 ERC721, 3 custom
+];
+
+const tokenMetadataAbi = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+];
+
+/**
+ * Connects to the plasma Registry the DepositManager points at
+ *
+ * @param {Object} depositManager - DepositManager contract
+ * @param {Object} provider - Sepolia provider
+ * @returns {Object} Registry contract (read-only)
+ */
+async function getPlasmaRegistry(depositManager, provider) {
+  return new ethers.Contract(await depositManager.registry(), plasmaRegistryAbi, provider);
+}
+
+/**
+ * Reads the token registry file, if there is one
+ *
+ * @param {string} [file] - Registry path (defaults to REGISTRY_FILE)
+ * @returns {Object} Map of upper-case symbol → { root, child?, decimals?, standard? }
+ */
+function loadTokenRegistry(file = REGISTRY_FILE) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const registry = {};
+  for (const [symbol, entry] of Object.entries(entries)) {
+    registry[symbol.toUpperCase()] = { symbol, ...entry };
+  }
+  return registry;
+}
+
+/**
+ * Resolves a symbol or address to a fully described token
+ *
+ * @param {string} query - Symbol (e.g. 'POL') or root/child token address
+ * @param {Object} ctx - { builtins, depositManager, providerSepolia, registryFile? }
+ *   builtins:        tokens known without a registry file (POL from the network profile)
+ *   depositManager:  DepositManager contract (used to find the plasma Registry)
+ *   providerSepolia: provider used for on-chain lookups
+ *   registryFile:    token registry path (defaults to REGISTRY_FILE)
+ * @returns {Object} { symbol, root, child, decimals, native, standard: 'ERC20'|'ERC721' }
+ */
+async function resolveToken(query, ctx) {
+  const registryFile = ctx.registryFile || REGISTRY_FILE;
+  const fileEntries = loadTokenRegistry(registryFile);
+  // Every entry is checked: an address lookup compares against all of them
+  for (const { symbol, root, child } of Object.values(fileEntries)) {
+    if (typeof root !== 'string' || !ethers.isAddress(root)) {
+      throw new Error(`${path.basename(registryFile)} entry ${symbol} has no valid root address`);
+    }
+    if (child !== undefined && (typeof child !== 'string' || !ethers.isAddress(child))) {
+      throw new Error(`${path.basename(registryFile)} entry ${symbol} has an invalid child address`);
+    }
+  }
+  const registry = { ...ctx.builtins, ...fileEntries };
+  let entry;
+
+  if (ethers.isAddress(query)) {
+    entry = Object.values(registry).find((token) =>
+      token.root.toLowerCase() === query.toLowerCase() ||
+      token.child?.toLowerCase() === query.toLowerCase()
+    ) || { root: query };
+  } else {
+    entry = registry[query.toUpperCase()];
+    if (!entry) {
+      throw new Error(
+        `Unknown token "${query}". Add it to ${registryFile} or pass the token address instead.`
+      );
+    }
+  }
+
+  let { root, child, standard } = entry;
+  if (!child) {
+    // Find the mapping on the plasma Registry; the address may be either side
+    const plasmaRegistry = await getPlasmaRegistry(ctx.depositManager, ctx.providerSepolia);
+    child = await plasmaRegistry.rootToChildToken(root);
+    if (child === ethers.ZeroAddress) {
+      const mappedRoot = await plasmaRegistry.childToRootToken(root);
+      if (mappedRoot === ethers.ZeroAddress) {
+        throw new Error(`Token ${root} is not mapped on the plasma bridge (Registry has no root/child pair)`);
+      }
+      child = root;
+      root = mappedRoot;
+    }
+    standard = standard ?? (await plasmaRegistry.isERC721(root) ? 'ERC721' : 'ERC20');
+  }
+  standard = standard ?? 'ERC20';
+
+  // ERC-721 collections have no decimals; token IDs are used as-is
+  let { symbol, decimals } = entry;
+  if (standard === 'ERC721') {
+    decimals = 0;
+  }
+  if (symbol === undefined || decimals === undefined) {
+    const metadata = new ethers.Contract(root, tokenMetadataAbi, ctx.providerSepolia);
+    symbol = symbol ?? await metadata.symbol();
+    decimals = decimals ?? Number(await metadata.decimals());
+  }
+
+  return {
+    symbol,
+    root: ethers.getAddress(root),
+    child: ethers.getAddress(child),
+    decimals,
+    native: child.toLowerCase() === NATIVE_CHILD_TOKEN,
+    standard,
+  };
+}
+
+module.exports = {
+  NATIVE_CHILD_TOKEN,
+  REGISTRY_FILE,
+  getPlasmaRegistry,
+  loadTokenRegistry,
+  resolveToken,
+};
@@ -0,0 +1,424 @@
+/**
+ * Transaction Manager - fees, nonces, confirmations and stuck transactions
+ *
+ * One TxManager per chain wraps the signer for that chain:
+ *
+ * - Fees: EIP-1559 fees from the node, with an optional fixed priority fee
+ *   and a cap on maxFeePerGas (per chain, from the network profile). Legacy
+ *   chains get a capped gasPrice instead.
+ * - Nonces: assigned locally, so approve → deposit sequences never reuse a
+ *   nonce while the node's pending count lags behind. When the node's count
+ *   is lower and none of our transactions is still out there (one was
+ *   dropped from the mempool), it resyncs down.
+ * - Confirmations: wait() returns once the transaction has the configured
+ *   number of confirmations (and is still in the chain).
+ * - Speed-up: a transaction not mined after `speedUpSeconds` is replaced by
+ *   the same transaction with fees bumped by `bumpPercent`, up to the cap.
+ *   Whichever version is mined wins; `hash` then points at it and
+ *   onReplaced(oldHash, newHash) lets the caller follow it (e.g. the journal).
+ * - cancel(nonce): replaces a pending transaction with a 0-value transfer to
+ *   ourselves.
+ */
+
+const ethers = require('ethers');
+const { sleep } = require('./backoff');
+
+// Nodes reject replacements that don't raise both fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+
+// Gas for a plain transfer (cancel transactions)
+const TRANSFER_GAS = 21000n;
+
+// Extra attempts when a cancel is still priced below the transaction it replaces
+const CANCEL_ATTEMPTS = 5;
+
+/**
+ * Parses an optional gwei setting
+ *
+ * @param {string|number|undefined} value - Gwei (e.g. "30" or 1.5)
+ * @returns {bigint|undefined} Wei
+ */
+function parseGwei(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return ethers.parseUnits(String(value), 'gwei');
+}
+
+/**
+ * Raises a fee by a percentage (rounding up)
+ *
+ * @param {bigint} fee - Fee in wei
+ * @param {number} percent - Increase in percent
+ * @returns {bigint} Bumped fee
+ */
+function bumpFee(fee, percent) {
+  return (fee * BigInt(100 + percent) + 99n) / 100n;
+}
+
+/**
+ * Formats wei as gwei for log lines
+ *
+ * @param {bigint} wei - Amount in wei
+ * @returns {string} e.g. "31.5 gwei"
+ */
+function formatGwei(wei) {
+  return `${Number(ethers.formatUnits(wei, 'gwei')).toFixed(2).replace(/\.?0+$/, '')} gwei`;
+}
+
+/**
+ * Error thrown for a mined transaction that reverted (shaped like ethers' CALL_EXCEPTION)
+ *
+ * @param {Object} receipt - Receipt with status 0
+ * @returns {Error} Error with `code` and `receipt`
+ */
+function revertError(receipt) {
+  const error = new Error(`transaction execution reverted (${receipt.hash})`);
+  error.code = 'CALL_EXCEPTION';
+  error.shortMessage = 'transaction execution reverted';
+  error.receipt = receipt;
+  return error;
+}
+
+/**
+ * Error thrown when another transaction took our nonce (shaped like ethers' TRANSACTION_REPLACED)
+ *
+ * @param {string} message - What happened
+ * @returns {Error} Error with `code` and `reason`
+ */
+function replacedError(message) {
+  const error = new Error(message);
+  error.code = 'TRANSACTION_REPLACED';
+  error.reason = 'replaced';
+  return error;
+}
+
+class TxManager {
+  /**
+   * @param {ethers.AbstractSigner} signer - Signer connected to the chain's provider
+   * @param {Object} [policy] - Fee and waiting policy
+   *   name:            chain name for log lines
+   *   maxFeeGwei:      cap on maxFeePerGas / gasPrice, replacements included
+   *   priorityFeeGwei: fixed priority fee (default: the node's suggestion)
+   *   confirmations:   blocks wait() requires (default 1)
+   *   speedUpSeconds:  replace a transaction that isn't mined after this long (default 180, 0 = never)
+   *   bumpPercent:     fee increase per replacement (default 20, at least 10)
+   *   pollMs:          how often wait() checks for receipts (default 4000)
+   *   onReplaced:      called with (oldHash, newHash) whenever a transaction is replaced
+   *   log:             progress output (default console.log)
+   */
+  constructor(signer, policy = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.name = policy.name || 'chain';
+    this.maxFee = parseGwei(policy.maxFeeGwei);
+    this.priorityFee = parseGwei(policy.priorityFeeGwei);
+    this.confirmations = Math.max(1, Number(policy.confirmations ?? 1));
+    this.speedUpMs = Number(policy.speedUpSeconds ?? 180) * 1000;
+    this.bumpPercent = Math.max(MIN_BUMP_PERCENT, Number(policy.bumpPercent ?? 20));
+    this.pollMs = Number(policy.pollMs ?? 4000);
+    this.onReplaced = policy.onReplaced || (() => {});
+    this.log = policy.log || console.log;
+    this.nextNonce = undefined;
+    this.heldNonces = new Set(); // Reserved or sent, not yet known mined or gone
+  }
+
+  /**
+   * Fees for a new transaction under this chain's policy
+   *
+   * @returns {Promise<Object>} { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { type: 0, gasPrice }
+   */
+  async currentFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas == null) {
+      return { type: 0, gasPrice: this.#cap(feeData.gasPrice) };
+    }
+
+    const priorityFee = this.priorityFee ?? feeData.maxPriorityFeePerGas;
+    // ethers suggests 2 × base fee + its own tip; keep the headroom, swap in our tip
+    const baseHeadroom = feeData.maxFeePerGas - feeData.maxPriorityFeePerGas;
+    const maxFeePerGas = this.#cap(baseHeadroom + priorityFee);
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas: priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee };
+  }
+
+  #cap(fee) {
+    return this.maxFee !== undefined && fee > this.maxFee ? this.maxFee : fee;
+  }
+
+  /**
+   * Reserves the next nonce (the node's pending count, or ours if it is ahead)
+   *
+   * Ours only stays ahead while one of our transactions may still fill the
+   * gap; otherwise a lower pending count means those nonces were never used
+   * (dropped from the mempool, or cancelled) and we go back to the node's.
+   *
+   * @returns {Promise<number>} Nonce
+   */
+  async #reserveNonce() {
+    const pending = await this.signer.getNonce('pending');
+    let nonce = Math.max(pending, this.nextNonce ?? 0);
+    if (nonce > pending && ![...this.heldNonces].some((held) => held >= pending)) {
+      this.log(`   ↺ ${this.name} node expects nonce ${pending}, not ${nonce} — resyncing`);
+      nonce = pending;
+    }
+    this.nextNonce = nonce + 1;
+    this.heldNonces.add(nonce);
+    return nonce;
+  }
+
+  /**
+   * Sends a contract call under this chain's policy
+   *
+   * @param {ethers.Contract} contract - Contract to call
+   * @param {string} method - Function name
+   * @param {Array} params - Arguments (a trailing overrides object is allowed, e.g. { value })
+   * @returns {Promise<ManagedTransaction>} Sent transaction
+   */
+  async send(contract, method, params) {
+    const request = await contract[method].populateTransaction(...params);
+    return this.sendTransaction(request);
+  }
+
+  /**
+   * Sends a transaction request under this chain's policy
+   *
+   * @param {Object} request - { to, data, value, gasLimit? }
+   * @param {number} [nonce] - Nonce to use (default: the next free one)
+   * @returns {Promise<ManagedTransaction>} Sent transaction
+   */
+  async sendTransaction(request, nonce) {
+    const reserved = nonce === undefined;
+    const txNonce = reserved ? await this.#reserveNonce() : nonce;
+    try {
+      const populated = await this.signer.populateTransaction({ ...request, nonce: txNonce, ...await this.currentFees() });
+      const response = await this.signer.sendTransaction(populated);
+      return new ManagedTransaction(this, populated, response.hash);
+    } catch (error) {
+      // Nothing was broadcast: hand the nonce back so the next transaction doesn't leave a gap
+      if (reserved) {
+        this.heldNonces.delete(txNonce);
+        if (this.nextNonce === txNonce + 1) {
+          this.nextNonce = txNonce;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the pending transaction with `nonce` by a 0-value transfer to ourselves
+   *
+   * Starts from the current fees bumped once, and bumps again (up to the cap)
+   * while the node says the replacement is underpriced.
+   *
+   * @param {number} nonce - Nonce of the stuck transaction
+   * @returns {Promise<ManagedTransaction>} The cancel transaction
+   */
+  async cancel(nonce) {
+    const address = await this.signer.getAddress();
+    const [latest, pending] = await Promise.all([
+      this.provider.getTransactionCount(address, 'latest'),
+      this.provider.getTransactionCount(address, 'pending'),
+    ]);
+    if (nonce < latest) {
+      throw new Error(`Nonce ${nonce} is already mined on ${this.name} (next nonce is ${latest})`);
+    }
+    if (nonce >= pending) {
+      // A "cancel" of a free nonce would just be a self-transfer that uses it up
+      throw new Error(`No pending ${this.name} transaction with nonce ${nonce} (next free nonce is ${pending})`);
+    }
+
+    let fees = this.#bumped(await this.currentFees());
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const request = { to: address, value: 0n, data: '0x', gasLimit: TRANSFER_GAS, ...fees };
+        const populated = await this.signer.populateTransaction({ ...request, nonce });
+        const response = await this.signer.sendTransaction(populated);
+        return new ManagedTransaction(this, populated, response.hash);
+      } catch (error) {
+        const underpriced = /underpriced|fee too low/i.test(error.message);
+        const next = this.#bumped(fees);
+        if (!underpriced || attempt >= CANCEL_ATTEMPTS || !next) {
+          throw error;
+        }
+        this.log(`   ⏫ Cancel priced below the pending transaction — retrying at ${formatGwei(next.maxFeePerGas ?? next.gasPrice)}`);
+        fees = next;
+      }
+    }
+  }
+
+  /**
+   * Fees for a replacement, or null if the cap leaves no room for a valid bump
+   *
+   * @param {Object} fees - Fees of the transaction being replaced
+   * @param {Object} [floor] - Current network fees the replacement should at least match
+   * @returns {Object|null} Replacement fees
+   */
+  #bumped(fees, floor = {}) {
+    const max = (a, b) => (b !== undefined && b > a ? b : a);
+    if (fees.type !== 2) {
+      const gasPrice = max(bumpFee(fees.gasPrice, this.bumpPercent), floor.gasPrice);
+      const capped = this.#cap(gasPrice);
+      return capped >= bumpFee(fees.gasPrice, MIN_BUMP_PERCENT) ? { type: fees.type, gasPrice: capped } : null;
+    }
+
+    const maxPriorityFeePerGas = max(bumpFee(fees.maxPriorityFeePerGas, this.bumpPercent), floor.maxPriorityFeePerGas);
+    const maxFeePerGas = this.#cap(max(bumpFee(fees.maxFeePerGas, this.bumpPercent), floor.maxFeePerGas));
+    const tip = maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas;
+    if (maxFeePerGas < bumpFee(fees.maxFeePerGas, MIN_BUMP_PERCENT) || tip < bumpFee(fees.maxPriorityFeePerGas, MIN_BUMP_PERCENT)) {
+      return null;
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas: tip };
+  }
+
+  /**
+   * Replacement for a stuck transaction (same nonce and call, higher fees)
+   *
+   * @param {Object} tx - Populated transaction currently pending
+   * @returns {Promise<Object|null>} { tx, hash } of the replacement, or null if the fee cap is reached
+   */
+  async replace(tx) {
+    const fees = this.#bumped(tx, await this.currentFees());
+    if (!fees) {
+      return null;
+    }
+    const replacement = { ...tx, ...fees };
+    const response = await this.signer.sendTransaction(replacement);
+    return { tx: replacement, hash: response.hash };
+  }
+}
+
+/**
+ * A sent transaction and its replacements
+ *
+ * `hash` is the latest version sent, and after wait() the one that was mined.
+ */
+class ManagedTransaction {
+  constructor(manager, tx, hash) {
+    this.manager = manager;
+    this.tx = tx;
+    this.nonce = tx.nonce;
+    this.hash = hash;
+    this.hashes = [hash];
+  }
+
+  /**
+   * Waits until one version is mined with the required confirmations
+   *
+   * Replaces the transaction with bumped fees every `speedUpSeconds` while it
+   * is not mined. Throws if it reverted, or if its nonce was used by a
+   * transaction this manager didn't send.
+   *
+   * @returns {Promise<Object>} Receipt of the mined version
+   */
+  async wait() {
+    try {
+      return await this.#waitMined();
+    } finally {
+      // Mined, replaced or given up on: it no longer holds its nonce
+      this.manager.heldNonces.delete(this.nonce);
+    }
+  }
+
+  async #waitMined() {
+    const { manager } = this;
+    const from = await manager.signer.getAddress();
+    let lastSentAt = Date.now();
+
+    for (;;) {
+      const receipt = await this.#findReceipt();
+      if (receipt) {
+        const confirmed = await this.#waitForConfirmations(receipt);
+        if (!confirmed) {
+          continue; // Reorged out — look again
+        }
+        if (receipt.hash !== this.hash) {
+          manager.onReplaced(this.hash, receipt.hash);
+          this.hash = receipt.hash;
+        }
+        if (receipt.status !== 1) {
+          throw revertError(receipt);
+        }
+        return receipt;
+      }
+
+      // Our nonce is taken but none of our versions is mined: someone else replaced it
+      const latestNonce = await manager.provider.getTransactionCount(from, 'latest');
+      if (latestNonce > this.nonce && !await this.#findReceipt()) {
+        throw replacedError(`Nonce ${this.nonce} on ${manager.name} was used by another transaction — ${this.hash} was replaced or cancelled`);
+      }
+
+      if (manager.speedUpMs > 0 && Date.now() - lastSentAt >= manager.speedUpMs) {
+        await this.#speedUp();
+        lastSentAt = Date.now();
+      }
+      await sleep(manager.pollMs);
+    }
+  }
+
+  async #findReceipt() {
+    for (const hash of this.hashes) {
+      const receipt = await this.manager.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Waits for the receipt's block to be `confirmations` deep
+   *
+   * @returns {Promise<boolean>} false if the transaction disappeared meanwhile (reorg)
+   */
+  async #waitForConfirmations(receipt) {
+    const { manager } = this;
+    if (manager.confirmations <= 1) {
+      return true;
+    }
+    let announced = false;
+    for (;;) {
+      const depth = (await manager.provider.getBlockNumber()) - receipt.blockNumber + 1;
+      if (depth >= manager.confirmations) {
+        const current = await manager.provider.getTransactionReceipt(receipt.hash);
+        return Boolean(current && current.blockHash === receipt.blockHash);
+      }
+      if (!announced) {
+        manager.log(`   ⏳ Mined in block ${receipt.blockNumber}, waiting for ${manager.confirmations} confirmations...`);
+        announced = true;
+      }
+      await sleep(manager.pollMs);
+    }
+  }
+
+  async #speedUp() {
+    const { manager } = this;
+    const waited = Math.round(manager.speedUpMs / 1000);
+    let replacement;
+    try {
+      replacement = await manager.replace(this.tx);
+    } catch (error) {
+      // "nonce too low" / "already known": a version was mined or is in flight, the next poll sees it
+      manager.log(`   ⚠️  Could not replace ${this.hash}: ${error.shortMessage || error.message}`);
+      return;
+    }
+    if (!replacement) {
+      manager.log(`   ⏳ Not mined after ${waited}s and the ${manager.name} fee cap is reached — still waiting for ${this.hash}`);
+      return;
+    }
+
+    const fee = replacement.tx.maxFeePerGas ?? replacement.tx.gasPrice;
+    manager.log(`   ⏫ Not mined after ${waited}s — replaced with fees up to ${formatGwei(fee)}: ${replacement.hash}`);
+    manager.onReplaced(this.hash, replacement.hash);
+    this.tx = replacement.tx;
+    this.hash = replacement.hash;
+    this.hashes.push(replacement.hash);
+  }
+}
+
+module.exports = {
+  TxManager,
+  ManagedTransaction,
+  bumpFee,
+  formatGwei,
+};
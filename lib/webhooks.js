@@ -0,0 +1,144 @@
+/**
+ * Webhooks - POST a notification for every transfer stage transition
+ *
+ * `node bridge.js serve` sends one JSON body per transition to each URL in
+ * WEBHOOK_URLS:
+ *
+ *   {
+ *     "id": "6f1c…",                     // Same for every retry of this delivery
+ *     "event": "transfer.stage_changed",
+ *     "timestamp": "2026-10-19T12:00:00.000Z",
+ *     "network": "amoy",
+ *     "previousStage": "burned",         // null for a newly recorded transfer
+ *     "transfer": { "hash": "0x…", "type": "withdraw", "stage": "checkpointed", … }
+ *   }
+ *
+ * Any 2xx response counts as delivered. Anything else (or no answer within
+ * the timeout) is retried with exponential backoff (lib/backoff.js) until the
+ * attempts run out. With WEBHOOK_SECRET set, each request carries
+ * `X-Bridge-Signature: sha256=<hex HMAC of the body>` so receivers can check
+ * it came from this bridge.
+ *
+ * Deliveries still being retried are kept in memory only: they are lost if
+ * the daemon stops (the journal itself is not).
+ */
+
+const crypto = require('crypto');
+const { backoffDelay, sleep } = require('./backoff'); // Retry delays with jitter
+
+// ─── NOTIFIER ──────────────────────────────────────────────────────────────────
+
+class WebhookNotifier {
+  /**
+   * @param {Object} options
+   *   urls:      endpoints to POST to (none: notify() does nothing)
+   *   secret:    HMAC key for X-Bridge-Signature (optional)
+   *   attempts:  deliveries tried per URL before giving up (default 5)
+   *   timeoutMs: how long one request may take (default 10 s)
+   *   baseMs:    delay before the first retry, doubled per retry (default 5 s)
+   *   log:       progress output, called like console.log (default: silent)
+   */
+  constructor({ urls = [], secret, attempts = 5, timeoutMs = 10000, baseMs = 5000, log = () => {} } = {}) {
+    this.urls = urls;
+    this.secret = secret;
+    this.attempts = attempts;
+    this.timeoutMs = timeoutMs;
+    this.baseMs = baseMs;
+    this.log = log;
+    this.inFlight = new Set(); // Deliveries not finished yet (see flush())
+  }
+
+  /**
+   * Queues a notification to every URL; returns without waiting for delivery
+   *
+   * @param {Object} payload - Everything but `id` and `timestamp`, which are added here
+   * @returns {string} Delivery ID (the body's `id`)
+   */
+  notify(payload) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify(
+      { id, timestamp: new Date().toISOString(), ...payload },
+      (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+    );
+
+    for (const url of this.urls) {
+      const delivery = this.#deliver(url, id, body).finally(() => this.inFlight.delete(delivery));
+      this.inFlight.add(delivery);
+    }
+    return id;
+  }
+
+  /**
+   * Waits until every queued delivery has succeeded or given up
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.inFlight.size > 0) {
+      await Promise.all(this.inFlight);
+    }
+  }
+
+  /**
+   * POSTs one body to one URL, retrying until a 2xx or the last attempt
+   *
+   * @param {string} url - Webhook endpoint
+   * @param {string} id - Delivery ID
+   * @param {string} body - JSON body
+   * @returns {Promise<boolean>} Whether it was delivered
+   */
+  async #deliver(url, id, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Bridge-Delivery': id,
+    };
+    if (this.secret) {
+      headers['X-Bridge-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      let problem;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (response.ok) {
+          return true;
+        }
+        problem = `status ${response.status}`;
+      } catch (error) {
+        problem = error.cause?.message || error.message;
+      }
+
+      if (attempt >= this.attempts) {
+        this.log(`❌ Webhook ${url} failed ${attempt} time(s) (${problem}) — giving up on delivery ${id}`);
+        return false;
+      }
+      const waitMs = backoffDelay(attempt - 1, { baseMs: this.baseMs });
+      this.log(`⚠️  Webhook ${url} failed (${problem}) — retry ${attempt}/${this.attempts - 1} in ${Math.round(waitMs / 1000)}s`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/**
+ * Verifies an X-Bridge-Signature header against the raw body (for receivers)
+ *
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string} signature - X-Bridge-Signature header value
+ * @param {string} secret - Shared WEBHOOK_SECRET
+ * @returns {boolean} Whether the body was signed with `secret`
+ */
+function verifySignature(body, signature, secret) {
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  WebhookNotifier,
+  verifySignature,
+};
@@ -0,0 +1,35 @@
+/**
+ * Retry delays (lib/backoff.js)
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffDelay, sleep } = require('../lib/backoff');
+
+test('backoffDelay: doubles per attempt with up to half of each delay random', () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const ceiling = 1000 * 2 ** attempt;
+    for (let i = 0; i < 50; i++) {
+      const delay = backoffDelay(attempt, { baseMs: 1000, maxMs: 60000 });
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+    }
+  }
+});
+
+test('backoffDelay: never exceeds the cap', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.ok(backoffDelay(30, { baseMs: 1000, maxMs: 60000 }) <= 60000);
+  }
+});
+
+test('sleep: an abort signal ends the wait early', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  const wait = sleep(60000, controller.signal);
+  controller.abort();
+  await wait;
+  await sleep(60000, controller.signal); // Already aborted: returns at once
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,90 @@
+/**
+ * Compiles the plasma mock contracts for the local two-chain tests
+ *
+ * Compiles test/contracts/PlasmaMocks.sol with solc and caches the ABI and
+ * deployment bytecode of every contract in it in test/contracts/PlasmaMocks.json
+ * (git-ignored). test/localchain.js calls loadMocks(), which reuses the cache
+ * while it matches the source, compiler and EVM target and recompiles
+ * otherwise, so editing the .sol file needs no extra step.
+ *
+ * Usage: const { contracts } = loadMocks();
+ *        node test/compile-mocks.js (or npm run compile-mocks) to force a rebuild
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const SOURCE_FILE = path.join(__dirname, 'contracts', 'PlasmaMocks.sol');
+const OUTPUT_FILE = path.join(__dirname, 'contracts', 'PlasmaMocks.json');
+
+// ganache 7 implements up to Shanghai; newer targets emit opcodes it rejects
+const EVM_VERSION = 'shanghai';
+
+/**
+ * Compile PlasmaMocks.sol
+ * @param {string} source - Solidity source
+ * @returns {Object} { [name]: { abi, bytecode } }
+ */
+function compile(source) {
+  const input = {
+    language: 'Solidity',
+    sources: { 'PlasmaMocks.sol': { content: source } },
+    settings: {
+      evmVersion: EVM_VERSION,
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} compiler error(s) in ${path.basename(SOURCE_FILE)}:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+  }
+
+  const contracts = {};
+  for (const [name, contract] of Object.entries(output.contracts['PlasmaMocks.sol'])) {
+    contracts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  }
+  return contracts;
+}
+
+/**
+ * Load the compiled mocks, compiling them when the cache is missing or stale
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Recompile even if the cache is current
+ * @returns {{ compiler: string, evmVersion: string, sourceHash: string, contracts: Object, cached: boolean }}
+ */
+function loadMocks({ force = false } = {}) {
+  const source = fs.readFileSync(SOURCE_FILE, 'utf8');
+  const sourceHash = crypto.createHash('sha256').update(source).digest('hex');
+
+  if (!force && fs.existsSync(OUTPUT_FILE)) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'));
+      if (cached.sourceHash === sourceHash && cached.compiler === solc.version() && cached.evmVersion === EVM_VERSION) {
+        return { ...cached, cached: true };
+      }
+    } catch {
+      // Unreadable cache: rebuild it below
+    }
+  }
+
+  const artifacts = { compiler: solc.version(), evmVersion: EVM_VERSION, sourceHash, contracts: compile(source) };
+  fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(artifacts, null, 2)}\n`);
+  return { ...artifacts, cached: false };
+}
+
+module.exports = { loadMocks, SOURCE_FILE, OUTPUT_FILE };
+
+if (require.main === module) {
+  try {
+    const { contracts, compiler } = loadMocks({ force: true });
+    console.log(`✅ ${Object.keys(contracts).length} contracts compiled with solc ${compiler} → ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
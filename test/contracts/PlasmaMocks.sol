@@ -0,0 +1,370 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * Plasma bridge stand-ins for the local two-chain tests (test/localchain.js)
+ *
+ * Just enough of the real contracts for lib/polbridge.js to run every flow
+ * offline: the functions, events and revert strings it relies on are the
+ * real ones, the internals are not. Exit payloads in particular are not
+ * Merkle proofs but
+ *
+ *   abi.encode(bytes32 burnTxHash, uint256 childBlock, uint256 logIndex,
+ *              address rootToken, address from, uint256 amount)
+ *
+ * as served by the fake proof API in test/localchain.js.
+ *
+ * Compile with: npm run compile-mocks (writes PlasmaMocks.json next to this file)
+ */
+
+// ─── ROOT CHAIN ───────────────────────────────────────────────────────────────
+
+/// Mintable ERC-20 (root POL)
+contract MockERC20 {
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function mint(address to, uint256 amount) external {
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        require(allowed >= amount, "ERC20: insufficient allowance");
+        if (allowed != type(uint256).max) {
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(balanceOf[from] >= amount, "ERC20: transfer amount exceeds balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
+
+/// Checkpoints of the child chain; header block IDs count up in steps of 10000 like the real one
+contract MockRootChain {
+    struct HeaderBlock {
+        bytes32 root;
+        uint256 start;
+        uint256 end;
+        uint256 createdAt;
+        address proposer;
+    }
+
+    uint256 public constant MAX_DEPOSITS = 10000;
+    mapping(uint256 => HeaderBlock) public headerBlocks;
+    uint256 private nextHeaderBlock = MAX_DEPOSITS;
+
+    event NewHeaderBlock(
+        address indexed proposer,
+        uint256 indexed headerBlockId,
+        uint256 indexed reward,
+        uint256 start,
+        uint256 end,
+        bytes32 root
+    );
+
+    function currentHeaderBlock() public view returns (uint256) {
+        return nextHeaderBlock - MAX_DEPOSITS;
+    }
+
+    function getLastChildBlock() external view returns (uint256) {
+        return headerBlocks[currentHeaderBlock()].end;
+    }
+
+    /// Stands in for the validators: covers child blocks up to `end`
+    function submitCheckpoint(bytes32 root, uint256 end) external {
+        uint256 start = currentHeaderBlock() == 0 ? 0 : headerBlocks[currentHeaderBlock()].end + 1;
+        require(end >= start, "INVALID_END");
+        headerBlocks[nextHeaderBlock] = HeaderBlock(root, start, end, block.timestamp, msg.sender);
+        emit NewHeaderBlock(msg.sender, nextHeaderBlock, 0, start, end, root);
+        nextHeaderBlock += MAX_DEPOSITS;
+    }
+}
+
+/// Emits the state syncs the child chain applies (deposits)
+contract MockStateSender {
+    uint256 public counter;
+
+    event StateSynced(uint256 indexed id, address indexed contractAddress, bytes data);
+
+    function syncState(address receiver, bytes calldata data) external {
+        counter++;
+        emit StateSynced(counter, receiver, data);
+    }
+}
+
+/// Contract addresses, token mappings and predicates, like the plasma Registry
+contract MockRegistry {
+    enum Type { Invalid, ERC20, ERC721, Custom }
+
+    address private depositManager;
+    address private withdrawManager;
+    address public erc721Predicate;
+    mapping(address => address) public rootToChildToken;
+    mapping(address => address) public childToRootToken;
+    mapping(address => bool) public isERC721;
+    mapping(address => Type) public predicates;
+
+    function getDepositManagerAddress() external view returns (address) {
+        return depositManager;
+    }
+
+    function getWithdrawManagerAddress() external view returns (address) {
+        return withdrawManager;
+    }
+
+    function setManagers(address _depositManager, address _withdrawManager) external {
+        depositManager = _depositManager;
+        withdrawManager = _withdrawManager;
+    }
+
+    function mapToken(address rootToken, address childToken, bool nft) external {
+        rootToChildToken[rootToken] = childToken;
+        childToRootToken[childToken] = rootToken;
+        isERC721[rootToken] = nft;
+    }
+
+    function addPredicate(address predicate, Type predicateType) external {
+        predicates[predicate] = predicateType;
+        if (predicateType == Type.ERC721) {
+            erc721Predicate = predicate;
+        }
+    }
+}
+
+/// Locks deposited tokens and sends a state sync per deposit; releases them for exits
+contract MockDepositManager {
+    address public immutable rootChain;
+    MockRegistry public immutable registry;
+    MockStateSender public immutable stateSender;
+    uint256 public maxErc20Deposit;
+    bool public locked;
+    uint256 private depositCount;
+
+    // The child chain's state receiver (a Bor system contract)
+    address private constant STATE_RECEIVER = 0x0000000000000000000000000000000000001001;
+
+    event NewDepositBlock(address indexed owner, address indexed token, uint256 amountOrNFTId, uint256 depositBlockId);
+
+    constructor(address _rootChain, MockRegistry _registry, MockStateSender _stateSender, uint256 _maxErc20Deposit) {
+        rootChain = _rootChain;
+        registry = _registry;
+        stateSender = _stateSender;
+        maxErc20Deposit = _maxErc20Deposit;
+    }
+
+    function lock() external {
+        locked = true;
+    }
+
+    function unlock() external {
+        locked = false;
+    }
+
+    function depositERC20ForUser(address token, address user, uint256 amount) external {
+        require(!locked, "Is Locked");
+        require(amount <= maxErc20Deposit, "exceed maximum deposit amount");
+        require(registry.rootToChildToken(token) != address(0), "TOKEN_NOT_SUPPORTED");
+        require(MockERC20(token).transferFrom(msg.sender, address(this), amount), "TOKEN_TRANSFER_FAILED");
+
+        depositCount++;
+        emit NewDepositBlock(user, token, amount, depositCount);
+        stateSender.syncState(STATE_RECEIVER, abi.encode(user, token, amount, depositCount));
+    }
+
+    function transferAssets(address token, address user, uint256 amount) external {
+        require(msg.sender == registry.getWithdrawManagerAddress(), "UNAUTHORIZED_WITHDRAW_MANAGER_ONLY");
+        require(MockERC20(token).transfer(user, amount), "TRANSFER_FAILED");
+    }
+}
+
+/// One token's exits, earliest exitableAt first (a plain array; the real one is a heap)
+contract MockExitQueue {
+    address public immutable owner;
+    uint256[] private entries; // exitableAt << 128 | low 128 bits of the exit ID
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function currentSize() external view returns (uint256) {
+        return entries.length;
+    }
+
+    function getMin() public view returns (uint256, uint256) {
+        uint256 min = entries[_minIndex()];
+        return (min >> 128, uint256(uint128(min)));
+    }
+
+    function insert(uint256 exitableAt, uint256 value) external {
+        require(msg.sender == owner, "ONLY_OWNER");
+        entries.push((exitableAt << 128) | uint256(uint128(value)));
+    }
+
+    function delMin() external returns (uint256 exitableAt, uint256 value) {
+        require(msg.sender == owner, "ONLY_OWNER");
+        (exitableAt, value) = getMin();
+        uint256 index = _minIndex();
+        entries[index] = entries[entries.length - 1];
+        entries.pop();
+    }
+
+    function _minIndex() internal view returns (uint256 index) {
+        for (uint256 i = 1; i < entries.length; i++) {
+            if (entries[i] < entries[index]) {
+                index = i;
+            }
+        }
+    }
+}
+
+/// Exit queues per token; processExits releases every exit past its challenge period
+contract MockWithdrawManager {
+    struct PlasmaExit {
+        uint256 receiptAmountOrNFTId;
+        bytes32 txHash;
+        address owner;
+        address token;
+        bool isRegularExit;
+        address predicate;
+    }
+
+    MockRegistry public immutable registry;
+    address public immutable rootChain;
+    uint256 public immutable exitPeriod; // Challenge period in seconds
+    mapping(uint256 => PlasmaExit) public exits;
+    mapping(address => address) public exitsQueues;
+    mapping(uint256 => bool) private knownExits; // By the exit ID's low 128 bits (the burn's position)
+
+    event ExitStarted(address indexed exitor, uint256 indexed exitId, address indexed token, uint256 amount, bool isRegularExit);
+    event Withdraw(uint256 indexed exitId, address indexed user, address indexed token, uint256 amount);
+
+    constructor(MockRegistry _registry, address _rootChain, uint256 _exitPeriod) {
+        registry = _registry;
+        rootChain = _rootChain;
+        exitPeriod = _exitPeriod;
+    }
+
+    function createExitQueue(address token) external {
+        require(exitsQueues[token] == address(0), "EXIT_QUEUE_EXISTS");
+        exitsQueues[token] = address(new MockExitQueue());
+    }
+
+    /// Called by a predicate; the exit ID packs exitableAt above the burn's position
+    function addExitToQueue(address exitor, address token, uint256 amount, bytes32 txHash, uint256 position) external {
+        require(registry.predicates(msg.sender) != MockRegistry.Type.Invalid, "PREDICATE_NOT_AUTHORIZED");
+        require(exitsQueues[token] != address(0), "EXIT_QUEUE_NOT_FOUND");
+        require(!knownExits[position], "KNOWN_EXIT");
+        knownExits[position] = true;
+
+        uint256 exitableAt = block.timestamp + exitPeriod;
+        uint256 exitId = (exitableAt << 128) | position;
+        exits[exitId] = PlasmaExit(amount, txHash, exitor, token, true, msg.sender);
+        MockExitQueue(exitsQueues[token]).insert(exitableAt, position);
+        emit ExitStarted(exitor, exitId, token, amount, true);
+    }
+
+    function processExits(address token) external {
+        MockExitQueue queue = MockExitQueue(exitsQueues[token]);
+        require(address(queue) != address(0), "EXIT_QUEUE_NOT_FOUND");
+
+        while (queue.currentSize() > 0) {
+            (uint256 exitableAt, uint256 position) = queue.getMin();
+            if (exitableAt > block.timestamp) {
+                return;
+            }
+            queue.delMin();
+
+            uint256 exitId = (exitableAt << 128) | position;
+            PlasmaExit memory exit = exits[exitId];
+            emit Withdraw(exitId, exit.owner, token, exit.receiptAmountOrNFTId);
+            MockDepositManager(registry.getDepositManagerAddress()).transferAssets(token, exit.owner, exit.receiptAmountOrNFTId);
+        }
+    }
+}
+
+/// Starts ERC-20 exits from the fake exit payloads
+contract MockERC20Predicate {
+    MockWithdrawManager public immutable withdrawManager;
+
+    constructor(MockWithdrawManager _withdrawManager) {
+        withdrawManager = _withdrawManager;
+    }
+
+    function startExitWithBurntTokens(bytes calldata data) external {
+        (bytes32 burnTxHash, uint256 childBlock, uint256 logIndex, address rootToken, address from, uint256 amount) =
+            abi.decode(data, (bytes32, uint256, uint256, address, address, uint256));
+        require(from == msg.sender, "Withdrawer and burn exit tx do not match");
+        withdrawManager.addExitToQueue(msg.sender, rootToken, amount, burnTxHash, (childBlock << 33) | (logIndex << 1));
+    }
+}
+
+// ─── CHILD CHAIN ──────────────────────────────────────────────────────────────
+// Deployed anywhere, then their code is copied to the system addresses
+
+/// Native POL (0x…1010): balances are native balances, withdraw burns msg.value
+contract MockNativePOL {
+    address public immutable token; // Root POL
+
+    event Withdraw(address indexed token, address indexed from, uint256 amount, uint256 input1, uint256 output1);
+
+    constructor(address rootToken) {
+        token = rootToken;
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        return account.balance;
+    }
+
+    function withdraw(uint256 amount) external payable {
+        require(amount == msg.value, "Insufficient amount");
+        uint256 input = msg.sender.balance + amount; // Balance before the burn
+        emit Withdraw(token, msg.sender, amount, input, input - amount);
+    }
+}
+
+/// State receiver (0x…1001): applies state syncs in order, crediting native POL
+contract MockStateReceiver {
+    uint256 public lastStateId;
+
+    event StateCommitted(uint256 indexed stateId, bool success);
+
+    /// Stands in for the validators: credits msg.value to `user` as state sync `stateId`
+    function commitState(uint256 stateId, address user) external payable {
+        require(stateId == lastStateId + 1, "StateIds are not sequential");
+        lastStateId = stateId;
+        (bool success, ) = user.call{value: msg.value}("");
+        emit StateCommitted(stateId, success);
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * serve: worker queue and REST API (lib/daemon.js)
+ *
+ * The daemon only talks to the chains through its PolBridge, so a stand-in
+ * bridge that writes to a temporary journal is enough here.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal, STAGES } = require('../lib/journal');
+const { BridgeDaemon, createApiServer } = require('../lib/daemon');
+
+
+/**
+ * Bridge stand-in: deposits and burns are journaled, burns are checkpointed and exited at once
+ *
+ * @param {Object} journal - Journal from createJournal()
+ * @returns {Object} Bridge with a `calls` log of method names
+ */
+function fakeBridge(journal) {
+  let count = 0;
+  const calls = [];
+  return {
+    calls,
+    journal,
+    address: '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1',
+    network: { name: 'test', polRoot: '0xpol' },
+    async deposit({ amount, track }) {
+      calls.push(`deposit ${amount} track=${track}`);
+      if (amount === '999') {
+        throw Object.assign(new Error('Pre-flight checks failed'), { problems: ['POL balance too low'] });
+      }
+      const hash = `0x${String(++count).padStart(64, '0')}`;
+      journal.recordTransfer({ type: 'deposit', hash, stage: STAGES.DEPOSIT_SENT, token: '0xpol' });
+      journal.advanceStage(hash, STAGES.DEPOSIT_CONFIRMED);
+      return { hash };
+    },
+    async withdraw({ amount, complete }) {
+      calls.push(`withdraw ${amount} complete=${complete}`);
+      const hash = `0x${String(++count).padStart(64, '0')}`;
+      journal.recordTransfer({ type: 'withdraw', hash, stage: STAGES.BURNED, token: '0xpol' });
+      return { hash };
+    },
+    async trackDeposit(hash) {
+      calls.push('trackDeposit');
+      journal.advanceStage(hash, STAGES.DEPOSIT_CREDITED);
+    },
+    async getBurnToken() {
+      return { address: '0xpol' };
+    },
+    async waitForCheckpoint(hash) {
+      calls.push('waitForCheckpoint');
+      journal.advanceStage(hash, STAGES.CHECKPOINTED);
+      return { result: '0x' };
+    },
+    async processExit(proofData, hash) {
+      calls.push('processExit');
+      journal.advanceStage(hash, STAGES.EXIT_STARTED);
+      return { released: false };
+    },
+    async finalize({ token }) {
+      calls.push(`finalize ${token}`);
+    },
+  };
+}
+
+/**
+ * Polls until `condition()` is true (or fails the test after a second)
+ *
+ * @param {Function} condition - () => boolean
+ */
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'condition not reached in time');
+}
+
+/**
+ * Runs `body` with a fresh journal, a started daemon and a webhook stand-in
+ *
+ * @param {Function} body - async ({ daemon, bridge, notified }) => void
+ */
+async function withDaemon(body) {
+  const file = path.join(os.tmpdir(), `daemon-test-journal-${process.pid}.json`);
+  fs.rmSync(file, { force: true });
+  const notified = [];
+  const bridge = fakeBridge(createJournal(file));
+  const daemon = new BridgeDaemon(bridge, { notifier: { notify: (payload) => notified.push(payload) } });
+  daemon.start();
+  try {
+    await body({ daemon, bridge, notified });
+  } finally {
+    await daemon.stop();
+    fs.rmSync(file, { force: true });
+  }
+}
+
+test('a withdrawal runs through checkpoint and exit, notifying each stage', () => withDaemon(async ({ daemon, bridge, notified }) => {
+  const job = daemon.submit({ type: 'withdraw', amount: '2.5' });
+  assert.equal(job.stage, 'queued');
+
+  await until(() => daemon.getTransfer(job.jobId)?.stage === STAGES.EXIT_STARTED);
+  assert.deepEqual(bridge.calls, ['withdraw 2.5 complete=false', 'waitForCheckpoint', 'processExit']);
+
+  const transfer = daemon.getTransfer(job.jobId);
+  assert.equal(transfer.jobId, job.jobId);
+  assert.deepEqual(daemon.getTransfer(transfer.hash), transfer);
+  assert.deepEqual(
+    notified.map((payload) => [payload.event, payload.previousStage, payload.transfer.stage]),
+    [
+      ['transfer.stage_changed', null, STAGES.BURNED],
+      ['transfer.stage_changed', STAGES.BURNED, STAGES.CHECKPOINTED],
+      ['transfer.stage_changed', STAGES.CHECKPOINTED, STAGES.EXIT_STARTED],
+    ]
+  );
+  assert.equal(notified[0].transfer.jobId, job.jobId);
+}));
+
+test('deposits are tracked until credited; failures keep their problems', () => withDaemon(async ({ daemon, notified }) => {
+  const ok = daemon.submit({ type: 'deposit', amount: '1', to: 'alice.eth' });
+  const failed = daemon.submit({ type: 'deposit', amount: '999' });
+
+  await until(() => daemon.getTransfer(failed.jobId).stage === 'failed');
+  await until(() => daemon.getTransfer(ok.jobId).stage === STAGES.DEPOSIT_CREDITED);
+
+  const failure = daemon.getTransfer(failed.jobId);
+  assert.equal(failure.error, 'Pre-flight checks failed');
+  assert.deepEqual(failure.problems, ['POL balance too low']);
+  assert.equal(notified.at(-1).event, 'job.failed');
+
+  assert.deepEqual(daemon.listTransfers({ stage: 'failed' }).map((transfer) => transfer.jobId), [failed.jobId]);
+  assert.equal(daemon.listTransfers({ type: 'deposit' }).length, 2);
+}));
+
+test('stop cancels the watches: waits are abandoned, retry pauses cut short, no exit sent', () => withDaemon(async ({ daemon, bridge }) => {
+  let checkpoint;
+  bridge.waitForCheckpoint = (hash) => {
+    bridge.calls.push('waitForCheckpoint');
+    return new Promise((resolve) => {
+      checkpoint = () => {
+        bridge.journal.advanceStage(hash, STAGES.CHECKPOINTED);
+        resolve({ result: '0x' });
+      };
+    });
+  };
+  bridge.trackDeposit = async () => {
+    bridge.calls.push('trackDeposit');
+    throw new Error('RPC down'); // Retried after the default 15 minutes
+  };
+  daemon.submit({ type: 'withdraw', amount: '1' });
+  daemon.submit({ type: 'deposit', amount: '1' });
+  await until(() => bridge.calls.includes('waitForCheckpoint') && bridge.calls.includes('trackDeposit'));
+  assert.equal(daemon.status().watching, 2);
+
+  await daemon.stop();
+  assert.equal(daemon.status().watching, 0);
+
+  // The abandoned wait finishing later doesn't queue the exit
+  checkpoint();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.ok(!bridge.calls.includes('processExit'));
+}));
+
+test('invalid submissions are rejected with a 400', () => withDaemon(async ({ daemon }) => {
+  assert.throws(() => daemon.submit({ type: 'bridge', amount: '1' }), { status: 400, message: /type must be/ });
+  assert.throws(() => daemon.submit({ type: 'deposit', amount: '-1' }), { status: 400, message: /amount must be/ });
+  assert.throws(() => daemon.submit({ type: 'withdraw', amount: '1', to: '0xabc' }), { status: 400, message: /to is only for deposits/ });
+}));
+
+test('REST API: submit, list, get, auth and errors', () => withDaemon(async ({ daemon }) => {
+  const server = createApiServer(daemon, { token: 'secret' });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const auth = { Authorization: 'Bearer secret' };
+  try {
+    assert.equal((await fetch(`${base}/transfers`)).status, 401);
+    for (const authorization of ['Bearer secreT', 'Bearer secret2', 'secret']) {
+      assert.equal((await fetch(`${base}/transfers`, { headers: { Authorization: authorization } })).status, 401);
+    }
+
+    const submitted = await fetch(`${base}/transfers`, {
+      method: 'POST',
+      headers: auth,
+      body: JSON.stringify({ type: 'withdraw', amount: '3' }),
+    });
+    assert.equal(submitted.status, 202);
+    const job = await submitted.json();
+    assert.equal(submitted.headers.get('location'), `/transfers/${job.jobId}`);
+
+    await until(() => daemon.getTransfer(job.jobId)?.stage === STAGES.EXIT_STARTED);
+    const transfer = await (await fetch(`${base}/transfers/${job.jobId}`, { headers: auth })).json();
+    assert.equal(transfer.stage, STAGES.EXIT_STARTED);
+
+    const listed = await (await fetch(`${base}/transfers?stage=${STAGES.EXIT_STARTED}`, { headers: auth })).json();
+    assert.deepEqual(listed.transfers.map((item) => item.hash), [transfer.hash]);
+
+    const badJson = await fetch(`${base}/transfers`, { method: 'POST', headers: auth, body: '{' });
+    assert.equal(badJson.status, 400);
+    assert.equal((await fetch(`${base}/transfers/nope`, { headers: auth })).status, 404);
+    assert.equal((await fetch(`${base}/transfers/${job.jobId}`, { method: 'DELETE', headers: auth })).status, 405);
+
+    const health = await (await fetch(`${base}/health`, { headers: auth })).json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.network, 'test');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}));
@@ -0,0 +1,95 @@
+/**
+ * Revert decoding and known plasma errors (lib/diagnostics.js)
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { decodeRevert, diagnose, diagnosedError, explain, isRevert } = require('../lib/diagnostics');
+const { categorize } = require('../lib/errors');
+
+const errorString = (reason) => new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', [reason]);
+
+test('revert data is found wherever the node put it', () => {
+  const data = errorString('exceed maximum deposit amount');
+
+  // ethers' own error data (geth-style nodes)
+  const fromEthers = ethers.makeError('execution reverted (unknown custom error)', 'CALL_EXCEPTION', { data });
+  assert.equal(decodeRevert(fromEthers).reason, 'exceed maximum deposit amount');
+
+  // ganache: { data: { result } } in the JSON-RPC error, which ethers can't read
+  const fromGanache = ethers.makeError('missing revert data', 'CALL_EXCEPTION', {
+    data: null,
+    info: { error: { code: -32000, message: 'VM Exception while processing transaction: revert exceed maximum deposit amount', data: { result: data } } },
+  });
+  assert.equal(decodeRevert(fromGanache).reason, 'exceed maximum deposit amount');
+
+  // Wrapped by the tool: found through `cause`
+  assert.equal(decodeRevert(new Error('Burn transaction failed', { cause: fromEthers })).reason, 'exceed maximum deposit amount');
+});
+
+test('custom errors and panics are decoded against the bridge ABIs', () => {
+  const tokenErrors = new ethers.Interface(['error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)']);
+  const spender = ethers.getAddress('0x44ad17990f9128c6d823ee10db7f0a5d40a731a4');
+  const custom = ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+    data: tokenErrors.encodeErrorResult('ERC20InsufficientAllowance', [spender, 0n, 5n]),
+  });
+  const decoded = decodeRevert(custom);
+  assert.equal(decoded.name, 'ERC20InsufficientAllowance');
+  assert.equal(decoded.reason, `ERC20InsufficientAllowance(${spender}, 0, 5)`);
+  assert.equal(diagnose(custom).code, 'insufficient_allowance');
+
+  const panic = ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+    data: new ethers.Interface(['error Panic(uint256 code)']).encodeErrorResult('Panic', [0x11]),
+  });
+  assert.equal(decodeRevert(panic).reason, 'Panic(0x11): arithmetic overflow or underflow');
+});
+
+test('without revert data the node message is used, minus its prefix', () => {
+  const rpcError = Object.assign(new Error('could not coalesce error'), {
+    error: { code: 3, message: 'execution reverted: Is Locked' },
+  });
+  assert.equal(decodeRevert(rpcError).reason, 'Is Locked');
+  assert.equal(decodeRevert(new Error('nonce too low')).reason, 'nonce too low');
+  assert.equal(isRevert(rpcError), true);
+  assert.equal(isRevert(new Error('nonce too low')), false);
+});
+
+test('known plasma errors get an explanation, a next step and a category', () => {
+  const revert = (reason) => ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: errorString(reason) });
+
+  const knownExit = diagnose(revert('KNOWN_EXIT'));
+  assert.equal(knownExit.code, 'known_exit');
+  assert.match(knownExit.next, /finalize/);
+  assert.equal(diagnose(revert('INVALID_RECEIPT_MERKLE_PROOF')).code, 'invalid_proof');
+  assert.equal(diagnose(revert('Withdrawer and burn exit tx do not match')).code, 'wrong_exitor');
+  assert.equal(diagnose(revert('Insufficient amount')).code, 'wrong_msg_value');
+  assert.equal(diagnose(revert('Is Locked')).category, 'not_ready');
+  assert.equal(diagnose(revert('ERC20: transfer amount exceeds balance')).category, 'insufficient_balance');
+  assert.deepEqual(diagnose(revert('something else')), { reason: 'something else' });
+
+  assert.equal(explain('exit_not_mature').category, 'not_ready');
+  assert.equal(explain('no_such_code'), undefined);
+});
+
+test('diagnosedError explains reverts and leaves other errors as they were', () => {
+  const overMax = ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: errorString('exceed maximum deposit amount') });
+  const error = diagnosedError('depositERC20ForUser failed', overMax);
+  assert.match(error.message, /^depositERC20ForUser failed: exceed maximum deposit amount — /);
+  assert.equal(error.diagnosis.code, 'deposit_over_max');
+  assert.equal(error.cause, overMax);
+  assert.equal(categorize(error), 'usage');
+
+  // Unknown reverts keep the ethers category (reverted) through `cause`
+  const unknown = diagnosedError('processExits failed', ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: errorString('nope') }));
+  assert.equal(unknown.message, 'processExits failed: nope');
+  assert.equal(categorize(unknown), 'reverted');
+
+  const funds = ethers.makeError('insufficient funds for intrinsic transaction cost', 'INSUFFICIENT_FUNDS', {});
+  const wrapped = diagnosedError('Burn transaction failed', funds);
+  assert.equal(wrapped.message, `Burn transaction failed: ${funds.message}`);
+  assert.equal(wrapped.diagnosis, undefined);
+  assert.equal(categorize(wrapped), 'insufficient_balance');
+});
@@ -0,0 +1,230 @@
+/**
+ * End-to-end bridge flows on two local chains (test/localchain.js)
+ *
+ * `doctor` on the deployed profile and on a miswired one, then a round trip
+ * through PolBridge against the plasma mocks: deposit, state
+ * sync relay and tracking, burn, `check` before and after the checkpoint,
+ * `exit` (and again, for the KNOWN_EXIT branch), and `finalize` before and
+ * after the challenge period. The tests share one pair of chains and run in
+ * order; each picks up where the previous one left off.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const ethers = require('ethers');
+const { STAGES } = require('../lib/journal');
+const { PolBridge, EVENTS } = require('../lib/polbridge');
+const { EXIT_CODES } = require('../lib/errors');
+const { startLocalChain, EXIT_PERIOD, USER_ROOT_POL } = require('./localchain');
+
+const TMP = path.join(os.tmpdir(), `e2e-test-${process.pid}`);
+const JOURNAL = path.join(TMP, 'bridge-journal.json');
+
+let chain;
+let bridge;
+const events = [];
+let burnHash;
+
+test.before(async () => {
+  fs.mkdirSync(TMP, { recursive: true });
+  chain = await startLocalChain();
+  bridge = new PolBridge({
+    network: chain.network,
+    signer: { privateKey: chain.privateKey },
+    journalFile: JOURNAL,
+    tokenRegistry: path.join(TMP, 'tokens.json'),
+    speedUpSeconds: 0,
+    checkpointDeadlineMinutes: 1,
+    checkpointPollSeconds: 1,
+  });
+  for (const event of EVENTS) {
+    bridge.on(event, (payload) => events.push([event, payload]));
+  }
+  await bridge.connect();
+});
+
+test.after(async () => {
+  await chain?.stop();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test('doctor: every check passes on the deployed profile', async () => {
+  const report = await bridge.doctor();
+  assert.deepEqual(report.checks.filter((check) => check.status !== 'ok'), []);
+  assert.equal(report.ok, true);
+  assert.ok(report.checks.some((check) => check.name === 'ERC20 predicate'));
+  assert.equal(chain.proofRequests.at(-1).status, 400); // Proof API reached with an unknown burn
+});
+
+test('doctor: a child address on the root side and a wrong predicate are caught', async () => {
+  const miswired = new PolBridge({
+    network: { ...chain.network, withdrawManager: chain.network.polChild, erc20Predicate: chain.network.withdrawManager },
+    journalFile: JOURNAL,
+  });
+  const report = await miswired.doctor();
+  const failed = Object.fromEntries(report.checks.filter((check) => check.status === 'fail').map((check) => [check.name, check]));
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(Object.keys(failed).sort(), ['ERC20 predicate', 'Registry WithdrawManager', 'withdrawManager']);
+  assert.match(failed.withdrawManager.detail, /is a contract on Child/);
+  assert.match(failed['ERC20 predicate'].detail, /not a registered predicate/);
+});
+
+test('deposit: locked on the root chain, credited once the state sync is relayed', async () => {
+  const childBalance = await chain.childProvider.getBalance(chain.address);
+
+  const deposit = await bridge.deposit({ amount: '5', track: false });
+  assert.equal(deposit.symbol, 'POL');
+  assert.equal(deposit.amount, ethers.parseEther('5'));
+  assert.ok(deposit.approveTx);
+  assert.equal(bridge.journal.getTransfer(deposit.hash).stage, STAGES.DEPOSIT_CONFIRMED);
+  assert.equal(await chain.contracts.pol.balanceOf(chain.network.depositManager), ethers.parseEther('5'));
+
+  assert.equal(await chain.relayDeposits(), 1);
+
+  // The first state sync read fails (RPC hiccup): retried, not given up on
+  const call = bridge.providerAmoy.call;
+  const lastStateIdSelector = ethers.id('lastStateId()').slice(0, 10);
+  let reads = 0;
+  bridge.providerAmoy.call = function (tx) {
+    if (tx.data?.startsWith(lastStateIdSelector) && reads++ === 0) {
+      return Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    }
+    return call.call(this, tx);
+  };
+  let credited;
+  try {
+    credited = await bridge.trackDeposit(deposit.hash);
+  } finally {
+    delete bridge.providerAmoy.call;
+  }
+  assert.equal(reads, 2);
+  assert.equal(credited.stateId, 1n);
+  assert.equal(credited.recipient, chain.address);
+  assert.equal(credited.balance, childBalance + ethers.parseEther('5'));
+  assert.ok(credited.creditTx);
+  assert.equal(bridge.journal.getTransfer(deposit.hash).stage, STAGES.DEPOSIT_CREDITED);
+});
+
+test('withdraw: native POL burns with msg.value; the proof API answers 400 until checkpointed', async () => {
+  const burn = await bridge.withdraw({ amount: '2', complete: false });
+  burnHash = burn.hash;
+  assert.equal(burn.amount, ethers.parseEther('2'));
+  assert.equal(burn.exit, undefined);
+  assert.equal(bridge.journal.getTransfer(burnHash).stage, STAGES.BURNED);
+
+  const status = await bridge.checkStatus(burnHash);
+  assert.equal(status.checkpointed, false);
+  assert.equal(status.proofAvailable, false);
+  assert.ok(status.blocksToGo > 0);
+
+  assert.equal(await bridge.fetchProof(burnHash), null);
+  assert.deepEqual(chain.proofRequests.at(-1), { hash: burnHash, status: 400 });
+
+  const dryRun = await bridge.exit(burnHash, { dryRun: true });
+  assert.deepEqual(dryRun, { dryRun: true, checkpointed: false, simulations: [] });
+});
+
+test('CLI check --json: exits with the not_ready code before the checkpoint', async () => {
+  const networkFile = path.join(TMP, 'network.json');
+  fs.writeFileSync(networkFile, JSON.stringify(chain.network));
+
+  const run = await promisify(execFile)(
+    process.execPath,
+    [path.join(__dirname, '..', 'bridge.js'), 'check', burnHash, '--network', 'custom', '--signer', 'key', '--json'],
+    {
+      env: { ...process.env, NETWORK_CONFIG: networkFile, PRIVATE_KEY: chain.privateKey, BRIDGE_JOURNAL: JOURNAL },
+      timeout: 30000,
+    }
+  ).catch((error) => error); // Non-zero exit codes reject
+  assert.equal(run.code, EXIT_CODES.not_ready);
+  const result = JSON.parse(run.stdout.trim().split('\n').at(-1));
+  assert.equal(result.step, 'result');
+  assert.equal(result.category, 'not_ready');
+  assert.equal(result.result.checkpointed, false);
+});
+
+test('check: proof available once a checkpoint covers the burn', async () => {
+  await chain.checkpoint();
+
+  const status = await bridge.checkStatus(burnHash);
+  assert.equal(status.checkpointed, true);
+  assert.equal(status.proofAvailable, true);
+  assert.equal(chain.proofRequests.at(-1).status, 200);
+  assert.equal(bridge.journal.getTransfer(burnHash).stage, STAGES.CHECKPOINTED);
+});
+
+test('exit: starts the exit, which waits out its challenge period', async () => {
+  const { timestamp: now } = await chain.rootProvider.getBlock('latest');
+
+  const exit = await bridge.exit(burnHash);
+  assert.equal(exit.released, false);
+  assert.ok(exit.startExitTx);
+  assert.ok(exit.exitableAt >= now + EXIT_PERIOD);
+
+  const record = bridge.journal.getTransfer(burnHash);
+  assert.equal(record.stage, STAGES.EXIT_STARTED);
+  assert.equal(record.startExitTx, exit.startExitTx);
+});
+
+test('exit again: KNOWN_EXIT is recognised and the exit is left to mature', async () => {
+  const dryRun = await bridge.exit(burnHash, { dryRun: true });
+  assert.equal(dryRun.simulations[0].ok, false);
+  assert.match(dryRun.simulations[0].reason, /KNOWN_EXIT/);
+  assert.equal(dryRun.simulations[0].diagnosis.code, 'known_exit');
+
+  const exit = await bridge.exit(burnHash);
+  assert.equal(exit.released, false);
+  assert.equal(exit.startExitTx, undefined);
+  assert.equal(bridge.journal.getTransfer(burnHash).stage, STAGES.EXIT_STARTED);
+});
+
+test('finalize: nothing released during the challenge period, then the tokens', async () => {
+  const early = await bridge.finalize();
+  assert.equal(early.released, 0);
+  assert.equal(early.queue.exits.length, 1);
+  assert.equal(early.queue.exits[0].burnHash, burnHash);
+  assert.equal(early.queue.exits[0].amount, ethers.parseEther('2'));
+
+  await chain.advanceTime(EXIT_PERIOD + 1);
+  const late = await bridge.finalize();
+  assert.equal(late.released, 1);
+  assert.ok(late.processExitTx);
+
+  assert.equal(await chain.contracts.pol.balanceOf(chain.address), USER_ROOT_POL - ethers.parseEther('3'));
+  assert.equal(bridge.journal.getTransfer(burnHash).stage, STAGES.EXIT_PROCESSED);
+  assert.equal((await bridge.finalize()).queue.queueSize, 0);
+});
+
+test('every progress event fired, in round-trip order', () => {
+  assert.deepEqual([...new Set(events.map(([event]) => event))], EVENTS);
+  const [, processed] = events.find(([event]) => event === 'exitProcessed');
+  assert.deepEqual(processed.burnHashes, [burnHash]);
+});
+
+test('withdraw: an RPC error while waiting for the burn leaves it resumable', async () => {
+  const send = bridge.txAmoy.send;
+  bridge.txAmoy.send = async function (...args) {
+    const tx = await send.apply(this, args);
+    tx.wait = async () => {
+      throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+    };
+    return tx;
+  };
+  try {
+    await assert.rejects(bridge.withdraw({ amount: '1', complete: false }), /Burn transaction failed/);
+  } finally {
+    delete bridge.txAmoy.send;
+  }
+
+  const [burn] = bridge.journal.listUnfinished().filter((transfer) => transfer.type === 'withdraw');
+  assert.equal(burn.stage, STAGES.BURNED);
+  assert.ok(await chain.childProvider.getTransactionReceipt(burn.hash)); // Mined all along
+});
@@ -0,0 +1,52 @@
+/**
+ * Error categories and exit codes (lib/errors.js) and the CLI's --json errors
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ethers = require('ethers');
+const { EXIT_CODES, categorize, categorized } = require('../lib/errors');
+
+test('categorized errors keep their category, also as a cause', () => {
+  const error = categorized('Insufficient balance. Need 5 POL, have 1 POL', 'insufficient_balance');
+  assert.equal(categorize(error), 'insufficient_balance');
+  assert.equal(categorize(new Error('Burn transaction failed', { cause: error })), 'insufficient_balance');
+});
+
+test('ethers and network errors are classified by their codes', () => {
+  const revert = ethers.makeError('execution reverted', 'CALL_EXCEPTION', {});
+  assert.equal(categorize(new Error('Burn transaction failed: reverted', { cause: revert })), 'reverted');
+  assert.equal(categorize(ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS', {})), 'insufficient_balance');
+  assert.equal(categorize(ethers.makeError('timeout', 'TIMEOUT', {})), 'network');
+  assert.equal(categorize(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' })), 'network');
+  assert.equal(categorize(new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND') })), 'network');
+  assert.equal(categorize(new Error('Transaction not found on Amoy')), 'error');
+});
+
+test('every category has its own non-zero exit code', () => {
+  const codes = Object.entries(EXIT_CODES).filter(([category]) => category !== 'ok').map(([, code]) => code);
+  assert.equal(new Set(codes).size, codes.length);
+  assert.ok(codes.every((code) => code > 0));
+});
+
+test('CLI --json: invalid settings print one error object and exit with the usage code', () => {
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'bridge.js'), 'history', '--json', '--signer', 'ledger'], {
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  assert.equal(run.status, EXIT_CODES.usage);
+  const lines = run.stdout.trim().split('\n');
+  assert.equal(lines.length, 1);
+  assert.deepEqual(JSON.parse(lines[0]), {
+    step: 'error',
+    command: 'history',
+    ok: false,
+    exitCode: EXIT_CODES.usage,
+    category: 'usage',
+    message: 'Unknown signer "ledger" (use key, keystore, mnemonic, remote, watch)',
+  });
+});
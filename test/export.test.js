@@ -0,0 +1,116 @@
+/**
+ * Unsigned transaction export and signed transaction matching (lib/export.js)
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const txExport = require('../lib/export');
+
+const signer = ethers.Wallet.createRandom();
+const DEPOSIT_MANAGER = '0x44ad17990f9128c6d823ee10db7f0a5d40a731a4';
+const POL = '0x44499312f493F62f2DFd3C6435Ca3603EbFCeeBa';
+
+/**
+ * Export of an approve + deposit pair, as bridge.js writes it
+ */
+function sampleExport() {
+  const fees = { type: 2, maxFeePerGas: 30_000_000_000n, maxPriorityFeePerGas: 1_000_000_000n };
+  return txExport.buildRawExport(
+    { command: 'deposit', network: 'amoy', chain: 'root', chainId: 11155111, from: signer.address, context: { amount: '5' } },
+    [
+      { label: 'approve', to: POL, data: '0x095ea7b3', value: 0n, nonce: 4, gasLimit: 46000n, ...fees },
+      { label: 'depositERC20ForUser', to: DEPOSIT_MANAGER, data: '0x8b9e4f93', value: 0n, nonce: 5, gasLimit: 250000n, ...fees },
+    ]
+  );
+}
+
+/**
+ * Signs every exported transaction the way an offline signer would
+ */
+async function signAll(exported, wallet = signer) {
+  return Promise.all(exported.transactions.map((tx) => wallet.signTransaction(ethers.Transaction.from(tx.unsignedSerialized))));
+}
+
+function tempFile(name, contents) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-export-')), name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+test('buildRawExport: populated unsigned transactions with nonces and fees', () => {
+  const exported = sampleExport();
+  assert.equal(exported.format, 'raw');
+  assert.equal(exported.chainId, '11155111');
+  assert.deepEqual(exported.transactions.map((tx) => tx.nonce), [4, 5]);
+
+  const unsigned = ethers.Transaction.from(exported.transactions[1].unsignedSerialized);
+  assert.equal(unsigned.to.toLowerCase(), DEPOSIT_MANAGER);
+  assert.equal(unsigned.chainId, 11155111n);
+  assert.equal(unsigned.gasLimit, 250000n);
+  assert.equal(unsigned.signature, null);
+});
+
+test('buildSafeBatch: Safe Transaction Builder 1.0 batch', () => {
+  const batch = txExport.buildSafeBatch(
+    { chainId: 11155111, from: signer.address, name: 'Bridge deposit', description: 'Deposit 5 POL' },
+    [{ to: POL, data: '0x095ea7b3', value: 0n }, { to: DEPOSIT_MANAGER, data: '0x8b9e4f93' }]
+  );
+  assert.equal(batch.version, '1.0');
+  assert.equal(batch.chainId, '11155111');
+  assert.equal(batch.meta.createdFromSafeAddress, signer.address);
+  assert.deepEqual(batch.transactions[1], {
+    to: DEPOSIT_MANAGER, value: '0', data: '0x8b9e4f93', contractMethod: null, contractInputsValues: null,
+  });
+});
+
+test('matchSignedTransactions: accepts the signed export in order', async () => {
+  const exported = sampleExport();
+  const signed = await signAll(exported);
+  const matched = txExport.matchSignedTransactions(exported, signed);
+  assert.deepEqual(matched.map((tx) => tx.label), ['approve', 'depositERC20ForUser']);
+  assert.equal(matched[0].hash, ethers.keccak256(signed[0]));
+
+  // Signed transactions filled into the export itself
+  exported.transactions.forEach((tx, index) => { tx.signed = signed[index]; });
+  assert.equal(txExport.matchSignedTransactions(exported).length, 2);
+});
+
+test('matchSignedTransactions: refuses anything that was not exported', async () => {
+  const exported = sampleExport();
+  const signed = await signAll(exported);
+
+  await assert.rejects(
+    async () => txExport.matchSignedTransactions(exported, await signAll(exported, ethers.Wallet.createRandom())),
+    /signed by 0x[0-9a-fA-F]{40}, not/
+  );
+  assert.throws(() => txExport.matchSignedTransactions(exported, [signed[1], signed[0]]), /nonce 5, not 4/);
+  assert.throws(() => txExport.matchSignedTransactions(exported, [signed[0]]), /Expected 2 signed transaction\(s\), found 1/);
+  assert.throws(() => txExport.matchSignedTransactions(exported), /found 0/);
+
+  const tampered = ethers.Transaction.from(exported.transactions[1].unsignedSerialized);
+  tampered.data = '0xdeadbeef';
+  const tamperedSigned = await signer.signTransaction(tampered);
+  assert.throws(() => txExport.matchSignedTransactions(exported, [signed[0], tamperedSigned]), /calldata differs/);
+});
+
+test('loadSignedTransactions: JSON array, filled-in export or one per line', async () => {
+  const exported = sampleExport();
+  const signed = await signAll(exported);
+
+  assert.deepEqual(txExport.loadSignedTransactions(tempFile('signed.json', JSON.stringify(signed))), signed);
+  assert.deepEqual(txExport.loadSignedTransactions(tempFile('signed.txt', `${signed.join('\n')}\n`)), signed);
+
+  exported.transactions.forEach((tx, index) => { tx.signed = signed[index]; });
+  assert.deepEqual(txExport.loadSignedTransactions(tempFile('filled.json', JSON.stringify(exported))), signed);
+});
+
+test('loadExport: Safe batches are not broadcast', () => {
+  const batch = txExport.buildSafeBatch({ chainId: 1, from: signer.address, name: 'x', description: '' }, []);
+  assert.throws(() => txExport.loadExport(tempFile('batch.json', JSON.stringify(batch))), /not a raw transaction export/);
+});
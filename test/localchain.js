@@ -0,0 +1,305 @@
+/**
+ * Local two-chain bridge for the end-to-end tests
+ *
+ * Starts two in-process ganache nodes on free ports — a root chain and a
+ * child chain with different chain IDs — compiles the plasma mocks in
+ * test/contracts/PlasmaMocks.sol (see compile-mocks.js), deploys them, and serves a fake proof generator
+ * API. The result is a network profile PolBridge can use like any other:
+ *
+ *   const chain = await startLocalChain();
+ *   const bridge = new PolBridge({ network: chain.network, signer: { privateKey: chain.privateKey } });
+ *
+ * Nothing moves on its own; the test plays validator and relayer (each call
+ * returns once ethers' request cache has expired, so the bridge's next reads
+ * see the change):
+ *
+ *   await chain.relayDeposits();   // apply pending state syncs (deposits) on the child chain
+ *   await chain.checkpoint();      // cover every child block mined so far
+ *   await chain.advanceTime(secs); // move the root chain's clock (challenge period)
+ *   await chain.stop();
+ *
+ * The proof API answers 400 until a checkpoint covers the burn, like the
+ * real one; its payload is the ABI-encoded burn the mock predicate expects
+ * (see PlasmaMocks.sol), not a Merkle proof.
+ */
+
+const http = require('http');
+const ethers = require('ethers');
+const ganache = require('ganache');
+const { NATIVE_CHILD_TOKEN } = require('../lib/tokens');
+const { ERC20_WITHDRAW_EVENT_SIG } = require('../lib/proof');
+const { sleep } = require('../lib/backoff');
+
+const { loadMocks } = require('./compile-mocks');
+
+// Compiled on first use, then cached (git-ignored) until the .sol file changes
+const { contracts: ARTIFACTS } = loadMocks();
+
+const ROOT_CHAIN_ID = 1337;
+const CHILD_CHAIN_ID = 1338;
+
+// Challenge period of the mock WithdrawManager, in seconds
+const EXIT_PERIOD = 3600;
+
+// Bor system contract that applies state syncs on the child chain
+const STATE_RECEIVER = '0x0000000000000000000000000000000000001001';
+
+// Fixed keys, so failures are reproducible: the bridge user, and the operator
+// who deploys the mocks, submits checkpoints and relays state syncs
+const USER_KEY = ethers.id('localchain user');
+const OPERATOR_KEY = ethers.id('localchain operator');
+
+// Starting balances: ETH on the root chain, native POL on the child chain
+const NATIVE_BALANCE = ethers.parseEther('1000');
+const USER_ROOT_POL = ethers.parseEther('100');
+const MAX_ERC20_DEPOSIT = ethers.parseEther('1000000');
+
+// How long JsonRpcProvider reuses the answer to an identical request (ethers' default cacheTimeout)
+const PROVIDER_CACHE_MS = 250;
+
+/**
+ * Starts one ganache node on a free port
+ *
+ * @param {number} chainId - eth_chainId it answers with
+ * @returns {Object} { server, url, provider }
+ */
+async function startNode(chainId) {
+  const server = ganache.server({
+    chain: { chainId, hardfork: 'shanghai', vmErrorsOnRPCResponse: true },
+    wallet: {
+      accounts: [USER_KEY, OPERATOR_KEY].map((secretKey) => ({ secretKey, balance: ethers.toQuantity(NATIVE_BALANCE) })),
+    },
+    logging: { quiet: true },
+  });
+  await server.listen(0, '127.0.0.1');
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const provider = new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true });
+  return { server, url, provider };
+}
+
+/**
+ * Deploys one mock contract and waits for it
+ *
+ * @param {ethers.Signer} deployer - Sending wallet
+ * @param {string} name - Contract name in PlasmaMocks.sol
+ * @param {...*} args - Constructor arguments
+ * @returns {ethers.Contract} Deployed contract, connected to `deployer`
+ */
+async function deploy(deployer, name, ...args) {
+  const { abi, bytecode } = ARTIFACTS[name];
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Deploys a mock on the child chain and moves its code to a system address
+ *
+ * Only the runtime code is copied (immutables included), not storage.
+ *
+ * @param {Object} node - Child node from startNode()
+ * @param {ethers.Signer} deployer - Sending wallet
+ * @param {string} name - Contract name in PlasmaMocks.sol
+ * @param {string} address - System address (e.g. 0x…1010)
+ * @param {...*} args - Constructor arguments
+ * @returns {ethers.Contract} The contract at `address`, connected to `deployer`
+ */
+async function deployAt(node, deployer, name, address, ...args) {
+  const deployed = await deploy(deployer, name, ...args);
+  const code = await node.provider.getCode(await deployed.getAddress());
+  await node.provider.send('evm_setAccountCode', [address, code]);
+  return new ethers.Contract(address, ARTIFACTS[name].abi, deployer);
+}
+
+/**
+ * Fake proof generator: GET /exit-payload/:burnHash?eventSignature=…
+ *
+ * 400 until the RootChain's last checkpointed child block covers the burn
+ * (and for unknown transactions or burns without the requested event),
+ * then { result: payload }.
+ *
+ * @param {Object} child - Child node
+ * @param {ethers.Contract} rootChain - MockRootChain
+ * @param {Object[]} requests - Every answer is appended as { hash, status }
+ * @returns {Object} { server, url }
+ */
+async function startProofApi(child, rootChain, requests) {
+  const withdrawEvent = new ethers.Interface([
+    'event Withdraw(address indexed token, address indexed from, uint256 amount, uint256 input1, uint256 output1)',
+  ]);
+
+  async function payloadFor(hash, eventSignature) {
+    const receipt = await child.provider.getTransactionReceipt(hash);
+    const burn = receipt?.logs.find((log) => log.topics[0] === eventSignature);
+    if (!burn || Number(await rootChain.getLastChildBlock()) < receipt.blockNumber) {
+      return null;
+    }
+    const { token, from, amount } = withdrawEvent.parseLog(burn).args;
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ['bytes32', 'uint256', 'uint256', 'address', 'address', 'uint256'],
+      [hash, receipt.blockNumber, burn.index, token, from, amount]
+    );
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(/\/exit-payload\/(0x[0-9a-fA-F]{64})$/);
+    let status = 400;
+    let body = { error: true, message: 'Burn transaction has not been checkpointed yet' };
+    try {
+      const payload = match && await payloadFor(match[1], url.searchParams.get('eventSignature') || ERC20_WITHDRAW_EVENT_SIG);
+      if (payload) {
+        status = 200;
+        body = { message: 'Payload generation success', result: payload };
+      }
+    } catch (error) {
+      status = 500;
+      body = { error: true, message: error.message };
+    }
+    requests.push({ hash: match?.[1], status });
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Starts both chains, deploys the mocks and the proof API
+ *
+ * The user starts with USER_ROOT_POL root POL and NATIVE_BALANCE of ETH and
+ * child POL; POL is mapped to native POL (0x…1010) on the registry.
+ *
+ * @returns {Object} { network, privateKey, address, rootProvider, childProvider, contracts,
+ *   proofRequests, relayDeposits, checkpoint, advanceTime, stop }
+ */
+async function startLocalChain() {
+  const root = await startNode(ROOT_CHAIN_ID);
+  const child = await startNode(CHILD_CHAIN_ID);
+  const user = new ethers.Wallet(USER_KEY);
+  // Nonces counted locally: the provider's short request cache can return a stale pending count
+  const rootOperator = new ethers.NonceManager(new ethers.Wallet(OPERATOR_KEY, root.provider));
+  const childOperator = new ethers.NonceManager(new ethers.Wallet(OPERATOR_KEY, child.provider));
+
+  // Root chain: tokens, checkpoints, registry, deposit and withdraw managers, predicate
+  const pol = await deploy(rootOperator, 'MockERC20', 'Polygon Ecosystem Token', 'POL');
+  const rootChain = await deploy(rootOperator, 'MockRootChain');
+  const stateSender = await deploy(rootOperator, 'MockStateSender');
+  const registry = await deploy(rootOperator, 'MockRegistry');
+  const depositManager = await deploy(
+    rootOperator, 'MockDepositManager', rootChain.target, registry.target, stateSender.target, MAX_ERC20_DEPOSIT
+  );
+  const withdrawManager = await deploy(rootOperator, 'MockWithdrawManager', registry.target, rootChain.target, EXIT_PERIOD);
+  const erc20Predicate = await deploy(rootOperator, 'MockERC20Predicate', withdrawManager.target);
+
+  await (await registry.setManagers(depositManager.target, withdrawManager.target)).wait();
+  await (await registry.mapToken(pol.target, NATIVE_CHILD_TOKEN, false)).wait();
+  await (await registry.addPredicate(erc20Predicate.target, 1)).wait(); // Type.ERC20
+  await (await withdrawManager.createExitQueue(pol.target)).wait();
+  await (await pol.mint(user.address, USER_ROOT_POL)).wait();
+
+  // Child chain: native POL and the state receiver at their system addresses
+  const nativePol = await deployAt(child, childOperator, 'MockNativePOL', NATIVE_CHILD_TOKEN, pol.target);
+  const stateReceiver = await deployAt(child, childOperator, 'MockStateReceiver', STATE_RECEIVER);
+
+  const proofRequests = [];
+  const proofApi = await startProofApi(child, rootChain, proofRequests);
+
+  const network = {
+    name: 'local',
+    rootName: 'Root',
+    rootChainId: ROOT_CHAIN_ID,
+    rootRpc: root.url,
+    rootExplorerTx: '{hash}',
+    childName: 'Child',
+    childChainId: CHILD_CHAIN_ID,
+    childRpc: child.url,
+    childExplorerTx: '{hash}',
+    depositManager: depositManager.target,
+    withdrawManager: withdrawManager.target,
+    erc20Predicate: erc20Predicate.target,
+    polRoot: pol.target,
+    polChild: NATIVE_CHILD_TOKEN,
+    proofApi: `${proofApi.url}/api/v1/local`,
+  };
+
+  /**
+   * Applies every state sync not applied yet, crediting the deposits in native POL
+   *
+   * @returns {number} State syncs applied
+   */
+  async function relayDeposits() {
+    const lastStateId = await stateReceiver.lastStateId();
+    const synced = await stateSender.queryFilter(stateSender.filters.StateSynced());
+    let applied = 0;
+    for (const event of synced) {
+      if (event.args.id <= lastStateId) {
+        continue;
+      }
+      const [recipient, , amount] = ethers.AbiCoder.defaultAbiCoder().decode(
+        ['address', 'address', 'uint256', 'uint256'],
+        event.args.data
+      );
+      await (await stateReceiver.commitState(event.args.id, recipient, { value: amount })).wait();
+      applied++;
+    }
+    await sleep(PROVIDER_CACHE_MS);
+    return applied;
+  }
+
+  /**
+   * Submits a checkpoint covering the child chain up to its latest block
+   *
+   * @returns {number} Last child block covered
+   */
+  async function checkpoint() {
+    const end = await child.provider.getBlockNumber();
+    await (await rootChain.submitCheckpoint(ethers.hexlify(ethers.randomBytes(32)), end)).wait();
+    await sleep(PROVIDER_CACHE_MS);
+    return end;
+  }
+
+  /**
+   * Moves the root chain's clock forward and mines a block with the new time
+   *
+   * @param {number} seconds - How far to move
+   */
+  async function advanceTime(seconds) {
+    await root.provider.send('evm_increaseTime', [seconds]);
+    await root.provider.send('evm_mine', []);
+    await sleep(PROVIDER_CACHE_MS);
+  }
+
+  /**
+   * Stops the proof API and both nodes
+   */
+  async function stop() {
+    proofApi.server.closeAllConnections();
+    await new Promise((resolve) => proofApi.server.close(resolve));
+    root.provider.destroy();
+    child.provider.destroy();
+    await Promise.all([root.server.close(), child.server.close()]);
+  }
+
+  return {
+    network,
+    privateKey: USER_KEY,
+    address: user.address,
+    rootProvider: root.provider,
+    childProvider: child.provider,
+    contracts: { pol, rootChain, stateSender, registry, depositManager, withdrawManager, erc20Predicate, nativePol, stateReceiver },
+    proofRequests,
+    relayDeposits,
+    checkpoint,
+    advanceTime,
+    stop,
+  };
+}
+
+module.exports = {
+  ROOT_CHAIN_ID,
+  CHILD_CHAIN_ID,
+  EXIT_PERIOD,
+  USER_ROOT_POL,
+  startLocalChain,
+};
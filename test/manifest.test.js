@@ -0,0 +1,83 @@
+/**
+ * deposit-batch manifest parsing (lib/manifest.js)
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadManifest } = require('../lib/manifest');
+
+const RECIPIENT_A = '0x1111111111111111111111111111111111111111';
+const RECIPIENT_B = '0x2222222222222222222222222222222222222222';
+
+function tempFile(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+test('CSV rows keep their file line, skipping blank and # lines', () => {
+  const file = tempFile('batch.csv', [
+    'recipient,token,amount',
+    `${RECIPIENT_A},POL,5`,
+    '',
+    '# second recipient uses the default token',
+    `${RECIPIENT_B},,2.5`,
+  ].join('\n'));
+
+  assert.deepEqual(loadManifest(file), [
+    { line: 2, recipient: RECIPIENT_A, token: 'POL', amount: '5' },
+    { line: 5, recipient: RECIPIENT_B, token: undefined, amount: '2.5' },
+  ]);
+});
+
+test('CSV columns are matched by header name, in any order and case', () => {
+  const file = tempFile('batch.csv', `Amount, Recipient\r\n7, ${RECIPIENT_A}\r\n`);
+
+  assert.deepEqual(loadManifest(file), [{ line: 2, recipient: RECIPIENT_A, amount: '7' }]);
+});
+
+test('CSV without a recipient or amount column is rejected', () => {
+  assert.throws(() => loadManifest(tempFile('batch.csv', `recipient,token\n${RECIPIENT_A},POL\n`)), /"amount" column/);
+  assert.throws(() => loadManifest(tempFile('batch.csv', `${RECIPIENT_A},POL,5\n`)), /"recipient" column/);
+});
+
+test('empty CSV has no rows', () => {
+  assert.deepEqual(loadManifest(tempFile('batch.csv', '# nothing yet\n\n')), []);
+});
+
+test('JSON entries become rows numbered from 1, amounts as strings', () => {
+  const file = tempFile('batch.json', JSON.stringify([
+    { recipient: RECIPIENT_A, token: 'POL', amount: 5 },
+    { recipient: RECIPIENT_B, amount: '2.5' },
+  ]));
+
+  assert.deepEqual(loadManifest(file), [
+    { line: 1, recipient: RECIPIENT_A, token: 'POL', amount: '5' },
+    { line: 2, recipient: RECIPIENT_B, token: undefined, amount: '2.5' },
+  ]);
+});
+
+test('JSON entries that are not objects become row errors', () => {
+  const file = tempFile('batch.json', JSON.stringify([null, { recipient: RECIPIENT_A, amount: '1' }, 3, [RECIPIENT_B]]));
+
+  const rows = loadManifest(file);
+  assert.equal(rows.length, 4);
+  assert.match(rows[0].error, /expected a \{ recipient, token, amount \} object, got null/);
+  assert.deepEqual(rows[1], { line: 2, recipient: RECIPIENT_A, token: undefined, amount: '1' });
+  assert.deepEqual(rows.filter((row) => row.error).map((row) => row.line), [1, 3, 4]);
+});
+
+test('JSON that is not an array is rejected', () => {
+  assert.throws(() => loadManifest(tempFile('batch.json', '{"recipient":"0x1"}')), /must be an array/);
+  assert.throws(() => loadManifest(tempFile('batch.json', '[{')), SyntaxError);
+});
+
+test('other extensions are rejected', () => {
+  assert.throws(() => loadManifest(tempFile('batch.txt', '')), /Unsupported manifest format "\.txt"/);
+});
@@ -0,0 +1,156 @@
+/**
+ * PolBridge options, validation and pure helpers (lib/polbridge.js)
+ *
+ * Nothing here touches an RPC: the providers a PolBridge creates are only
+ * used once connect() is called.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PolBridge,
+  DEFAULTS,
+  formatDuration,
+  planBatch,
+  exitableAtOf,
+  exitIdToChildBlock,
+} = require('../lib/polbridge');
+const { STAGES } = require('../lib/journal');
+
+const JOURNAL = path.join(os.tmpdir(), `polbridge-test-${process.pid}.json`);
+
+test('defaults apply to every option left out', () => {
+  const bridge = new PolBridge({ journalFile: JOURNAL });
+  assert.equal(bridge.network.name, 'amoy');
+  assert.equal(bridge.proofSource, DEFAULTS.proofSource);
+  assert.equal(bridge.approval, 'exact');
+  assert.equal(bridge.autoComplete, false);
+  assert.deepEqual(bridge.txSettings, { confirmations: 1, speedUpSeconds: 180, bumpPercent: 20 });
+  assert.equal(bridge.checkpointDeadlineMinutes, 180);
+});
+
+test('options override the defaults', () => {
+  const bridge = new PolBridge({
+    network: 'mainnet',
+    journalFile: JOURNAL,
+    proofSource: 'local',
+    approval: 'unlimited',
+    confirmations: 3,
+    depositDeadlineMinutes: 5,
+    autoComplete: true,
+  });
+  assert.equal(bridge.network.rootChainId, 1);
+  assert.equal(bridge.proofSource, 'local');
+  assert.equal(bridge.approval, 'unlimited');
+  assert.equal(bridge.txSettings.confirmations, 3);
+  assert.equal(bridge.depositDeadlineMinutes, 5);
+  assert.equal(bridge.autoComplete, true);
+});
+
+test('a network profile object is used as given', () => {
+  const amoy = new PolBridge({ journalFile: JOURNAL }).network;
+  const bridge = new PolBridge({ network: { ...amoy, name: 'local', rootRpc: 'http://127.0.0.1:8545' }, journalFile: JOURNAL });
+  assert.equal(bridge.network.name, 'local');
+  assert.equal(bridge.network.depositManager, amoy.depositManager);
+});
+
+test('each bridge writes its own journal file', () => {
+  const mainnetFile = path.join(os.tmpdir(), `polbridge-test-mainnet-${process.pid}.json`);
+  const amoy = new PolBridge({ journalFile: JOURNAL });
+  const mainnet = new PolBridge({ network: 'mainnet', journalFile: mainnetFile });
+  const hash = `0x${'cd'.repeat(32)}`;
+  try {
+    amoy.journal.recordTransfer({ type: 'withdraw', hash, stage: STAGES.BURNED });
+    assert.equal(amoy.journal.getTransfer(hash).stage, STAGES.BURNED);
+    assert.equal(mainnet.journal.getTransfer(hash), undefined);
+    assert.equal(fs.existsSync(mainnetFile), false);
+  } finally {
+    fs.rmSync(JOURNAL, { force: true });
+  }
+});
+
+test('invalid settings are rejected by the constructor', () => {
+  assert.throws(() => new PolBridge({ journalFile: JOURNAL, proofSource: 'ipfs' }), /Unknown proof source "ipfs"/);
+  assert.throws(() => new PolBridge({ journalFile: JOURNAL, approval: 'infinite' }), /Unknown approval mode "infinite"/);
+  assert.throws(() => new PolBridge({ journalFile: JOURNAL, network: 'goerli' }), /Unknown network "goerli"/);
+});
+
+test('deadlines must be positive numbers', () => {
+  for (const checkpointDeadlineMinutes of ['abc', NaN, 0, -5, Infinity]) {
+    assert.throws(
+      () => new PolBridge({ journalFile: JOURNAL, checkpointDeadlineMinutes }),
+      (error) => error.category === 'usage' && /checkpointDeadlineMinutes must be a positive number/.test(error.message)
+    );
+  }
+  assert.equal(new PolBridge({ journalFile: JOURNAL, checkpointDeadlineMinutes: '90' }).checkpointDeadlineMinutes, 90);
+  assert.throws(
+    () => new PolBridge({ journalFile: JOURNAL, depositDeadlineMinutes: 'soon' }),
+    /depositDeadlineMinutes must be a positive number, got "soon"/
+  );
+});
+
+test('methods throw instead of printing when their arguments are missing', async () => {
+  const bridge = new PolBridge({ journalFile: JOURNAL });
+  await assert.rejects(bridge.checkStatus(), /Please provide transaction hash/);
+  await assert.rejects(bridge.broadcast(), /Please provide the export file/);
+  await assert.rejects(bridge.cancel(-1, { chain: 'root' }), /cancel <nonce>/);
+  await assert.rejects(bridge.cancel(3), /Nonces are per chain/);
+});
+
+test('a --days that is not a positive number is a usage error', async () => {
+  const bridge = new PolBridge({ journalFile: JOURNAL });
+  for (const days of ['foo', '0', -1]) {
+    await assert.rejects(
+      bridge.history({ days }),
+      (error) => error.category === 'usage' && /days must be a positive number/.test(error.message)
+    );
+    await assert.rejects(
+      bridge.finalize({ days }),
+      (error) => error.category === 'usage' && /days must be a positive number/.test(error.message)
+    );
+  }
+});
+
+test('progress goes to the log option and is silent by default', () => {
+  const lines = [];
+  const bridge = new PolBridge({ journalFile: JOURNAL, log: (...line) => lines.push(line.join(' ')) });
+  bridge.log('hello', 'world');
+  assert.deepEqual(lines, ['hello world']);
+  assert.doesNotThrow(() => new PolBridge({ journalFile: JOURNAL }).log('dropped'));
+});
+
+test('exit IDs carry exitableAt and the child block', () => {
+  const exitableAt = 1_760_000_000n;
+  const childBlock = 12_345_678n;
+  const exitId = (exitableAt << 128n) | (childBlock << 33n) | 7n;
+  assert.equal(exitableAtOf(exitId), Number(exitableAt));
+  assert.equal(exitIdToChildBlock(exitId), childBlock);
+});
+
+test('batches are grouped by recipient and chunked', () => {
+  const row = (recipient, amountWei) => ({ recipient, token: { root: '0xpol' }, amountWei });
+  const rows = [row('0xa', 1n), row('0xb', 2n), row('0xa', 3n), row('0xa', 4n)];
+
+  const bulk = planBatch(rows, false, 2);
+  assert.deepEqual(bulk.map((tx) => [tx.recipient, tx.rows.map((r) => r.amountWei)]), [
+    ['0xa', [1n, 3n]],
+    ['0xa', [4n]],
+    ['0xb', [2n]],
+  ]);
+
+  const sequential = planBatch(rows, true, 2);
+  assert.equal(sequential.length, 4);
+  assert.deepEqual(sequential.map((tx) => tx.recipient), ['0xa', '0xb', '0xa', '0xa']);
+});
+
+test('durations read naturally', () => {
+  assert.equal(formatDuration(45), '45s');
+  assert.equal(formatDuration(24 * 60 + 13), '24m 13s');
+  assert.equal(formatDuration(2 * 3600 + 5 * 60), '2h 5m');
+  assert.equal(formatDuration(6 * 86400 + 23 * 3600), '6d 23h');
+});
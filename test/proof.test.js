@@ -0,0 +1,216 @@
+/**
+ * Local exit payload builder (lib/proof.js) against recorded fixtures
+ *
+ * Each fixture in test/fixtures holds the child chain RPC responses and
+ * RootChain calls recorded for one burn (see record-proof-fixture.js). The
+ * builder is replayed against them offline, and its payload is checked with
+ * ports of the on-chain verifiers (Merkle.checkMembership and
+ * MerklePatriciaProof.verify) rather than with the builder's own code.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { buildExitPayload, buildBlockProof, findCheckpoint } = require('../lib/proof');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')) }));
+
+// ─── REPLAY SOURCES ────────────────────────────────────────────────────────────
+
+/**
+ * Serves recorded RPC responses; unrecorded requests fail the test
+ *
+ * @param {Object} fixture - Loaded fixture
+ * @returns {Object} Provider stand-in with send(method, params)
+ */
+function replayProvider(fixture) {
+  return {
+    async send(method, params) {
+      const key = `${method} ${JSON.stringify(params)}`;
+      if (!(key in fixture.rpc)) {
+        throw new Error(`No recorded response for ${key}`);
+      }
+      return fixture.rpc[key];
+    },
+  };
+}
+
+/**
+ * Serves recorded RootChain calls
+ *
+ * @param {Object} fixture - Loaded fixture
+ * @param {Object} [overrides] - Replacement values (e.g. lastChildBlock)
+ * @returns {Object} RootChain stand-in
+ */
+function replayRootChain(fixture, overrides = {}) {
+  const recorded = { ...fixture.rootChain, ...overrides };
+  return {
+    getLastChildBlock: async () => BigInt(recorded.lastChildBlock),
+    currentHeaderBlock: async () => BigInt(recorded.currentHeaderBlock),
+    headerBlocks: async (id) => {
+      const header = recorded.headerBlocks[id.toString()];
+      if (!header) {
+        throw new Error(`No recorded checkpoint ${id}`);
+      }
+      return header;
+    },
+  };
+}
+
+// ─── INDEPENDENT VERIFIERS ─────────────────────────────────────────────────────
+
+/**
+ * Port of Merkle.checkMembership from the plasma contracts
+ */
+function checkMembership(leaf, index, root, proof) {
+  const bytes = ethers.getBytes(proof);
+  let computed = leaf;
+  let position = index;
+  for (let i = 0; i < bytes.length; i += 32) {
+    const sibling = ethers.hexlify(bytes.slice(i, i + 32));
+    computed = position % 2 === 0
+      ? ethers.keccak256(ethers.concat([computed, sibling]))
+      : ethers.keccak256(ethers.concat([sibling, computed]));
+    position = Math.floor(position / 2);
+  }
+  return computed === root;
+}
+
+/**
+ * Port of MerklePatriciaProof.verify from the plasma contracts
+ */
+function verifyPatriciaProof(value, encodedPath, rlpParentNodes, root) {
+  const parentNodes = ethers.decodeRlp(rlpParentNodes);
+  const pathNibbles = [...ethers.getBytes(encodedPath)].flatMap((byte) => [byte >> 4, byte & 0x0f]);
+  const keyNibbles = pathNibbles.slice(pathNibbles[0] % 2 ? 1 : 2);
+
+  let nodeKey = root;
+  let pathPointer = 0;
+  for (const node of parentNodes) {
+    if (ethers.keccak256(ethers.encodeRlp(node)) !== nodeKey) {
+      return false;
+    }
+    if (node.length === 17) {
+      if (pathPointer === keyNibbles.length) {
+        return node[16] === value;
+      }
+      nodeKey = node[keyNibbles[pathPointer]];
+      pathPointer += 1;
+    } else if (node.length === 2) {
+      const nodePath = [...ethers.getBytes(node[0])].flatMap((byte) => [byte >> 4, byte & 0x0f]);
+      const partial = nodePath.slice(nodePath[0] % 2 ? 1 : 2);
+      if (partial.some((nibble, i) => keyNibbles[pathPointer + i] !== nibble)) {
+        return false;
+      }
+      pathPointer += partial.length;
+      if (pathPointer === keyNibbles.length) {
+        return node[1] === value;
+      }
+      nodeKey = node[1];
+    } else {
+      return false;
+    }
+  }
+  return false;
+}
+
+// ─── TESTS ─────────────────────────────────────────────────────────────────────
+
+for (const fixture of fixtures) {
+  test(`${fixture.file}: rebuilds the recorded payload`, async () => {
+    const payload = await buildExitPayload(
+      { childProvider: replayProvider(fixture), rootChain: replayRootChain(fixture) },
+      fixture.burnTxHash,
+      fixture.eventSignature
+    );
+    assert.equal(payload, fixture.payload);
+    if (fixture.apiPayload) {
+      assert.equal(payload.toLowerCase(), fixture.apiPayload.toLowerCase());
+    }
+  });
+
+  test(`${fixture.file}: payload proofs verify against the checkpoint`, () => {
+    const [
+      headerBlockId, blockProof, blockNumber, timestamp, transactionsRoot,
+      receiptsRoot, receipt, receiptProof, receiptPath, logIndex,
+    ] = ethers.decodeRlp(fixture.payload);
+
+    // Block header is a member of the checkpoint root
+    const checkpoint = fixture.rootChain.headerBlocks[BigInt(headerBlockId).toString()];
+    const leaf = ethers.keccak256(ethers.concat([
+      ethers.toBeHex(BigInt(blockNumber), 32),
+      ethers.toBeHex(BigInt(timestamp), 32),
+      transactionsRoot,
+      receiptsRoot,
+    ]));
+    const index = Number(BigInt(blockNumber) - BigInt(checkpoint.start));
+    assert.ok(checkMembership(leaf, index, checkpoint.root, blockProof));
+
+    // Receipt is in the block's receipt trie and carries the burn log
+    assert.ok(verifyPatriciaProof(receipt, receiptPath, receiptProof, receiptsRoot));
+    const isTyped = ethers.getBytes(receipt)[0] < 0xc0; // Typed receipts start with the type byte, not an RLP list
+    const receiptFields = ethers.decodeRlp(ethers.dataSlice(receipt, isTyped ? 1 : 0));
+    const burnLog = receiptFields[3][logIndex === '0x' ? 0 : Number(logIndex)];
+    assert.equal(burnLog[1][0], fixture.eventSignature);
+  });
+
+  test(`${fixture.file}: returns null until the burn block is checkpointed`, async () => {
+    const receipt = fixture.rpc[`eth_getTransactionReceipt ${JSON.stringify([fixture.burnTxHash])}`];
+    const payload = await buildExitPayload(
+      {
+        childProvider: replayProvider(fixture),
+        rootChain: replayRootChain(fixture, { lastChildBlock: (BigInt(receipt.blockNumber) - 1n).toString() }),
+      },
+      fixture.burnTxHash,
+      fixture.eventSignature
+    );
+    assert.equal(payload, null);
+  });
+
+  test(`${fixture.file}: refuses a payload that does not match the checkpoint root`, async () => {
+    const headerBlocks = {};
+    for (const [id, header] of Object.entries(fixture.rootChain.headerBlocks)) {
+      headerBlocks[id] = { ...header, root: ethers.ZeroHash };
+    }
+    await assert.rejects(
+      buildExitPayload(
+        { childProvider: replayProvider(fixture), rootChain: replayRootChain(fixture, { headerBlocks }) },
+        fixture.burnTxHash,
+        fixture.eventSignature
+      ),
+      /does not match checkpoint/
+    );
+  });
+}
+
+test('findCheckpoint: binary search over checkpoint IDs', async () => {
+  // 50 checkpoints of 100 blocks each: 10000 → [0, 99], 20000 → [100, 199], …
+  const rootChain = {
+    currentHeaderBlock: async () => 500000n,
+    headerBlocks: async (id) => {
+      const n = id / 10000n - 1n;
+      return { root: ethers.ZeroHash, start: n * 100n, end: n * 100n + 99n };
+    },
+  };
+  assert.equal((await findCheckpoint(rootChain, 0)).id, 10000n);
+  assert.equal((await findCheckpoint(rootChain, 2345)).id, 240000n);
+  assert.equal((await findCheckpoint(rootChain, 4999)).id, 500000n);
+  await assert.rejects(findCheckpoint(rootChain, 5000), /No checkpoint covers block 5000/);
+});
+
+test('buildBlockProof: pads to a power of two and proves every leaf', () => {
+  const leaves = [1, 2, 3, 4, 5].map((n) => ethers.keccak256(ethers.toBeHex(n, 32)));
+  for (let index = 0; index < leaves.length; index++) {
+    const { root, proof } = buildBlockProof(leaves, index);
+    assert.equal(ethers.dataLength(proof), 3 * 32);
+    assert.ok(checkMembership(leaves[index], index, root, proof));
+  }
+  assert.deepEqual(buildBlockProof([leaves[0]], 0), { root: leaves[0], proof: '0x' });
+});
@@ -0,0 +1,140 @@
+/**
+ * Records a proof fixture for test/proof.test.js
+ *
+ * Builds the exit payload for a real burn with lib/proof.js while recording
+ * every child chain RPC response and RootChain call it needed, and stores the
+ * proof API's payload for the same burn next to it (when the API answers), so
+ * the test can replay the build offline and compare the two.
+ *
+ * Usage: node test/record-proof-fixture.js <burn_tx_hash> [fixture.json] [--network amoy] [--nft]
+ *
+ * Uses the same .env RPC settings and network profiles as bridge.js; the
+ * fixture is written to test/fixtures/<network>-<hash prefix>.json by default.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ethers = require('ethers');
+const { loadNetwork } = require('../lib/networks');
+const { buildExitPayload, ERC20_WITHDRAW_EVENT_SIG, ERC721_WITHDRAW_EVENT_SIG } = require('../lib/proof');
+
+const rootChainAbi = [
+  'function getLastChildBlock() external view returns (uint256)',
+  'function currentHeaderBlock() external view returns (uint256)',
+  'function headerBlocks(uint256 headerBlockId) external view returns (bytes32 root, uint256 start, uint256 end, uint256 createdAt, address proposer)',
+];
+
+/**
+ * Asks the proof API for the same payload, for comparison
+ *
+ * @param {Object} network - Network profile
+ * @param {string} burnTxHash - Burn transaction
+ * @param {string} eventSignature - Withdraw event signature
+ * @returns {string|null} API payload, or null if the API could not be reached
+ */
+async function fetchApiPayload(network, burnTxHash, eventSignature) {
+  try {
+    const response = await fetch(`${network.proofApi}/exit-payload/${burnTxHash}?eventSignature=${eventSignature}`);
+    if (!response.ok) {
+      console.log(`⚠️  Proof API returned status ${response.status} — fixture will not include apiPayload`);
+      return null;
+    }
+    return (await response.json()).result;
+  } catch (error) {
+    console.log(`⚠️  Proof API unreachable (${error.message}) — fixture will not include apiPayload`);
+    return null;
+  }
+}
+
+async function main() {
+  const { values: options, positionals: args } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      network: { type: 'string' },
+      nft: { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const burnTxHash = args[0];
+  if (!burnTxHash) {
+    console.log('Usage: node test/record-proof-fixture.js <burn_tx_hash> [fixture.json] [--network amoy] [--nft]');
+    return;
+  }
+
+  const network = loadNetwork(options.network || process.env.BRIDGE_NETWORK || 'amoy');
+  const eventSignature = options.nft ? ERC721_WITHDRAW_EVENT_SIG : ERC20_WITHDRAW_EVENT_SIG;
+  const fixtureFile = args[1] ||
+    path.join(__dirname, 'fixtures', `${network.name}-${burnTxHash.slice(2, 10).toLowerCase()}.json`);
+
+  const providerRoot = new ethers.JsonRpcProvider(network.rootRpc, network.rootChainId, { staticNetwork: true });
+  const providerChild = new ethers.JsonRpcProvider(network.childRpc, network.childChainId, { staticNetwork: true });
+  const depositManager = new ethers.Contract(network.depositManager, ['function rootChain() view returns (address)'], providerRoot);
+  const rootChain = new ethers.Contract(await depositManager.rootChain(), rootChainAbi, providerRoot);
+
+  // Record every response the builder sees
+  const rpc = {};
+  const checkpoints = { headerBlocks: {} };
+  const recordingProvider = {
+    async send(method, params) {
+      const result = await providerChild.send(method, params);
+      rpc[`${method} ${JSON.stringify(params)}`] = result;
+      return result;
+    },
+  };
+  const recordingRootChain = {
+    async getLastChildBlock() {
+      checkpoints.lastChildBlock = (await rootChain.getLastChildBlock()).toString();
+      return checkpoints.lastChildBlock;
+    },
+    async currentHeaderBlock() {
+      checkpoints.currentHeaderBlock = (await rootChain.currentHeaderBlock()).toString();
+      return checkpoints.currentHeaderBlock;
+    },
+    async headerBlocks(id) {
+      const header = await rootChain.headerBlocks(id);
+      checkpoints.headerBlocks[id.toString()] = {
+        root: header.root,
+        start: header.start.toString(),
+        end: header.end.toString(),
+      };
+      return checkpoints.headerBlocks[id.toString()];
+    },
+  };
+
+  console.log(`🔍 Building exit payload for ${burnTxHash} on ${network.name}...`);
+  const payload = await buildExitPayload(
+    { childProvider: recordingProvider, rootChain: recordingRootChain },
+    burnTxHash,
+    eventSignature
+  );
+  if (!payload) {
+    console.error('❌ Burn is not checkpointed yet — record the fixture after the checkpoint');
+    process.exitCode = 1;
+    return;
+  }
+
+  const apiPayload = await fetchApiPayload(network, burnTxHash, eventSignature);
+  if (apiPayload && apiPayload.toLowerCase() !== payload.toLowerCase()) {
+    console.log('⚠️  Local payload differs from the proof API payload — the test will fail on this fixture');
+  }
+
+  fs.writeFileSync(fixtureFile, JSON.stringify({
+    network: network.name,
+    burnTxHash,
+    eventSignature,
+    rootChain: checkpoints,
+    rpc,
+    payload,
+    apiPayload,
+  }, null, 2));
+  console.log(`✅ Fixture written to ${fixtureFile}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * Signer sources (lib/signers.js)
+ *
+ * Keystore and mnemonic signers are checked against known accounts; the
+ * remote signer runs against a local JSON-RPC server that only speaks Clef's
+ * account_* methods, so the eth_* fallback is exercised too.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { createSigner, detectSignerSource, isWatchOnly } = require('../lib/signers');
+
+// Well-known development mnemonic (Hardhat/Anvil default accounts)
+const TEST_MNEMONIC = 'test test test test test test test test test test test junk';
+const TEST_ACCOUNT_0 = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const TEST_ACCOUNT_1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const noPrompt = async () => {
+  throw new Error('unexpected prompt');
+};
+
+/**
+ * Starts a JSON-RPC server that signs like Clef (account_list / account_signTransaction)
+ *
+ * @param {ethers.Wallet} wallet - Key the server signs with
+ * @returns {Promise<{ url: string, requests: Object[], close: Function }>}
+ */
+async function startClefStandIn(wallet) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+      let reply;
+      if (method === 'account_list') {
+        reply = { result: [wallet.address.toLowerCase()] };
+      } else if (method === 'account_signTransaction') {
+        const { from, gas, data, ...fields } = params[0];
+        const raw = await wallet.signTransaction({ ...fields, gasLimit: gas, data });
+        reply = { result: { raw, tx: params[0] } };
+      } else {
+        reply = { error: { code: -32601, message: `the method ${method} does not exist/is not available` } };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...reply }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('detectSignerSource: explicit source first, then the first setting present', () => {
+  assert.equal(detectSignerSource({ source: 'remote', privateKey: '0x01' }), 'remote');
+  assert.equal(detectSignerSource({ privateKey: '0x01', keystoreFile: 'k.json' }), 'key');
+  assert.equal(detectSignerSource({ keystoreFile: 'k.json', mnemonic: TEST_MNEMONIC }), 'keystore');
+  assert.equal(detectSignerSource({ watchAddress: TEST_ACCOUNT_0 }), 'watch');
+  assert.equal(detectSignerSource({}), undefined);
+});
+
+test('createSigner: refuses to start without any signer setting', async () => {
+  await assert.rejects(createSigner({}, { prompt: noPrompt }), /No signer configured/);
+});
+
+test('createSigner: mnemonic with the default and a custom derivation path', async () => {
+  const first = await createSigner({ mnemonic: TEST_MNEMONIC }, { prompt: noPrompt });
+  assert.equal(first.address, TEST_ACCOUNT_0);
+
+  const second = await createSigner(
+    { mnemonic: TEST_MNEMONIC, derivationPath: "m/44'/60'/0'/0/1" },
+    { prompt: noPrompt }
+  );
+  assert.equal(second.address, TEST_ACCOUNT_1);
+
+  await assert.rejects(
+    createSigner({ mnemonic: 'not a mnemonic' }, { prompt: noPrompt }),
+    /Invalid mnemonic/
+  );
+});
+
+test('createSigner: mnemonic is prompted for when not configured', async () => {
+  const signer = await createSigner({ source: 'mnemonic' }, { prompt: async () => `${TEST_MNEMONIC}\n` });
+  assert.equal(signer.address, TEST_ACCOUNT_0);
+});
+
+test('createSigner: encrypted keystore with a configured or prompted passphrase', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-keystore-')), 'key.json');
+  fs.writeFileSync(file, ethers.encryptKeystoreJsonSync(
+    { address: wallet.address, privateKey: wallet.privateKey },
+    'correct horse',
+    { scrypt: { N: 1024 } } // Weak KDF so the test stays fast
+  ));
+
+  const configured = await createSigner({ keystoreFile: file, keystorePassword: 'correct horse' }, { prompt: noPrompt });
+  assert.equal(configured.address, wallet.address);
+
+  const prompted = await createSigner({ keystoreFile: file }, { prompt: async () => 'correct horse' });
+  assert.equal(prompted.address, wallet.address);
+
+  await assert.rejects(
+    createSigner({ keystoreFile: file, keystorePassword: 'wrong' }, { prompt: noPrompt }),
+    /Could not decrypt/
+  );
+});
+
+test('createSigner: watch mode has an address but cannot sign', async () => {
+  const signer = await createSigner({ watchAddress: TEST_ACCOUNT_0.toLowerCase() }, { prompt: noPrompt });
+  assert.equal(signer.address, TEST_ACCOUNT_0);
+  assert.ok(isWatchOnly(signer));
+  await assert.rejects(signer.signTransaction({ to: TEST_ACCOUNT_1 }), /cannot sign/);
+
+  const keyed = await createSigner({ privateKey: ethers.Wallet.createRandom().privateKey }, { prompt: noPrompt });
+  assert.ok(!isWatchOnly(keyed));
+});
+
+test('createSigner: remote signer falls back to Clef methods and checks the signature', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const clef = await startClefStandIn(wallet);
+  try {
+    const signer = await createSigner({ remoteUrl: clef.url }, { prompt: noPrompt });
+    assert.equal(signer.address, wallet.address);
+
+    // Fully populated, so the stand-in provider only has to report the chain
+    const connected = signer.connect({ getNetwork: async () => ({ chainId: 80002n }) });
+    const raw = await connected.signTransaction({
+      to: TEST_ACCOUNT_1,
+      value: 1n,
+      data: '0x1234',
+      nonce: 7,
+      gasLimit: 21000n,
+      maxFeePerGas: 30_000_000_000n,
+      maxPriorityFeePerGas: 1_000_000_000n,
+    });
+
+    const signed = ethers.Transaction.from(raw);
+    assert.equal(signed.from, wallet.address);
+    assert.equal(signed.chainId, 80002n);
+    assert.equal(signed.nonce, 7);
+    assert.equal(signed.data, '0x1234');
+    assert.deepEqual(clef.requests.map((request) => request.method), [
+      'eth_accounts', 'account_list', 'eth_signTransaction', 'account_signTransaction',
+    ]);
+  } finally {
+    await clef.close();
+  }
+});
+
+test('createSigner: remote signer that signs with another key is rejected', async () => {
+  const clef = await startClefStandIn(ethers.Wallet.createRandom());
+  try {
+    const signer = await createSigner({ remoteUrl: clef.url, remoteAddress: TEST_ACCOUNT_0 }, { prompt: noPrompt });
+    const connected = signer.connect({ getNetwork: async () => ({ chainId: 1n }) });
+    await assert.rejects(
+      connected.signTransaction({
+        to: TEST_ACCOUNT_1,
+        nonce: 0,
+        gasLimit: 21000n,
+        maxFeePerGas: 1n,
+        maxPriorityFeePerGas: 1n,
+      }),
+      /signed as .*, expected/
+    );
+  } finally {
+    await clef.close();
+  }
+});
@@ -0,0 +1,54 @@
+/**
+ * Token registry (lib/tokens.js)
+ *
+ * Only the registry-file checks, which fail before any chain lookup; resolving
+ * against the plasma Registry is covered end to end (test/e2e.test.js).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveToken } = require('../lib/tokens');
+
+const ROOT = '0x1111111111111111111111111111111111111111';
+
+function registryFile(entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-'));
+  const file = path.join(dir, 'tokens.json');
+  fs.writeFileSync(file, JSON.stringify(entries));
+  return file;
+}
+
+test('resolveToken: a registry entry without a valid root address is rejected', async () => {
+  for (const root of [undefined, 42, '0x1234', 'not an address']) {
+    const file = registryFile({ USDC: { root: ROOT, decimals: 6 }, DAI: { root, decimals: 18 } });
+    await assert.rejects(
+      resolveToken(ROOT, { registryFile: file }),
+      /tokens\.json entry DAI has no valid root address/
+    );
+  }
+});
+
+test('resolveToken: a registry entry with a malformed child address is rejected', async () => {
+  const file = registryFile({ DAI: { root: ROOT, child: '0xabc', decimals: 18 } });
+  await assert.rejects(resolveToken('DAI', { registryFile: file }), /tokens\.json entry DAI has an invalid child address/);
+});
+
+test('resolveToken: registry entries with both addresses resolve without a chain lookup', async () => {
+  const child = '0x2222222222222222222222222222222222222222';
+  const file = registryFile({ dai: { root: ROOT, child, decimals: 18 } });
+
+  assert.deepEqual(await resolveToken('DAI', { registryFile: file }), {
+    symbol: 'dai',
+    root: ROOT,
+    child,
+    decimals: 18,
+    native: false,
+    standard: 'ERC20',
+  });
+  assert.equal((await resolveToken(child, { registryFile: file })).symbol, 'dai');
+});
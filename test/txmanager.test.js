@@ -0,0 +1,264 @@
+/**
+ * Fees, nonces, speed-ups, confirmations and cancels (lib/txmanager.js)
+ *
+ * Runs against an in-memory chain that keeps every version of a pending
+ * transaction, enforces the 10% replacement rule and only mines when told to.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { TxManager } = require('../lib/txmanager');
+
+const GWEI = 1_000_000_000n;
+const TARGET = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+/**
+ * Minimal provider for a single account, mined by hand
+ */
+class FakeChain {
+  constructor() {
+    this.blockNumber = 100;
+    this.minedNonce = 0;     // Next nonce the chain expects
+    this.pending = new Map(); // nonce → [{ hash, tx }] (every version sent)
+    this.receipts = new Map();
+    this.lagPendingCount = false;
+    this.feeData = { gasPrice: 20n * GWEI, maxFeePerGas: 42n * GWEI, maxPriorityFeePerGas: 2n * GWEI };
+  }
+
+  async getNetwork() {
+    return new ethers.Network('fake', 1337n);
+  }
+
+  async getFeeData() {
+    return this.feeData;
+  }
+
+  async estimateGas() {
+    return 50000n;
+  }
+
+  async getBlockNumber() {
+    return this.blockNumber;
+  }
+
+  async getTransactionCount(address, tag) {
+    if (tag === 'pending' && !this.lagPendingCount) {
+      return this.minedNonce + this.pending.size;
+    }
+    return this.minedNonce;
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+
+  async broadcastTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    if (tx.nonce < this.minedNonce) {
+      throw new Error('nonce too low');
+    }
+    const versions = this.pending.get(tx.nonce) || [];
+    const latest = versions[versions.length - 1]?.tx;
+    if (latest && (tx.maxFeePerGas * 100n < latest.maxFeePerGas * 110n || tx.maxPriorityFeePerGas * 100n < latest.maxPriorityFeePerGas * 110n)) {
+      throw new Error('replacement transaction underpriced');
+    }
+    versions.push({ hash: tx.hash, tx });
+    this.pending.set(tx.nonce, versions);
+    return { hash: tx.hash };
+  }
+
+  /**
+   * Mines the lowest pending nonce: the latest version, or the one with `hash`
+   */
+  mine({ hash, status = 1 } = {}) {
+    const versions = this.pending.get(this.minedNonce);
+    const version = hash ? versions.find((entry) => entry.hash === hash) : versions[versions.length - 1];
+    this.pending.delete(this.minedNonce);
+    this.minedNonce += 1;
+    this.blockNumber += 1;
+    const receipt = { hash: version.hash, blockNumber: this.blockNumber, blockHash: ethers.id(`block ${this.blockNumber}`), status };
+    this.receipts.set(version.hash, receipt);
+    return receipt;
+  }
+
+  versions(nonce) {
+    return this.pending.get(nonce) || [];
+  }
+}
+
+function setup(policy = {}) {
+  const chain = new FakeChain();
+  const wallet = ethers.Wallet.createRandom().connect(chain);
+  const logs = [];
+  const replaced = [];
+  const manager = new TxManager(wallet, {
+    name: 'Testnet',
+    pollMs: 5,
+    speedUpSeconds: 0,
+    onReplaced: (oldHash, newHash) => replaced.push([oldHash, newHash]),
+    log: (line) => logs.push(line),
+    ...policy,
+  });
+  return { chain, wallet, manager, logs, replaced };
+}
+
+const later = (ms, fn) => new Promise((resolve) => setTimeout(() => resolve(fn()), ms));
+
+test('currentFees: node suggestion, fixed priority fee and fee cap', async () => {
+  const { manager } = setup();
+  assert.deepEqual(await manager.currentFees(), { type: 2, maxFeePerGas: 42n * GWEI, maxPriorityFeePerGas: 2n * GWEI });
+
+  const tipped = setup({ priorityFeeGwei: '30' }).manager;
+  assert.deepEqual(await tipped.currentFees(), { type: 2, maxFeePerGas: 70n * GWEI, maxPriorityFeePerGas: 30n * GWEI });
+
+  const capped = setup({ priorityFeeGwei: '30', maxFeeGwei: '25' }).manager;
+  assert.deepEqual(await capped.currentFees(), { type: 2, maxFeePerGas: 25n * GWEI, maxPriorityFeePerGas: 25n * GWEI });
+
+  const legacy = setup({ maxFeeGwei: 15 });
+  legacy.chain.feeData = { gasPrice: 20n * GWEI, maxFeePerGas: null, maxPriorityFeePerGas: null };
+  assert.deepEqual(await legacy.manager.currentFees(), { type: 0, gasPrice: 15n * GWEI });
+});
+
+test('nonces: consecutive sends don\'t depend on the node\'s pending count', async () => {
+  const { chain, manager } = setup();
+  chain.lagPendingCount = true; // Load-balanced RPC that hasn't seen our first transaction yet
+
+  const contract = new ethers.Contract(TARGET, ['function approve(address spender, uint256 amount)'], manager.signer);
+  const approve = await manager.send(contract, 'approve', [TARGET, 5n]);
+  const deposit = await manager.sendTransaction({ to: TARGET, data: '0x1234' });
+  assert.equal(approve.nonce, 0);
+  assert.equal(deposit.nonce, 1);
+  assert.equal(chain.versions(0)[0].tx.data.slice(0, 10), contract.interface.getFunction('approve').selector);
+});
+
+test('nonces: a send that fails before broadcasting gives its nonce back', async () => {
+  const { chain, manager } = setup();
+  chain.estimateGas = async () => {
+    throw new Error('execution reverted: "KNOWN_EXIT"');
+  };
+  await assert.rejects(manager.sendTransaction({ to: TARGET, data: '0x' }), /KNOWN_EXIT/);
+
+  delete chain.estimateGas;
+  const next = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  assert.equal(next.nonce, 0);
+});
+
+test('nonces: resync down to the node once nothing of ours holds the gap', async () => {
+  const { chain, manager, logs } = setup();
+  const first = await manager.sendTransaction({ to: TARGET, data: '0x' });
+
+  // Dropped by the node, but its wait() may still speed it up: the nonce stays ours
+  chain.pending.clear();
+  const second = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  assert.equal(second.nonce, 1);
+
+  // Both waits given up on (RPC error) and the node has neither: back to its count
+  chain.getTransactionReceipt = async () => {
+    throw new Error('connection reset');
+  };
+  await assert.rejects(first.wait(), /connection reset/);
+  await assert.rejects(second.wait(), /connection reset/);
+  delete chain.getTransactionReceipt;
+  chain.pending.clear();
+
+  const third = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  assert.equal(third.nonce, 0);
+  assert.match(logs.at(-1), /Testnet node expects nonce 0, not 2 — resyncing/);
+});
+
+test('wait: a stuck transaction is replaced with bumped fees and the mined hash is followed', async () => {
+  const { chain, manager, logs, replaced } = setup({ speedUpSeconds: 0.02 });
+  const sent = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  const original = sent.hash;
+
+  const mined = later(60, () => chain.mine());
+  const receipt = await sent.wait();
+  await mined;
+
+  assert.equal(chain.pending.size, 0);
+  assert.notEqual(receipt.hash, original);
+  assert.equal(sent.hash, receipt.hash);
+  assert.ok(sent.hashes.length >= 2);
+  assert.deepEqual(replaced[0], [original, sent.hashes[1]]);
+  assert.equal(sent.tx.nonce, 0);
+  assert.ok(sent.tx.maxFeePerGas >= 42n * GWEI * 120n / 100n);
+  assert.match(logs[0], /Not mined after \d+s — replaced with fees up to/);
+});
+
+test('wait: the original version can still win after a replacement', async () => {
+  const { chain, manager, replaced } = setup({ speedUpSeconds: 0.02 });
+  const sent = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  const original = sent.hash;
+
+  // Mined late enough for at least one replacement to have been sent
+  const [receipt] = await Promise.all([sent.wait(), later(60, () => chain.mine({ hash: original }))]);
+
+  assert.equal(receipt.hash, original);
+  assert.equal(sent.hash, original);
+  assert.ok(sent.hashes.length >= 2);
+  assert.deepEqual(replaced[replaced.length - 1], [sent.hashes[sent.hashes.length - 1], original]);
+});
+
+test('wait: no replacement once the fee cap is reached', async () => {
+  const { chain, manager, logs } = setup({ speedUpSeconds: 0.01, maxFeeGwei: '42' });
+  const sent = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  await Promise.all([sent.wait(), later(40, () => chain.mine())]);
+
+  assert.equal(sent.hashes.length, 1);
+  assert.equal(chain.receipts.has(sent.hash), true);
+  assert.match(logs.find((line) => line.includes('fee cap')), /Testnet fee cap is reached/);
+});
+
+test('wait: required confirmations, reverts and foreign replacements', async () => {
+  const { chain, manager, wallet } = setup({ confirmations: 3 });
+
+  const confirmed = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  chain.mine();
+  let done = false;
+  const waiting = confirmed.wait().then((receipt) => { done = true; return receipt; });
+  await later(20, () => {});
+  assert.equal(done, false);
+  chain.blockNumber += 2;
+  assert.equal((await waiting).blockNumber, 101);
+
+  const reverted = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  chain.mine({ status: 0 });
+  chain.blockNumber += 2;
+  await assert.rejects(reverted.wait(), (error) => error.code === 'CALL_EXCEPTION' && error.receipt.hash === reverted.hash);
+
+  // Same nonce sent by another tool (e.g. a wallet's own "speed up")
+  const replacedElsewhere = await manager.sendTransaction({ to: TARGET, data: '0x' });
+  await chain.broadcastTransaction(await wallet.signTransaction({
+    ...replacedElsewhere.tx, maxFeePerGas: 100n * GWEI, maxPriorityFeePerGas: 10n * GWEI,
+  }));
+  chain.mine();
+  await assert.rejects(replacedElsewhere.wait(), (error) =>
+    error.code === 'TRANSACTION_REPLACED' && /Nonce 2 on Testnet was used by another transaction/.test(error.message));
+});
+
+test('cancel: replaces a pending nonce with a 0-value transfer to ourselves', async () => {
+  const { chain, manager, wallet } = setup({ bumpPercent: 10 });
+  await assert.rejects(manager.cancel(1), /No pending Testnet transaction with nonce 1 \(next free nonce is 0\)/);
+  // The next free nonce has nothing to cancel either
+  await assert.rejects(manager.cancel(0), /No pending Testnet transaction with nonce 0/);
+  assert.equal(chain.pending.size, 0);
+
+  // Pending with fees well above today's, so the first cancel is underpriced
+  await chain.broadcastTransaction(await wallet.signTransaction({
+    to: TARGET, nonce: 0, gasLimit: 50000n, chainId: 1337n, maxFeePerGas: 50n * GWEI, maxPriorityFeePerGas: 2n * GWEI,
+  }));
+  const cancel = await manager.cancel(0);
+  const tx = chain.versions(0)[1].tx;
+  assert.equal(cancel.nonce, 0);
+  assert.equal(tx.to, wallet.address);
+  assert.equal(tx.value, 0n);
+  assert.equal(tx.gasLimit, 21000n);
+  assert.ok(tx.maxFeePerGas >= 55n * GWEI);
+
+  chain.mine();
+  assert.equal((await cancel.wait()).hash, cancel.hash);
+  await assert.rejects(manager.cancel(0), /Nonce 0 is already mined on Testnet/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Webhook delivery, retries and signatures (lib/webhooks.js), and the
+ * journal's stage listeners that feed them (lib/journal.js)
+ *
+ * Deliveries go to a throwaway HTTP server on 127.0.0.1.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createJournal, STAGES } = require('../lib/journal');
+const { WebhookNotifier, verifySignature } = require('../lib/webhooks');
+
+/**
+ * Starts a webhook receiver that answers with the given statuses in turn
+ *
+ * @param {number[]} statuses - Status per request; the last one repeats
+ * @returns {Promise<{ url: string, requests: Object[], close: Function }>}
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('notify POSTs the payload with an id, timestamp and HMAC signature', async () => {
+  const receiver = await startReceiver([200]);
+  try {
+    const notifier = new WebhookNotifier({ urls: [receiver.url], secret: 'shh' });
+    const id = notifier.notify({ event: 'transfer.stage_changed', transfer: { amount: 5n } });
+    await notifier.flush();
+
+    assert.equal(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, id);
+    assert.equal(payload.event, 'transfer.stage_changed');
+    assert.equal(payload.transfer.amount, '5');
+    assert.ok(payload.timestamp);
+    assert.equal(headers['x-bridge-delivery'], id);
+    assert.ok(verifySignature(body, headers['x-bridge-signature'], 'shh'));
+    assert.ok(!verifySignature(body, headers['x-bridge-signature'], 'other'));
+    assert.ok(!verifySignature(`${body} `, headers['x-bridge-signature'], 'shh'));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('failed deliveries are retried with the same body until a 2xx', async () => {
+  const receiver = await startReceiver([500, 503, 204]);
+  try {
+    const notifier = new WebhookNotifier({ urls: [receiver.url], attempts: 5, baseMs: 5 });
+    notifier.notify({ event: 'transfer.stage_changed' });
+    await notifier.flush();
+
+    assert.equal(receiver.requests.length, 3);
+    assert.equal(new Set(receiver.requests.map((request) => request.body)).size, 1);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('delivery gives up after the configured attempts', async () => {
+  const receiver = await startReceiver([500]);
+  try {
+    const lines = [];
+    const notifier = new WebhookNotifier({ urls: [receiver.url], attempts: 2, baseMs: 5, log: (line) => lines.push(line) });
+    notifier.notify({ event: 'transfer.stage_changed' });
+    await notifier.flush();
+
+    assert.equal(receiver.requests.length, 2);
+    assert.match(lines.at(-1), /failed 2 time\(s\) \(status 500\) — giving up/);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('journal listeners see new transfers and stage changes only', () => {
+  const file = path.join(os.tmpdir(), `webhooks-test-journal-${process.pid}.json`);
+  const journal = createJournal(file);
+  const seen = [];
+  const removeListener = journal.onStageChange((record, previousStage) => seen.push([record.stage, previousStage]));
+  try {
+    const hash = `0x${'ab'.repeat(32)}`;
+    journal.recordTransfer({ type: 'withdraw', hash, stage: STAGES.BURNED });
+    journal.advanceStage(hash, STAGES.BURNED, { jobId: 'job-1' }); // Extra fields only
+    journal.advanceStage(hash, STAGES.CHECKPOINTED);
+    removeListener();
+    journal.advanceStage(hash, STAGES.EXIT_STARTED);
+
+    assert.deepEqual(seen, [
+      [STAGES.BURNED, undefined],
+      [STAGES.CHECKPOINTED, STAGES.BURNED],
+    ]);
+  } finally {
+    removeListener();
+    fs.rmSync(file, { force: true });
+  }
+});